@@ -0,0 +1,133 @@
+const {
+  getBrandingSettings,
+  updateBrandingSettings,
+  setBrandingLogo,
+  removeBrandingLogo,
+} = require("../services/BrandingSettingsServices");
+const { getBrandingPreviewPdf } = require("../services/ReportServices");
+
+/**
+ * Get branding settings
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function getBrandingSettingsController(req, res, next) {
+  try {
+    const settings = await getBrandingSettings();
+
+    return res.status(200).json({
+      success: true,
+      message: "Branding settings retrieved successfully",
+      data: settings,
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Update the branding text
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function updateBrandingSettingsController(req, res, next) {
+  try {
+    // Call service
+    const settings = await updateBrandingSettings(req.validated, req.user._id);
+
+    return res.status(200).json({
+      success: true,
+      message: "Branding settings updated successfully",
+      data: settings,
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Upload the logo of one slot
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function setBrandingLogoController(req, res, next) {
+  try {
+    // Call service
+    const settings = await setBrandingLogo(
+      req.params.slot,
+      req.file,
+      req.user._id,
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Logo uploaded successfully",
+      data: settings,
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Remove the uploaded logo of one slot
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function removeBrandingLogoController(req, res, next) {
+  try {
+    // Call service
+    const settings = await removeBrandingLogo(req.params.slot, req.user._id);
+
+    return res.status(200).json({
+      success: true,
+      message: "Logo removed successfully",
+      data: settings,
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Render a sample PDF with the branding
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function previewBrandingController(req, res, next) {
+  try {
+    // Call service
+    const pdf = await getBrandingPreviewPdf(req.validated);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      "inline; filename=\"branding-preview.pdf\"",
+    );
+    return res.status(200).end(pdf);
+  } catch (err) {
+    return next(err);
+  }
+}
+
+module.exports = {
+  getBrandingSettingsController,
+  updateBrandingSettingsController,
+  setBrandingLogoController,
+  removeBrandingLogoController,
+  previewBrandingController,
+};
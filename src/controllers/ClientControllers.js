@@ -0,0 +1,144 @@
+const mongoose = require("mongoose");
+
+const {
+  createClient,
+  getClients,
+  getClient,
+  updateClient,
+  deleteClient,
+} = require("../services/ClientServices");
+
+/**
+ * Create a new client
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function createClientController(req, res, next) {
+  try {
+    // Get validated payload
+    const payload = req.validated;
+
+    // Attach createdBy and lastUpdatedBy
+    payload.createdBy = new mongoose.Types.ObjectId(req.user?._id);
+    payload.lastUpdatedBy = new mongoose.Types.ObjectId(req.user?._id);
+
+    // Call service
+    const client = await createClient(payload);
+
+    return res.status(201).json({
+      success: true,
+      message: "Client created successfully",
+      data: client,
+      code: 201,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Get list of clients
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function getClientsController(req, res, next) {
+  try {
+    // Call service
+    const { clients, metaData } = await getClients(req.validated);
+
+    return res.status(200).json({
+      success: true,
+      message: "Clients fetched successfully",
+      data: clients,
+      metaData: metaData,
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Get single client by id
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function getClientController(req, res, next) {
+  try {
+    // Call service
+    const client = await getClient(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: "Client fetched successfully",
+      data: client,
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Update client
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function updateClientController(req, res, next) {
+  try {
+    // Get validated payload
+    const payload = req.validated;
+
+    // Attach lastUpdatedBy
+    payload.lastUpdatedBy = new mongoose.Types.ObjectId(req.user?._id);
+
+    // Call service
+    const client = await updateClient(req.params.id, payload);
+
+    return res.status(200).json({
+      success: true,
+      message: "Client updated successfully",
+      data: client,
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Delete client
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function deleteClientController(req, res, next) {
+  try {
+    await deleteClient(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: "Client deleted successfully",
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+module.exports = {
+  createClientController,
+  getClientsController,
+  getClientController,
+  updateClientController,
+  deleteClientController,
+};
@@ -0,0 +1,149 @@
+const mongoose = require("mongoose");
+
+const {
+  createFormType,
+  getFormTypes,
+  getFormType,
+  updateFormType,
+  deleteFormType,
+} = require("../services/FormTypeServices");
+
+/**
+ * Create a new form type
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function createFormTypeController(req, res, next) {
+  try {
+    // Get validated payload
+    const payload = req.validated;
+
+    // Attach createdBy and lastUpdatedBy
+    payload.createdBy = new mongoose.Types.ObjectId(req.user?._id);
+    payload.lastUpdatedBy = new mongoose.Types.ObjectId(req.user?._id);
+
+    // Call service
+    const formType = await createFormType(payload);
+
+    return res.status(201).json({
+      success: true,
+      message: "Form type created successfully",
+      data: formType,
+      code: 201,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Get list of form types
+ *
+ * Inactive types are only listed for root (0) and admin (1)
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function getFormTypesController(req, res, next) {
+  try {
+    const includeInactive =
+      req.validated.includeInactive && [0, 1].includes(Number(req.user?.role));
+
+    // Call service
+    const formTypes = await getFormTypes({ includeInactive });
+
+    return res.status(200).json({
+      success: true,
+      message: "Form types fetched successfully",
+      data: formTypes,
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Get a single form type
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function getFormTypeController(req, res, next) {
+  try {
+    // Call service
+    const formType = await getFormType(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: "Form type fetched successfully",
+      data: formType,
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Update a form type
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function updateFormTypeController(req, res, next) {
+  try {
+    // Get validated payload
+    const payload = req.validated;
+
+    // Attach lastUpdatedBy
+    payload.lastUpdatedBy = new mongoose.Types.ObjectId(req.user?._id);
+
+    // Call service
+    const formType = await updateFormType(req.params.id, payload);
+
+    return res.status(200).json({
+      success: true,
+      message: "Form type updated successfully",
+      data: formType,
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Delete a form type
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function deleteFormTypeController(req, res, next) {
+  try {
+    // Call service
+    await deleteFormType(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: "Form type deleted successfully",
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+module.exports = {
+  createFormTypeController,
+  getFormTypesController,
+  getFormTypeController,
+  updateFormTypeController,
+  deleteFormTypeController,
+};
@@ -1,13 +1,20 @@
 const mongoose = require("mongoose");
 
+const { importJobs } = require("../services/JobImportServices");
 const {
   createJob,
   getJobs,
+  exportJobs,
   getJobById,
   updateJob,
+  updateJobStatus,
+  reassignJob,
+  createReinspectionJob,
+  getJobChecklist,
   getMyJobs,
   deleteJob,
 } = require("../services/JobServices");
+const { CONTENT_TYPES, writeSpreadsheet } = require("../utils/spreadsheet");
 
 /**
  * Create a new job
@@ -63,6 +70,34 @@ async function getJobsController(req, res, next) {
   }
 }
 
+/**
+ * Export jobs matching the list filters as CSV or XLSX
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function exportJobsController(req, res, next) {
+  try {
+    const { format, ...filters } = req.validated;
+
+    // Call service
+    const { columns, rows } = exportJobs(filters);
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", CONTENT_TYPES[format]);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="jobs-${date}.${format}"`,
+    );
+
+    // Stream every matching row
+    await writeSpreadsheet(res, { format, sheetName: "Jobs", columns, rows });
+  } catch (err) {
+    return next(err);
+  }
+}
+
 /**
  * Get jobs assigned to the logged-in user (my jobs)
  *
@@ -141,6 +176,140 @@ async function updateJobController(req, res, next) {
   }
 }
 
+/**
+ * Move a job to another lifecycle status
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function updateJobStatusController(req, res, next) {
+  try {
+    // Call service
+    const updated = await updateJobStatus(
+      req.params.id,
+      req.validated,
+      req.user,
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Job status updated successfully",
+      data: updated,
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Reassign a job to another inspector
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function reassignJobController(req, res, next) {
+  try {
+    // Call service
+    const updated = await reassignJob(req.params.id, req.validated, req.user);
+
+    return res.status(200).json({
+      success: true,
+      message: "Job reassigned successfully",
+      data: updated,
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Create a re-inspection of a job whose report failed
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function createReinspectionJobController(req, res, next) {
+  try {
+    // Call service
+    const job = await createReinspectionJob(
+      req.params.id,
+      req.validated,
+      req.user,
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: "Re-inspection job created successfully",
+      data: job,
+      code: 201,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Get the photo checklist of a job with progress
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function getJobChecklistController(req, res, next) {
+  try {
+    // Call service
+    const checklist = await getJobChecklist(
+      req.params.id,
+      req.validated,
+      req.user,
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Job checklist fetched successfully",
+      data: checklist,
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Import jobs from a CSV/XLSX file (dry run by default)
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function importJobsController(req, res, next) {
+  try {
+    // Call service
+    const result = await importJobs(req.file, {
+      dryRun: req.validated.dryRun,
+      userId: req.user?._id,
+    });
+
+    const status = result.dryRun || result.created === 0 ? 200 : 201;
+
+    return res.status(status).json({
+      success: true,
+      message: result.dryRun
+        ? "Job import validated successfully"
+        : `${result.created} job(s) imported successfully`,
+      data: result,
+      code: status,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
 /**
  * Delete a job
  *
@@ -164,8 +333,14 @@ async function deleteJobController(req, res, next) {
 module.exports = {
   createJobController,
   getJobsController,
+  exportJobsController,
   getMyJobsController,
   getJobByIdController,
   updateJobController,
+  updateJobStatusController,
+  reassignJobController,
+  createReinspectionJobController,
+  getJobChecklistController,
+  importJobsController,
   deleteJobController,
 };
@@ -43,7 +43,7 @@ async function restoreArchivedReportsController(req, res, next) {
     const { reportIds } = req.validated;
 
     // Call service
-    const result = await restoreArchivedReports(reportIds);
+    const result = await restoreArchivedReports(reportIds, req.user?._id);
 
     return res.status(200).json({
       success: true,
@@ -1,13 +1,19 @@
 const mongoose = require("mongoose");
 
+const { getSuspectedPhotoReuse } = require("../services/ReportImageServices");
+const { getReportRevisions } = require("../services/ReportRevisionServices");
 const {
   createReport,
   getReportById,
   getAllReports,
+  exportReports,
   deleteReport,
   updateReportStatus,
   resubmitReport,
+  getReportPdf,
+  getReportRevisionPdf,
 } = require("../services/ReportServices");
+const { CONTENT_TYPES, writeSpreadsheet } = require("../utils/spreadsheet");
 
 /**
  * Create a new report
@@ -29,6 +35,9 @@ async function createReportController(req, res, next) {
     payload.inspector = new mongoose.Types.ObjectId(req.user._id);
     payload.job = new mongoose.Types.ObjectId(payload.job);
 
+    // Recorded with the signature
+    payload.signedFrom = { ip: req.ip, userAgent: req.get("user-agent") || "" };
+
     // Call service
     const report = await createReport(payload);
 
@@ -67,6 +76,65 @@ async function getReportsController(req, res, next) {
   }
 }
 
+/**
+ * List suspected photo reuse per inspector
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function getDuplicateImagesController(req, res, next) {
+  try {
+    // Call service
+    const { inspectors, metaData } = await getSuspectedPhotoReuse(
+      req.validated,
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Suspected photo reuse fetched successfully",
+      data: inspectors,
+      metaData,
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Export reports matching the list filters as CSV or XLSX
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function exportReportsController(req, res, next) {
+  try {
+    const { format, ...filters } = req.validated;
+
+    // Call service
+    const { columns, rows } = exportReports(filters);
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", CONTENT_TYPES[format]);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="reports-${date}.${format}"`,
+    );
+
+    // Stream every matching row
+    await writeSpreadsheet(res, {
+      format,
+      sheetName: "Reports",
+      columns,
+      rows,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
 /**
  * Get a single report by id
  *
@@ -105,6 +173,9 @@ async function updateReportStatusController(req, res, next) {
     // Attach lastUpdatedBy
     payload.lastUpdatedBy = req.user?._id;
 
+    // Recorded with the signature
+    payload.signedFrom = { ip: req.ip, userAgent: req.get("user-agent") || "" };
+
     // Call service
     const updated = await updateReportStatus(req.params.id, payload);
 
@@ -134,6 +205,9 @@ async function resubmitReportController(req, res, next) {
     payload.inspectorName =
       `${req.user.firstName || ""} ${req.user.lastName || ""}`.trim();
 
+    // Recorded with the signature
+    payload.signedFrom = { ip: req.ip, userAgent: req.get("user-agent") || "" };
+
     // Call service with report id from params
     const updated = await resubmitReport(req.params.id, payload);
 
@@ -148,6 +222,77 @@ async function resubmitReportController(req, res, next) {
   }
 }
 
+/**
+ * Get every submitted revision of a report
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function getReportRevisionsController(req, res, next) {
+  try {
+    // Call service
+    const revisions = await getReportRevisions(req.params.id, req.user);
+
+    return res.status(200).json({
+      success: true,
+      message: "Report revisions fetched successfully",
+      data: revisions,
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Download the PDF of a report as it is now
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function getReportPdfController(req, res, next) {
+  try {
+    // Call service
+    const pdf = await getReportPdf(req.params.id);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename="report-${req.params.id}.pdf"`,
+    );
+    return res.status(200).end(pdf);
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Download the PDF of a past revision of a report
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function getReportRevisionPdfController(req, res, next) {
+  try {
+    const { id, revision } = req.validated;
+
+    // Call service
+    const pdf = await getReportRevisionPdf(id, revision, req.user);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename="report-${id}-rev${revision}.pdf"`,
+    );
+    return res.status(200).end(pdf);
+  } catch (err) {
+    return next(err);
+  }
+}
+
 /**
  * Delete a report by id
  *
@@ -173,8 +318,13 @@ async function deleteReportController(req, res, next) {
 module.exports = {
   createReportController,
   getReportsController,
+  exportReportsController,
+  getDuplicateImagesController,
   getReportByIdController,
   deleteReportController,
   updateReportStatusController,
   resubmitReportController,
+  getReportRevisionsController,
+  getReportPdfController,
+  getReportRevisionPdfController,
 };
@@ -0,0 +1,92 @@
+const {
+  addReportDeficiency,
+  updateReportDeficiency,
+  removeReportDeficiency,
+} = require("../services/ReportDeficiencyServices");
+
+/**
+ * Record a deficiency on a report
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function addReportDeficiencyController(req, res, next) {
+  try {
+    // Call service
+    const deficiency = await addReportDeficiency(
+      req.params.id,
+      req.validated,
+      req.user,
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: "Deficiency recorded successfully",
+      data: deficiency,
+      code: 201,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Update a deficiency of a report
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function updateReportDeficiencyController(req, res, next) {
+  try {
+    // Call service
+    const deficiency = await updateReportDeficiency(
+      req.params.id,
+      req.params.deficiencyId,
+      req.validated,
+      req.user,
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Deficiency updated successfully",
+      data: deficiency,
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Remove a deficiency from a report
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function removeReportDeficiencyController(req, res, next) {
+  try {
+    // Call service
+    await removeReportDeficiency(
+      req.params.id,
+      req.params.deficiencyId,
+      req.user,
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Deficiency removed successfully",
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+module.exports = {
+  addReportDeficiencyController,
+  updateReportDeficiencyController,
+  removeReportDeficiencyController,
+};
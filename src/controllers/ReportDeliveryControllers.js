@@ -0,0 +1,89 @@
+const { getReportDeliveries } = require("../services/ReportDeliveryServices");
+const {
+  deliverReportToNewRecipients,
+  resendReportDelivery,
+} = require("../services/ReportServices");
+
+/**
+ * Get the deliveries of a report with their status
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function getReportDeliveriesController(req, res, next) {
+  try {
+    // Call service
+    const deliveries = await getReportDeliveries(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: "Report deliveries retrieved successfully",
+      data: deliveries,
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Email a completed report to recipients added since it was delivered
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function deliverReportController(req, res, next) {
+  try {
+    // Call service
+    const deliveries = await deliverReportToNewRecipients(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: deliveries.length
+        ? "Report delivered to new recipients"
+        : "All recipients already have the report",
+      data: deliveries,
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Email a completed report to one recipient again
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function resendReportDeliveryController(req, res, next) {
+  try {
+    // Call service
+    const delivery = await resendReportDelivery(
+      req.params.id,
+      req.params.deliveryId,
+      req.user._id,
+    );
+
+    return res.status(200).json({
+      success: true,
+      message:
+        delivery.status === "sent"
+          ? "Report sent again successfully"
+          : `Report could not be sent (${delivery.status})`,
+      data: delivery,
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+module.exports = {
+  getReportDeliveriesController,
+  deliverReportController,
+  resendReportDeliveryController,
+};
@@ -0,0 +1,222 @@
+const {
+  createDraftReport,
+  getDraftReport,
+  setDraftLabelImages,
+  removeDraftLabelImages,
+  createDraftUploadUrls,
+  confirmDraftUploads,
+  finalizeDraftReport,
+} = require("../services/ReportDraftServices");
+
+/**
+ * Start a draft report for a job, or resume the existing draft
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function createDraftReportController(req, res, next) {
+  try {
+    // Call service
+    const { draft, created } = await createDraftReport(
+      req.validated.job,
+      req.user,
+    );
+
+    const status = created ? 201 : 200;
+
+    return res.status(status).json({
+      success: true,
+      message: created
+        ? "Draft report created successfully"
+        : "Draft report resumed successfully",
+      data: draft,
+      code: status,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Get a draft report with the labels uploaded so far
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function getDraftReportController(req, res, next) {
+  try {
+    // Call service
+    const draft = await getDraftReport(req.params.id, req.user);
+
+    return res.status(200).json({
+      success: true,
+      message: "Draft report fetched successfully",
+      data: draft,
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Add or replace the photos of one image label on a draft
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function setDraftLabelImagesController(req, res, next) {
+  try {
+    // Same file shape handleGroupedImages produces
+    const files = (req.files || []).map((file) => ({
+      fileName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      buffer: file.buffer,
+    }));
+
+    // Call service
+    const draft = await setDraftLabelImages(
+      req.params.id,
+      req.params.imageLabel,
+      files,
+      req.validated,
+      req.user,
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Draft photos saved successfully",
+      data: draft,
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Remove the photos of one image label from a draft
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function removeDraftLabelImagesController(req, res, next) {
+  try {
+    // Call service
+    const draft = await removeDraftLabelImages(
+      req.params.id,
+      req.params.imageLabel,
+      req.user,
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Draft photos removed successfully",
+      data: draft,
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Get presigned URLs to upload the photos of one label straight to S3
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function createDraftUploadUrlsController(req, res, next) {
+  try {
+    // Call service
+    const result = await createDraftUploadUrls(
+      req.params.id,
+      req.params.imageLabel,
+      req.validated.files,
+      req.user,
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Upload URLs created successfully",
+      data: result,
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Attach photos uploaded through presigned URLs to a draft
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function confirmDraftUploadsController(req, res, next) {
+  try {
+    // Call service
+    const draft = await confirmDraftUploads(
+      req.params.id,
+      req.params.imageLabel,
+      req.validated.uploads,
+      req.user,
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Draft photos saved successfully",
+      data: draft,
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Submit a draft report once its checklist is complete
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function finalizeDraftReportController(req, res, next) {
+  try {
+    const payload = req.validated;
+    payload.inspectorName =
+      `${req.user.firstName || ""} ${req.user.lastName || ""}`.trim();
+
+    // Recorded with the signature
+    payload.signedFrom = { ip: req.ip, userAgent: req.get("user-agent") || "" };
+
+    // Call service
+    const report = await finalizeDraftReport(req.params.id, payload, req.user);
+
+    return res.status(200).json({
+      success: true,
+      message: "Report submitted successfully",
+      data: report,
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+module.exports = {
+  createDraftReportController,
+  getDraftReportController,
+  setDraftLabelImagesController,
+  removeDraftLabelImagesController,
+  createDraftUploadUrlsController,
+  confirmDraftUploadsController,
+  finalizeDraftReportController,
+};
@@ -0,0 +1,112 @@
+const {
+  createShareLink,
+  getShareLinks,
+  revokeShareLink,
+  openShareLink,
+} = require("../services/ReportShareLinkServices");
+
+/**
+ * Create a share link for a report PDF
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function createShareLinkController(req, res, next) {
+  try {
+    // Call service
+    const link = await createShareLink(
+      req.params.id,
+      req.validated,
+      req.user._id,
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: "Share link created successfully",
+      data: link,
+      code: 201,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Get the share links of a report
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function getShareLinksController(req, res, next) {
+  try {
+    // Call service
+    const links = await getShareLinks(req.params.id);
+
+    return res.status(200).json({
+      success: true,
+      message: "Share links retrieved successfully",
+      data: links,
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Revoke a share link
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function revokeShareLinkController(req, res, next) {
+  try {
+    // Call service
+    const link = await revokeShareLink(
+      req.params.id,
+      req.params.linkId,
+      req.user._id,
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Share link revoked successfully",
+      data: link,
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+/**
+ * Open a share link (public), redirects to the PDF
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function openShareLinkController(req, res, next) {
+  try {
+    // Call service
+    const url = await openShareLink(req.params.token, {
+      password: req.validated.password,
+      ip: req.ip,
+      userAgent: req.get("user-agent") || "",
+    });
+
+    return res.redirect(303, url);
+  } catch (err) {
+    return next(err);
+  }
+}
+
+module.exports = {
+  createShareLinkController,
+  getShareLinksController,
+  revokeShareLinkController,
+  openShareLinkController,
+};
@@ -0,0 +1,28 @@
+const { verifyReport } = require("../services/ReportVerificationServices");
+
+/**
+ * Check a report PDF by its verification code (public)
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function verifyReportController(req, res, next) {
+  try {
+    // Call service
+    const result = await verifyReport(req.params.code, req.validated.sha256);
+
+    return res.status(200).json({
+      success: true,
+      message: result.valid
+        ? "Report is authentic"
+        : "Report was issued but is no longer valid",
+      data: result,
+      code: 200,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
+module.exports = { verifyReportController };
@@ -1,6 +1,7 @@
 const mongoose = require("mongoose");
 
 const {
+  getComplianceChecklist,
   getInspectorAcknowledgement,
 } = require("../services/TermsAndPolicyServices");
 
@@ -25,6 +26,28 @@ async function getInspectorAcknowledgementController(req, res, next) {
   }
 }
 
+/**
+ * Handle get the FHA Final Compliance checklist template
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function getComplianceChecklistController(req, res, next) {
+  try {
+    const result = getComplianceChecklist();
+    return res.status(200).json({
+      success: true,
+      message: "Compliance checklist retrieved successfully",
+      code: 200,
+      data: result,
+    });
+  } catch (err) {
+    return next(err);
+  }
+}
+
 module.exports = {
   getInspectorAcknowledgementController,
+  getComplianceChecklistController,
 };
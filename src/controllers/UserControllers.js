@@ -1,3 +1,7 @@
+const {
+  setUserSignature,
+  removeUserSignature,
+} = require("../services/SignatureServices");
 const {
   getProfile,
   updateProfile,
@@ -58,6 +62,54 @@ async function updateUserProfileController(req, res, next) {
   }
 }
 
+/**
+ * Controller to save the logged-in user's signature (uploaded or drawn)
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function setUserSignatureController(req, res, next) {
+  try {
+    // Call service
+    const signature = await setUserSignature(req.user._id, {
+      file: req.file,
+      image: req.validated.image,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Signature saved successfully",
+      data: signature,
+      code: 200,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Controller to remove the logged-in user's signature
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+async function removeUserSignatureController(req, res, next) {
+  try {
+    // Call service
+    await removeUserSignature(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      message: "Signature removed successfully",
+      code: 200,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * Get all users (admin and root only)
  *
@@ -253,6 +305,8 @@ async function deleteUserController(req, res, next) {
 module.exports = {
   getUserProfileController,
   updateUserProfileController,
+  setUserSignatureController,
+  removeUserSignatureController,
   getAllUsersController,
   getUserByIdController,
   approveUserController,
@@ -5,6 +5,14 @@ const mongoose = require("mongoose");
 const app = require("./app");
 const { logError } = require("./helpers/logger");
 const { scheduleArchiveJobReports } = require("./cronJobs/archiveJobReports");
+const {
+  ensureBrandingSettings,
+} = require("./services/BrandingSettingsServices");
+const { ensureDefaultFormTypes } = require("./services/FormTypeServices");
+const { backfillJobStatuses } = require("./services/JobServices");
+const {
+  backfillPerceptualHashBands,
+} = require("./services/ReportImageServices");
 
 dotenv.config();
 
@@ -18,6 +26,29 @@ const server = app.listen(process.env.PORT, async () => {
 
       // Initialize cron jobs after database connection
       scheduleArchiveJobReports();
+
+      // Give pre-existing jobs a lifecycle status
+      backfillJobStatuses()
+        .then((result) =>
+          console.log(`Job statuses backfilled: ${result.updatedCount}`),
+        )
+        .catch((err) => logError(err, { context: "backfillJobStatuses" }));
+
+      // Index keys for the photo reuse check on older photos
+      backfillPerceptualHashBands()
+        .then((result) =>
+          console.log(`Photo hash bands backfilled: ${result.updatedCount}`),
+        )
+        .catch((err) =>
+          logError(err, { context: "backfillPerceptualHashBands" }),
+        );
+
+      // Make sure the built-in form types exist, then the branding
+      // settings (moves license lines off the form types)
+      ensureDefaultFormTypes()
+        .catch((err) => logError(err, { context: "ensureDefaultFormTypes" }))
+        .then(() => ensureBrandingSettings())
+        .catch((err) => logError(err, { context: "ensureBrandingSettings" }));
     })
 
     // catch errors
@@ -1,5 +1,12 @@
+const multer = require("multer");
+
 const { logError } = require("../helpers/logger");
 
+// Upload errors carry multer's own codes (e.g. LIMIT_FILE_SIZE)
+function getUploadErrorStatus(err) {
+  return err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+}
+
 module.exports = function errorHandler(err, req, res, next) {
   // Log error silently to file
   try {
@@ -11,7 +18,10 @@ module.exports = function errorHandler(err, req, res, next) {
   }
 
   // Send generic error response
-  const status = (err && err.code && Number(err.code)) || 500;
+  const status =
+    err instanceof multer.MulterError
+      ? getUploadErrorStatus(err)
+      : (err && err.code && Number(err.code)) || 500;
 
   // Construct response
   const response = {
@@ -23,6 +33,11 @@ module.exports = function errorHandler(err, req, res, next) {
         : (err && err.message) || "Error",
   };
 
+  // Structured details (e.g. missing image labels) for client errors
+  if (status !== 500 && Array.isArray(err?.errors)) {
+    response.errors = err.errors;
+  }
+
   // Ensure we only send once
   if (res.headersSent) return next(err);
 
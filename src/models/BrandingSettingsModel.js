@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+
+/**
+ * Logo slots printed on report PDFs
+ * - header: above the company lines
+ * - footerLeft / footerRight: on both sides of the license lines
+ */
+const brandingLogoSlots = ["header", "footerLeft", "footerRight"];
+
+/**
+ * Logo uploaded by an admin (stored in S3)
+ */
+const brandingLogoSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    url: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    uploadedAt: { type: Date, default: Date.now },
+  },
+  { _id: false },
+);
+
+/**
+ * Key of the one branding settings document
+ */
+const BRANDING_SETTINGS_KEY = "default";
+
+/**
+ * BrandingSettings Schema - Singleton document for the report PDF branding
+ *
+ * The unique key keeps it to ONE document, even when it is created by
+ * concurrent requests. Logo slots left empty use the images bundled in
+ * public/images.
+ */
+const brandingSettingsSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: BRANDING_SETTINGS_KEY,
+      unique: true,
+      immutable: true,
+    },
+    logos: {
+      header: { type: brandingLogoSchema, default: null },
+      footerLeft: { type: brandingLogoSchema, default: null },
+      footerRight: { type: brandingLogoSchema, default: null },
+    },
+    // Lines under the header logo (website, division)
+    companyLines: [{ type: String, trim: true }],
+    // License numbers and certifications, printed in every PDF footer
+    // after the form type's own footer lines
+    licenseLines: [{ type: String, trim: true }],
+    // When the license lines were taken off the form type footers
+    licenseLinesMovedAt: { type: Date, default: null },
+    lastUpdatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true, versionKey: false },
+);
+
+const BrandingSettingsModel = mongoose.model(
+  "BrandingSettings",
+  brandingSettingsSchema,
+);
+
+module.exports = BrandingSettingsModel;
+module.exports.brandingLogoSlots = brandingLogoSlots;
+module.exports.BRANDING_SETTINGS_KEY = BRANDING_SETTINGS_KEY;
@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+/**
+ * Who a recipient is for the report
+ * - ap_ar: the AP/AR contact (see the job's specialNoteForApOrAr)
+ */
+const recipientRoles = ["lender", "builder", "ap_ar", "other"];
+
+/**
+ * Someone the completed report PDF is emailed to
+ */
+const reportRecipientSchema = new mongoose.Schema(
+  {
+    name: { type: String, trim: true, default: "" },
+    email: { type: String, trim: true, lowercase: true, required: true },
+    role: { type: String, enum: recipientRoles, default: "other" },
+  },
+  { _id: false },
+);
+
+/**
+ * Client Schema - company jobs are ordered by (lender, builder, ...)
+ * Its recipients get the report of every job of the client.
+ */
+const clientSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      unique: true,
+    },
+    // Default distribution list
+    recipients: {
+      type: [reportRecipientSchema],
+      default: [],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    lastUpdatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true, versionKey: false },
+);
+
+const ClientModel = mongoose.model("Client", clientSchema);
+
+module.exports = ClientModel;
+module.exports.recipientRoles = recipientRoles;
+module.exports.reportRecipientSchema = reportRecipientSchema;
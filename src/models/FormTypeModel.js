@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+/**
+ * FormType Schema - registry of inspection form types
+ *
+ * Jobs reference a form type by its `name`, which is why the name
+ * can't be changed once created. Each type drives the photos a report
+ * must contain and the text printed on the generated PDF.
+ */
+const formTypeSchema = new mongoose.Schema(
+  {
+    // Stored on jobs as `formType`, e.g. "92051 - FHA Inspection"
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      immutable: true,
+    },
+    // Shown to users and printed as "Type of Inspection"
+    displayName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Image labels every report of this type must contain
+    requiredImageLabels: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ImageLabel",
+      },
+    ],
+    // Image labels a report of this type may also contain
+    optionalImageLabels: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "ImageLabel",
+      },
+    ],
+    // Reports of this type answer the FHA Final Compliance checklist
+    requiresComplianceChecklist: {
+      type: Boolean,
+      default: false,
+    },
+    // Title line printed in the PDF header, e.g. "Attachment to FHA Form 92051"
+    pdfHeaderText: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    // Lines printed in the PDF footer (utility notes), before the
+    // license lines of the branding settings. The name is from before
+    // license numbers moved to the branding settings, kept for the API.
+    footerLicenseLines: [{ type: String, trim: true }],
+    // Inactive types can't be used for new jobs
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    lastUpdatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true, versionKey: false },
+);
+
+const FormTypeModel = mongoose.model("FormType", formTypeSchema);
+
+module.exports = FormTypeModel;
@@ -1,5 +1,138 @@
 const mongoose = require("mongoose");
 
+const { reportRecipientSchema } = require("./ClientModel");
+
+/**
+ * Enum-like object for every job lifecycle status.
+ * Used both for schema validation (enum) and for transitions in services.
+ */
+const jobStatuses = {
+  DRAFT: "draft",
+  ASSIGNED: "assigned",
+  ACCEPTED: "accepted",
+  ON_SITE: "on_site",
+  SUBMITTED: "submitted",
+  UNDER_REVIEW: "under_review",
+  COMPLETED: "completed",
+  CANCELLED: "cancelled",
+  ON_HOLD: "on_hold",
+  ARCHIVED: "archived",
+};
+
+/**
+ * Allowed transitions: current status -> statuses it may move to.
+ */
+const jobStatusTransitions = {
+  draft: ["assigned", "cancelled"],
+  assigned: ["accepted", "on_site", "submitted", "on_hold", "cancelled"],
+  accepted: ["assigned", "on_site", "submitted", "on_hold", "cancelled"],
+  on_site: ["assigned", "submitted", "on_hold", "cancelled"],
+  submitted: ["under_review", "accepted", "completed", "on_hold", "cancelled"],
+  under_review: ["submitted", "accepted", "completed", "on_hold", "cancelled"],
+  // Back to the inspector when its completed report is rejected
+  completed: ["under_review", "accepted", "archived"],
+  cancelled: ["draft", "assigned"],
+  on_hold: ["assigned", "accepted", "on_site", "cancelled"],
+  archived: ["completed"],
+};
+
+/**
+ * Statuses where the job is still waiting on the inspector (no report yet)
+ */
+const openJobStatuses = ["draft", "assigned", "accepted", "on_site", "on_hold"];
+
+/**
+ * Statuses where a re-inspection is still open (one per job at a time)
+ */
+const openReinspectionStatuses = Object.values(jobStatuses).filter(
+  (status) => !["completed", "cancelled", "archived"].includes(status),
+);
+
+const jobStatusHistorySchema = new mongoose.Schema(
+  {
+    from: { type: String, default: null },
+    to: { type: String, required: true },
+    changedBy: { type: mongoose.Types.ObjectId, ref: "User", default: null },
+    reason: { type: String, trim: true, default: "" },
+    changedAt: { type: Date, default: Date.now },
+  },
+  { _id: false },
+);
+
+/**
+ * Coordinates of the property, used to check where photos were taken
+ */
+const jobLocationSchema = new mongoose.Schema(
+  {
+    latitude: { type: Number, required: true, min: -90, max: 90 },
+    longitude: { type: Number, required: true, min: -180, max: 180 },
+    // manual: entered by an admin, geocoded: looked up from streetAddress
+    source: { type: String, enum: ["manual", "geocoded"], required: true },
+    locatedAt: { type: Date, default: Date.now },
+  },
+  { _id: false },
+);
+
+const jobAssignmentSchema = new mongoose.Schema(
+  {
+    inspector: { type: mongoose.Types.ObjectId, ref: "User", required: true },
+    previousInspector: {
+      type: mongoose.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    assignedBy: { type: mongoose.Types.ObjectId, ref: "User", default: null },
+    reason: { type: String, trim: true, default: "" },
+    // Reassigned by a Super Admin after a report was already submitted
+    forced: { type: Boolean, default: false },
+    assignedAt: { type: Date, default: Date.now },
+  },
+  { _id: false },
+);
+
+/**
+ * Photo of the failed inspection, kept to show next to the new one
+ */
+const reinspectionPhotoSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    thumbnailUrl: { type: String, default: "" },
+  },
+  { _id: false },
+);
+
+/**
+ * Open deficiency of the failed inspection the re-inspection has to verify
+ * (copied from the original report's deficiencies)
+ */
+const reinspectionItemSchema = new mongoose.Schema(
+  {
+    // deficiencies[]._id on the original report
+    deficiency: { type: mongoose.Types.ObjectId, required: true },
+    imageLabelId: { type: mongoose.Types.ObjectId, ref: "ImageLabel" },
+    imageLabel: { type: String, required: true },
+    severity: { type: String, required: true },
+    description: { type: String, required: true },
+    requiredCorrection: { type: String, default: "" },
+    beforePhotos: { type: [reinspectionPhotoSchema], default: [] },
+  },
+  { _id: false },
+);
+
+/**
+ * Failed inspection a re-inspection job follows up on
+ */
+const reinspectionSchema = new mongoose.Schema(
+  {
+    job: { type: mongoose.Types.ObjectId, ref: "Job", required: true },
+    report: { type: mongoose.Types.ObjectId, ref: "Report", required: true },
+    // Order ID of the original job, printed on the re-inspection PDF
+    orderId: { type: String, default: "" },
+    items: { type: [reinspectionItemSchema], default: [] },
+  },
+  { _id: false },
+);
+
 const jobSchema = new mongoose.Schema(
   {
     // Assigned inspector
@@ -8,14 +141,11 @@ const jobSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
-    // RCI Residential Building Code Inspection
+    // Name of a FormType, e.g. "92051 - FHA Inspection"
     formType: {
       type: String,
-      enum: [
-        // "RCI Residential Building Code Inspection",
-        "92051 - FHA Inspection",
-      ],
       required: true,
+      trim: true,
     },
     feeStatus: {
       type: String,
@@ -44,6 +174,11 @@ const jobSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Set by admins or geocoded on first photo check (see resolveJobLocation)
+    location: {
+      type: jobLocationSchema,
+      default: undefined,
+    },
     developmentName: {
       type: String, // Area name
       required: true,
@@ -74,6 +209,26 @@ const jobSchema = new mongoose.Schema(
       default: "",
       maxLength: 1250,
     },
+    // Client whose default recipients also get the report
+    client: {
+      type: mongoose.Types.ObjectId,
+      ref: "Client",
+      default: null,
+      index: true,
+    },
+    // Job-specific recipients of the completed report
+    recipients: {
+      type: [reportRecipientSchema],
+      default: [],
+    },
+    // Set on re-inspection jobs, null otherwise
+    reinspectionOf: {
+      type: reinspectionSchema,
+      default: null,
+    },
+    // Re-inspection in one of `openReinspectionStatuses`, kept with the
+    // status so the unique index below can filter on plain equality
+    isOpenReinspection: { type: Boolean, default: false },
     createdBy: {
       type: mongoose.Types.ObjectId,
       ref: "User",
@@ -83,10 +238,55 @@ const jobSchema = new mongoose.Schema(
       type: mongoose.Types.ObjectId,
       ref: "User",
     },
+    // Lifecycle status (see `jobStatusTransitions` for allowed moves)
+    status: {
+      type: String,
+      enum: Object.values(jobStatuses),
+      default: jobStatuses.ASSIGNED,
+      index: true,
+    },
+    statusChangedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    statusHistory: {
+      type: [jobStatusHistorySchema],
+      default: [],
+    },
+    // Every inspector the job has been assigned to, oldest first
+    assignmentHistory: {
+      type: [jobAssignmentSchema],
+      default: [],
+    },
   },
   { timestamps: true, versionKey: false },
 );
 
+/**
+ * Check whether the job may move from one status to another
+ *
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+jobSchema.statics.canTransition = function (from, to) {
+  return (jobStatusTransitions[from] || []).includes(to);
+};
+
+// Only one open re-inspection per job, even for concurrent requests
+jobSchema.index(
+  { "reinspectionOf.job": 1 },
+  {
+    name: "one_open_reinspection_per_job",
+    unique: true,
+    partialFilterExpression: { isOpenReinspection: true },
+  },
+);
+
 const JobModel = mongoose.model("Job", jobSchema);
 
 module.exports = JobModel;
+module.exports.jobStatuses = jobStatuses;
+module.exports.jobStatusTransitions = jobStatusTransitions;
+module.exports.openJobStatuses = openJobStatuses;
+module.exports.openReinspectionStatuses = openReinspectionStatuses;
@@ -7,6 +7,8 @@ const mongoose = require("mongoose");
 const notificationTypes = {
   REPORT_SUBMITTED: "report_submitted",
   JOB_ASSIGNED: "job_assigned",
+  JOB_STATUS_UPDATED: "job_status_updated",
+  JOB_REASSIGNED: "job_reassigned",
   REPORT_STATUS_UPDATED: "report_status_updated",
   REGISTERED_AS_ADMIN: "registered_as_admin",
   USER_APPROVED: "user_approved",
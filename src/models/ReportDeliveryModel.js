@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+
+const { recipientRoles } = require("./ClientModel");
+
+/**
+ * Delivery statuses
+ * - queued: waiting to be emailed
+ * - sent: accepted by the mail server
+ * - bounced: the mail server refused the recipient
+ * - failed: the email couldn't be sent (connection, PDF, ...)
+ */
+const deliveryStatuses = ["queued", "sent", "bounced", "failed"];
+
+/**
+ * ReportDelivery Schema - the completed report PDF emailed to one recipient
+ * One document per recipient and completed revision, resending reuses it.
+ */
+const reportDeliverySchema = new mongoose.Schema(
+  {
+    report: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Report",
+      required: true,
+      index: true,
+    },
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job",
+      required: true,
+    },
+    // Completed revision whose PDF was sent
+    revision: { type: Number, required: true },
+    name: { type: String, default: "" },
+    email: { type: String, required: true },
+    role: { type: String, enum: recipientRoles, default: "other" },
+    // Which list the recipient came from
+    source: { type: String, enum: ["job", "client"], required: true },
+    status: {
+      type: String,
+      enum: deliveryStatuses,
+      default: "queued",
+    },
+    attempts: { type: Number, default: 0 },
+    messageId: { type: String, default: null },
+    lastError: { type: String, default: "" },
+    lastAttemptAt: { type: Date, default: null },
+    sentAt: { type: Date, default: null },
+    // Admin who asked for the last resend (null for the automatic send)
+    lastRequestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  { timestamps: true, versionKey: false },
+);
+
+reportDeliverySchema.index(
+  { report: 1, revision: 1, email: 1 },
+  { unique: true },
+);
+
+const ReportDeliveryModel = mongoose.model(
+  "ReportDelivery",
+  reportDeliverySchema,
+);
+
+module.exports = ReportDeliveryModel;
+module.exports.deliveryStatuses = deliveryStatuses;
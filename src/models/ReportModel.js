@@ -1,5 +1,225 @@
 const mongoose = require("mongoose");
 
+/**
+ * Resized copy of a report photo (see utils/imageVariants)
+ */
+const imageVariantSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    url: { type: String, required: true },
+    width: { type: Number },
+    height: { type: Number },
+    size: { type: Number },
+  },
+  { _id: false },
+);
+
+/**
+ * Review decisions an admin may take: current status -> statuses it may
+ * move to. Drafts and rejected reports wait for the inspector, archiving
+ * has its own endpoint.
+ */
+const reportStatusTransitions = {
+  draft: [],
+  submitted: ["completed", "rejected"],
+  "re-submitted": ["completed", "rejected"],
+  rejected: [],
+  // Reopened by sending it back to the inspector
+  completed: ["rejected"],
+  archived: [],
+};
+
+/**
+ * Problems found when checking where and when a photo was taken
+ */
+const photoCaptureFlags = {
+  MISSING_CAPTURE_TIME: "missing_capture_time",
+  TAKEN_BEFORE_JOB_CREATED: "taken_before_job_created",
+  TAKEN_AFTER_SUBMISSION: "taken_after_submission",
+  MISSING_LOCATION: "missing_location",
+  TOO_FAR_FROM_JOB: "too_far_from_job",
+};
+
+/**
+ * When and where a photo was taken (from EXIF) and what looks wrong about it
+ */
+const imageCaptureSchema = new mongoose.Schema(
+  {
+    takenAt: { type: Date, default: null },
+    // false when the camera didn't record its UTC offset
+    timeZoneKnown: { type: Boolean, default: false },
+    latitude: { type: Number, default: null },
+    longitude: { type: Number, default: null },
+    // null when either the photo or the job has no location
+    distanceFromJobMeters: { type: Number, default: null },
+    flags: [{ type: String, enum: Object.values(photoCaptureFlags) }],
+    checkedAt: { type: Date, default: null },
+  },
+  { _id: false },
+);
+
+/**
+ * A photo from another job's report that looks like the same picture
+ */
+const imageDuplicateSchema = new mongoose.Schema(
+  {
+    report: { type: mongoose.Types.ObjectId, ref: "Report", required: true },
+    job: { type: mongoose.Types.ObjectId, ref: "Job", required: true },
+    inspector: { type: mongoose.Types.ObjectId, ref: "User" },
+    // Label text as stored on images[].imageLabel
+    imageLabel: { type: String, required: true },
+    url: { type: String, required: true },
+    // Differing perceptual hash bits, 0 = identical picture
+    distance: { type: Number, required: true },
+  },
+  { _id: false },
+);
+
+/**
+ * FHA Final Compliance acknowledgement the inspector gave by submitting
+ */
+const reportAcknowledgementSchema = new mongoose.Schema(
+  {
+    // Acknowledged text as it was at submission (HTML)
+    content: { type: String, required: true },
+    contentHash: { type: String, required: true },
+    acknowledgedBy: {
+      type: mongoose.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    acknowledgedAt: { type: Date, required: true },
+  },
+  { _id: false },
+);
+
+/**
+ * One signing event: the inspector signs each submission and the
+ * reviewer signs the completion. Entries are only ever appended.
+ */
+const reportSignatureSchema = new mongoose.Schema(
+  {
+    role: { type: String, enum: ["inspector", "reviewer"], required: true },
+    // Submission (ReportRevision number) the signature applies to
+    revision: { type: Number, required: true },
+    signedBy: { type: mongoose.Types.ObjectId, ref: "User", required: true },
+    // Signer name and signature image as they were when signing
+    name: { type: String, required: true },
+    signatureKey: { type: String, required: true },
+    signatureUrl: { type: String, required: true },
+    signedAt: { type: Date, required: true },
+    ip: { type: String, default: "" },
+    userAgent: { type: String, default: "" },
+  },
+  { _id: false },
+);
+
+/**
+ * Verification of the completed report PDF
+ * The PDF is rendered once per completed revision and kept as issued,
+ * lenders check a copy against its hash via the public verify endpoint.
+ */
+const reportVerificationSchema = new mongoose.Schema(
+  {
+    // Printed in the PDF footer (QR code and short URL)
+    code: { type: String, required: true },
+    // Completed submission the PDF shows
+    revision: { type: Number, required: true },
+    // Set once the PDF is rendered and stored
+    sha256: { type: String, default: null },
+    pdfKey: { type: String, default: null },
+    issuedAt: { type: Date, default: null },
+  },
+  { _id: false },
+);
+
+/**
+ * Result of one FHA Final Compliance checklist item
+ */
+const complianceAnswers = ["pass", "fail", "na", "not_observed"];
+
+/**
+ * Inspector's answer to one checklist item, with the item as it was worded
+ */
+const reportChecklistAnswerSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true },
+    text: { type: String, required: true },
+    answer: { type: String, enum: complianceAnswers, required: true },
+    comment: { type: String, trim: true, default: "" },
+    // Labels (text as on images[].imageLabel) of the photos showing it
+    imageLabels: { type: [String], default: [] },
+  },
+  { _id: false },
+);
+
+/**
+ * FHA Final Compliance checklist answered with a submission
+ */
+const reportChecklistSchema = new mongoose.Schema(
+  {
+    // Checklist version the answers were given against
+    version: { type: String, required: true },
+    answers: { type: [reportChecklistAnswerSchema], default: [] },
+    answeredBy: { type: mongoose.Types.ObjectId, ref: "User" },
+    answeredAt: { type: Date, required: true },
+  },
+  { _id: false },
+);
+
+/**
+ * How bad a deficiency is
+ */
+const deficiencySeverities = ["minor", "major", "critical"];
+
+/**
+ * open: still to be corrected, corrected: verified as fixed
+ */
+const deficiencyStatuses = ["open", "corrected"];
+
+/**
+ * Something that failed the inspection, recorded by the inspector or
+ * the reviewer
+ */
+const reportDeficiencySchema = new mongoose.Schema(
+  {
+    imageLabelId: {
+      type: mongoose.Types.ObjectId,
+      ref: "ImageLabel",
+      required: true,
+    },
+    // Label text as stored on images[].imageLabel
+    imageLabel: { type: String, required: true },
+    severity: { type: String, enum: deficiencySeverities, required: true },
+    description: { type: String, trim: true, required: true },
+    requiredCorrection: { type: String, trim: true, default: "" },
+    // Photos of the report showing it (images[]._id)
+    images: [{ type: mongoose.Types.ObjectId }],
+    status: { type: String, enum: deficiencyStatuses, default: "open" },
+    createdBy: { type: mongoose.Types.ObjectId, ref: "User", required: true },
+    lastUpdatedBy: { type: mongoose.Types.ObjectId, ref: "User" },
+    correctedAt: { type: Date, default: null },
+    correctedBy: { type: mongoose.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true },
+);
+
+/**
+ * One report status change, kept for the report timeline
+ */
+const reportStatusHistorySchema = new mongoose.Schema(
+  {
+    from: { type: String, default: null },
+    to: { type: String, required: true },
+    // null when the system made the change (e.g. auto-archive)
+    changedBy: { type: mongoose.Types.ObjectId, ref: "User", default: null },
+    // Rejection reason or completion comment
+    reason: { type: String, trim: true, default: "" },
+    changedAt: { type: Date, default: Date.now },
+  },
+  { _id: false },
+);
+
 const reportSchema = new mongoose.Schema(
   {
     inspector: {
@@ -21,6 +241,8 @@ const reportSchema = new mongoose.Schema(
         key: { type: String, required: true },
         fileName: { type: String, required: true },
         alt: { type: String, default: "" },
+        // Short inspector note shown under the photo
+        note: { type: String, trim: true, maxlength: 250, default: "" },
         uploadedBy: {
           type: mongoose.Schema.Types.ObjectId,
           ref: "User",
@@ -28,20 +250,97 @@ const reportSchema = new mongoose.Schema(
         },
         mimeType: { type: String, required: true },
         size: { type: Number, required: true },
+        // Auto-oriented display version and thumbnail, missing if processing failed
+        variants: {
+          display: { type: imageVariantSchema },
+          thumbnail: { type: imageVariantSchema },
+        },
+        // EXIF capture time/GPS and the flags raised on them
+        capture: { type: imageCaptureSchema },
+        // dHash of the picture (see utils/perceptualHash)
+        perceptualHash: { type: String, default: null },
+        // Index keys for near-match lookups (see getHashBands)
+        perceptualHashBands: { type: [String], default: undefined },
+        // Likely reused photos from other jobs, set on submission
+        duplicates: { type: [imageDuplicateSchema], default: undefined },
       },
     ],
     status: {
       type: String,
-      enum: ["re-submitted","submitted", "completed", "rejected", "archived"],
+      // draft: photos still being uploaded, hidden from admins until finalized
+      enum: [
+        "draft",
+        "re-submitted",
+        "submitted",
+        "completed",
+        "rejected",
+        "archived",
+      ],
       default: "submitted",
       index: true,
     },
     noteForAdmin: { type: String, trim: true, default: "" },
+    // Given on every submission, missing on reports from before it was recorded
+    acknowledgement: { type: reportAcknowledgementSchema, default: undefined },
+    // Checklist answers of the latest submission, null when not answered
+    checklist: { type: reportChecklistSchema, default: null },
+    // Signing events, oldest first
+    signatures: {
+      type: [reportSignatureSchema],
+      default: [],
+    },
+    // Verification of the issued PDF, null until a completed PDF is requested
+    verification: { type: reportVerificationSchema, default: null },
+    // Latest ReportRevision number (0 for reports from before revisions)
+    currentRevision: { type: Number, default: 0 },
+    // Labels an admin rejected, only these come back on resubmission
+    rejectedLabels: [
+      {
+        _id: false,
+        imageLabelId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "ImageLabel",
+          required: true,
+        },
+        // Label text as stored on images[].imageLabel
+        imageLabel: { type: String, required: true },
+        comment: { type: String, trim: true, required: true },
+        rejectedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        rejectedAt: { type: Date, default: Date.now },
+      },
+    ],
+    // What failed, in the order it was recorded
+    deficiencies: {
+      type: [reportDeficiencySchema],
+      default: [],
+    },
+    // Every status change, oldest first
+    statusHistory: {
+      type: [reportStatusHistorySchema],
+      default: [],
+    },
     completedAt: { type: Date, default: null, index: true },
   },
   { timestamps: true, versionKey: false },
 );
 
 reportSchema.index({ status: 1, completedAt: 1 });
+reportSchema.index({ "images.perceptualHash": 1 });
+reportSchema.index({ "images.perceptualHashBands": 1 });
+reportSchema.index({ "deficiencies.status": 1 });
+reportSchema.index({ "verification.code": 1 }, { unique: true, sparse: true });
 
-module.exports = mongoose.model("Report", reportSchema);
\ No newline at end of file
+module.exports = mongoose.model("Report", reportSchema);
+module.exports.imageVariantSchema = imageVariantSchema;
+module.exports.imageCaptureSchema = imageCaptureSchema;
+module.exports.imageDuplicateSchema = imageDuplicateSchema;
+module.exports.reportAcknowledgementSchema = reportAcknowledgementSchema;
+module.exports.reportSignatureSchema = reportSignatureSchema;
+module.exports.reportVerificationSchema = reportVerificationSchema;
+module.exports.reportDeficiencySchema = reportDeficiencySchema;
+module.exports.reportChecklistSchema = reportChecklistSchema;
+module.exports.complianceAnswers = complianceAnswers;
+module.exports.deficiencySeverities = deficiencySeverities;
+module.exports.deficiencyStatuses = deficiencyStatuses;
+module.exports.photoCaptureFlags = photoCaptureFlags;
+module.exports.reportStatusTransitions = reportStatusTransitions;
\ No newline at end of file
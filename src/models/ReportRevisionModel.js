@@ -0,0 +1,102 @@
+const mongoose = require("mongoose");
+
+const {
+  imageCaptureSchema,
+  imageDuplicateSchema,
+  imageVariantSchema,
+  reportAcknowledgementSchema,
+  reportChecklistSchema,
+} = require("./ReportModel");
+
+/**
+ * Image as it was submitted in a revision (same shape as report images)
+ */
+const revisionImageSchema = new mongoose.Schema(
+  {
+    imageLabel: { type: String, required: true },
+    url: { type: String, required: true },
+    key: { type: String, required: true },
+    fileName: { type: String, required: true },
+    alt: { type: String, default: "" },
+    note: { type: String, default: "" },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    mimeType: { type: String },
+    size: { type: Number },
+    variants: {
+      display: { type: imageVariantSchema },
+      thumbnail: { type: imageVariantSchema },
+    },
+    capture: { type: imageCaptureSchema },
+    perceptualHash: { type: String },
+    duplicates: { type: [imageDuplicateSchema], default: undefined },
+  },
+  { _id: false },
+);
+
+/**
+ * ReportRevision Schema - one immutable snapshot per report submission
+ *
+ * Every submission and resubmission of a report is kept for audits with
+ * its images, note and submitter. The only thing written later is the
+ * admin decision that followed the submission, and only once.
+ */
+const reportRevisionSchema = new mongoose.Schema(
+  {
+    report: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Report",
+      required: true,
+      immutable: true,
+    },
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Job",
+      required: true,
+      immutable: true,
+    },
+    // 1 for the first submission, +1 per resubmission
+    revision: { type: Number, required: true, immutable: true },
+    // Report status the submission produced (submitted / re-submitted)
+    status: { type: String, required: true, immutable: true },
+    images: { type: [revisionImageSchema], immutable: true },
+    noteForAdmin: { type: String, default: "", immutable: true },
+    acknowledgement: { type: reportAcknowledgementSchema, immutable: true },
+    checklist: { type: reportChecklistSchema, immutable: true },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      immutable: true,
+    },
+    submittedAt: { type: Date, required: true, immutable: true },
+    // Admin decision on this submission
+    decision: {
+      status: {
+        type: String,
+        enum: ["completed", "rejected", null],
+        default: null,
+      },
+      decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      decidedAt: { type: Date },
+      // Rejection reason or completion comment
+      reason: { type: String, default: "" },
+      rejectedLabels: [
+        {
+          _id: false,
+          imageLabelId: { type: mongoose.Schema.Types.ObjectId },
+          imageLabel: { type: String },
+          comment: { type: String },
+        },
+      ],
+    },
+  },
+  { timestamps: true, versionKey: false },
+);
+
+reportRevisionSchema.index({ report: 1, revision: 1 }, { unique: true });
+
+const ReportRevisionModel = mongoose.model(
+  "ReportRevision",
+  reportRevisionSchema,
+);
+
+module.exports = ReportRevisionModel;
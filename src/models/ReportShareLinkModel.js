@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+
+// Access log entries kept per link (oldest are dropped first)
+const MAX_SHARE_LINK_ACCESSES = 500;
+
+/**
+ * One request to a share link, downloaded or refused
+ */
+const shareLinkAccessSchema = new mongoose.Schema(
+  {
+    accessedAt: { type: Date, default: Date.now },
+    ip: { type: String, default: "" },
+    userAgent: { type: String, default: "" },
+    // downloaded, or why it was refused: revoked | expired | limit_reached
+    // | password_required | wrong_password | unavailable
+    outcome: { type: String, required: true },
+  },
+  { _id: false },
+);
+
+/**
+ * ReportShareLink Schema - link an admin sends to a lender to download
+ * the report PDF without an account
+ *
+ * Only a hash of the token is stored, the link itself is shown once.
+ */
+const reportShareLinkSchema = new mongoose.Schema(
+  {
+    report: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Report",
+      required: true,
+      index: true,
+    },
+    tokenHash: { type: String, required: true, unique: true },
+    // Who the link was sent to, for the admins
+    label: { type: String, trim: true, default: "" },
+    expiresAt: { type: Date, required: true },
+    passwordHash: { type: String, default: null },
+    // null means no limit
+    maxDownloads: { type: Number, default: null },
+    downloadCount: { type: Number, default: 0 },
+    revokedAt: { type: Date, default: null },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    accesses: { type: [shareLinkAccessSchema], default: [] },
+  },
+  { timestamps: true, versionKey: false },
+);
+
+const ReportShareLinkModel = mongoose.model(
+  "ReportShareLink",
+  reportShareLinkSchema,
+);
+
+module.exports = ReportShareLinkModel;
+module.exports.MAX_SHARE_LINK_ACCESSES = MAX_SHARE_LINK_ACCESSES;
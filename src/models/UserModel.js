@@ -16,6 +16,25 @@ const createUserId = () => {
   return id;
 };
 
+// Where a signature image came from
+const signatureSources = ["drawn", "uploaded"];
+
+/**
+ * Signature image used to sign reports (stored in S3)
+ * Replaced images are kept in S3, signed reports still point at them.
+ */
+const userSignatureSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    url: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    source: { type: String, enum: signatureSources, required: true },
+    updatedAt: { type: Date, default: Date.now },
+  },
+  { _id: false },
+);
+
 /**
  * User schema for authentication and authorization
  * @typedef {Object} User
@@ -65,6 +84,17 @@ const userSchema = new mongoose.Schema(
         },
       ],
     },
+    // Inspector license printed on report PDFs
+    licenseNumber: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    // Signature printed on the reports the user signs
+    signature: {
+      type: userSignatureSchema,
+      default: null,
+    },
     isSuspended: {
       type: Boolean,
       default: false, // User account is active by default
@@ -121,6 +151,7 @@ userSchema.methods.toSafeObject = function () {
 
 const UserModel = mongoose.model("User", userSchema);
 module.exports = UserModel;
+module.exports.signatureSources = signatureSources;
 
 userSchema.index({
   firstName: "text",
@@ -0,0 +1,103 @@
+const express = require("express");
+const multer = require("multer");
+
+const router = express.Router();
+
+const {
+  getBrandingSettingsController,
+  updateBrandingSettingsController,
+  setBrandingLogoController,
+  removeBrandingLogoController,
+  previewBrandingController,
+} = require("../controllers/BrandingSettingsControllers");
+const { authenticate, authorizeRoles } = require("../middleware/auth");
+const { validate } = require("../utils/validator");
+const {
+  updateBrandingSettingsSchema,
+  brandingPreviewSchema,
+  brandingLogoParamsSchema,
+} = require("../validators/admin/brandingSettings");
+
+// Multer setup for in-memory logo upload
+const storage = multer.memoryStorage();
+const upload = multer({ storage, limits: { fileSize: 2 * 1024 * 1024 } });
+
+// All branding settings routes require authentication
+router.use(authenticate);
+
+/**
+ * Get branding settings
+ *
+ * @route GET /api/v1/branding-settings
+ * Private route - only root (0) and admin (1) can access
+ *
+ * @returns {Object} Logos, company lines and license lines
+ */
+router.get("/", authorizeRoles(0, 1), getBrandingSettingsController);
+
+/**
+ * Update the company and license lines
+ *
+ * @route PUT /api/v1/branding-settings
+ * Private route - only root (0) and admin (1) can update
+ *
+ * @param {Object} req.body - { companyLines?: string[], licenseLines?: string[] }
+ * @returns {Object} Updated branding settings
+ */
+router.put(
+  "/",
+  authorizeRoles(0, 1),
+  validate(updateBrandingSettingsSchema, { target: "body" }),
+  updateBrandingSettingsController,
+);
+
+/**
+ * Render a sample report PDF with the branding
+ *
+ * @route POST /api/v1/branding-settings/preview
+ * Private route - only root (0) and admin (1) can preview
+ *
+ * @param {Object} req.body - unsaved { companyLines?, licenseLines? } and formType?
+ * @returns {Buffer} PDF
+ */
+router.post(
+  "/preview",
+  authorizeRoles(0, 1),
+  validate(brandingPreviewSchema, { target: "body" }),
+  previewBrandingController,
+);
+
+/**
+ * Upload the logo of one slot (multipart field "logo")
+ *
+ * @route PUT /api/v1/branding-settings/logos/:slot
+ * Private route - only root (0) and admin (1) can update
+ *
+ * @param {string} req.params.slot - header | footerLeft | footerRight
+ * @returns {Object} Updated branding settings
+ */
+router.put(
+  "/logos/:slot",
+  authorizeRoles(0, 1),
+  validate(brandingLogoParamsSchema, { target: "params" }),
+  upload.single("logo"),
+  setBrandingLogoController,
+);
+
+/**
+ * Remove the uploaded logo of one slot, the bundled logo is used again
+ *
+ * @route DELETE /api/v1/branding-settings/logos/:slot
+ * Private route - only root (0) and admin (1) can update
+ *
+ * @param {string} req.params.slot - header | footerLeft | footerRight
+ * @returns {Object} Updated branding settings
+ */
+router.delete(
+  "/logos/:slot",
+  authorizeRoles(0, 1),
+  validate(brandingLogoParamsSchema, { target: "params" }),
+  removeBrandingLogoController,
+);
+
+module.exports = router;
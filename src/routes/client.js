@@ -0,0 +1,112 @@
+const express = require("express");
+
+const router = express.Router();
+
+const {
+  createClientController,
+  getClientsController,
+  getClientController,
+  updateClientController,
+  deleteClientController,
+} = require("../controllers/ClientControllers");
+const { authenticate, authorizeRoles } = require("../middleware/auth");
+const { validate } = require("../utils/validator");
+const {
+  createClientSchema,
+  updateClientSchema,
+} = require("../validators/client/client");
+const { mongoIdSchema } = require("../validators/common/mongoId");
+const {
+  searchAndPaginationSchema,
+} = require("../validators/common/searchAndPagination");
+
+// Apply authentication middleware to ALL routes in this router
+router.use(authenticate);
+
+/**
+ * Create a client with its default report recipients
+ *
+ * @route POST /api/v1/client
+ * Private route — only root (0) and admin (1) can access
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.post(
+  "/",
+  authorizeRoles(0, 1),
+  validate(createClientSchema, { target: "body" }),
+  createClientController,
+);
+
+/**
+ * Get list of clients with optional search & pagination
+ *
+ * @route GET /api/v1/client
+ * Private route — only root (0) and admin (1) can access
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.get(
+  "/",
+  authorizeRoles(0, 1),
+  validate(searchAndPaginationSchema, { target: "query" }),
+  getClientsController,
+);
+
+/**
+ * Get a single client by id
+ *
+ * @route GET /api/v1/client/:id
+ * Private route — only root (0) and admin (1) can access
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.get(
+  "/:id",
+  authorizeRoles(0, 1),
+  validate(mongoIdSchema, { target: "params" }),
+  getClientController,
+);
+
+/**
+ * Update a client
+ *
+ * @route PUT /api/v1/client/:id
+ * Private route — only root (0) and admin (1) can access
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.put(
+  "/:id",
+  authorizeRoles(0, 1),
+  validate(mongoIdSchema, { target: "params" }),
+  validate(updateClientSchema, { target: "body" }),
+  updateClientController,
+);
+
+/**
+ * Delete a client no job is linked to
+ *
+ * @route DELETE /api/v1/client/:id
+ * Private route — only root (0) and admin (1) can access
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.delete(
+  "/:id",
+  authorizeRoles(0, 1),
+  validate(mongoIdSchema, { target: "params" }),
+  deleteClientController,
+);
+
+module.exports = router;
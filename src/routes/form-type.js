@@ -0,0 +1,110 @@
+const express = require("express");
+
+const router = express.Router();
+
+const {
+  createFormTypeController,
+  getFormTypesController,
+  getFormTypeController,
+  updateFormTypeController,
+  deleteFormTypeController,
+} = require("../controllers/FormTypeControllers");
+const { authenticate, authorizeRoles } = require("../middleware/auth");
+const { validate } = require("../utils/validator");
+const { mongoIdSchema } = require("../validators/common/mongoId");
+const {
+  createFormTypeSchema,
+  updateFormTypeSchema,
+  listFormTypesSchema,
+} = require("../validators/form-type/formType");
+
+// All form type routes require authentication
+router.use(authenticate);
+
+/**
+ * Create a new form type
+ *
+ * @route POST /api/v1/form-type
+ * Private route — only root (0) and admin (1) can create form types
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.post(
+  "/",
+  authorizeRoles(0, 1),
+  validate(createFormTypeSchema, { target: "body" }),
+  createFormTypeController
+);
+
+/**
+ * Get list of form types
+ *
+ * @route GET /api/v1/form-type?includeInactive=true
+ * Private route - any authenticated user, inactive types are admin only
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.get(
+  "/",
+  authorizeRoles(0, 1, 2),
+  validate(listFormTypesSchema, { target: "query" }),
+  getFormTypesController
+);
+
+/**
+ * Get a single form type by id
+ *
+ * @route GET /api/v1/form-type/:id
+ * Private route - any authenticated user
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.get(
+  "/:id",
+  authorizeRoles(0, 1, 2),
+  validate(mongoIdSchema, { target: "params" }),
+  getFormTypeController
+);
+
+/**
+ * Update an existing form type
+ *
+ * @route PUT /api/v1/form-type/:id
+ * Private route - only root (0) and admin (1) can update form types
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.put(
+  "/:id",
+  authorizeRoles(0, 1),
+  validate(mongoIdSchema, { target: "params" }),
+  validate(updateFormTypeSchema, { target: "body" }),
+  updateFormTypeController
+);
+
+/**
+ * Delete a form type that no job uses
+ *
+ * @route DELETE /api/v1/form-type/:id
+ * Private route - only root (0) and admin (1) can delete form types
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.delete(
+  "/:id",
+  authorizeRoles(0, 1),
+  validate(mongoIdSchema, { target: "params" }),
+  deleteFormTypeController
+);
+
+module.exports = router;
@@ -3,6 +3,7 @@ const express = require("express");
 const router = express.Router();
 
 const {
+  getComplianceChecklistController,
   getInspectorAcknowledgementController,
 } = require("../controllers/TermsAndPolicyControllers");
 
@@ -17,4 +18,16 @@ const {
  */
 router.get("/", getInspectorAcknowledgementController);
 
+/**
+ * Get the FHA Final Compliance checklist items inspectors answer when
+ * submitting a report, with the template version and allowed answers
+ *
+ * @route GET /api/v1/inspector-acknowledgement/checklist
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.get("/checklist", getComplianceChecklistController);
+
 module.exports = router;
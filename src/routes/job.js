@@ -1,12 +1,19 @@
 const express = require("express");
+const multer = require("multer");
 
 const router = express.Router();
 
 const {
   createJobController,
   getJobsController,
+  exportJobsController,
   getJobByIdController,
   updateJobController,
+  updateJobStatusController,
+  reassignJobController,
+  createReinspectionJobController,
+  getJobChecklistController,
+  importJobsController,
   deleteJobController,
   getMyJobsController,
 } = require("../controllers/JobControllers");
@@ -16,7 +23,20 @@ const { mongoIdSchema } = require("../validators/common/mongoId");
 const {
   searchAndPaginationSchema,
 } = require("../validators/common/searchAndPagination");
-const { createJobSchema, updateJobSchema } = require("../validators/job/job");
+const {
+  createJobSchema,
+  updateJobSchema,
+  updateJobStatusSchema,
+  reassignJobSchema,
+  reinspectionJobSchema,
+  importJobsQuerySchema,
+  exportJobsSchema,
+  jobChecklistQuerySchema,
+} = require("../validators/job/job");
+
+// Multer setup for in-memory spreadsheet upload
+const storage = multer.memoryStorage();
+const upload = multer({ storage, limits: { fileSize: 5 * 1024 * 1024 } });
 
 // All job routes require authentication
 router.use(authenticate);
@@ -38,6 +58,25 @@ router.post(
   createJobController
 );
 
+/**
+ * Import jobs from a CSV or XLSX file
+ *
+ * @route POST /api/v1/job/import?dryRun=true|false
+ * Private route — only root (0) and admin (1) can import jobs.
+ * Dry run (default) validates every row without creating anything.
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.post(
+  "/import",
+  authorizeRoles(0, 1),
+  upload.single("file"),
+  validate(importJobsQuerySchema, { target: "query" }),
+  importJobsController
+);
+
 /**
  * Get list of jobs with optional search & pagination
  *
@@ -55,6 +94,23 @@ router.get(
   getJobsController
 );
 
+/**
+ * Export jobs matching the list filters
+ *
+ * @route GET /api/v1/job/export?format=csv|xlsx
+ * Private route - only root (0) and admin (1) can export jobs
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.get(
+  "/export",
+  authorizeRoles(0, 1),
+  validate(exportJobsSchema, { target: "query" }),
+  exportJobsController
+);
+
 /**
  * Get jobs assigned to the logged-in user (my jobs)
  *
@@ -85,6 +141,24 @@ router.get(
   getJobByIdController
 );
 
+/**
+ * Get the photo checklist of a job's form type with progress
+ *
+ * @route GET /api/v1/job/:id/checklist?imageLabels=<id>,<id>
+ * Private route - root (0) and admin (1), inspector (2) for their own jobs
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.get(
+  "/:id/checklist",
+  authorizeRoles(0, 1, 2),
+  validate(mongoIdSchema, { target: "params" }),
+  validate(jobChecklistQuerySchema, { target: "query" }),
+  getJobChecklistController
+);
+
 /**
  * Update an existing job
  *
@@ -103,6 +177,63 @@ router.put(
   updateJobController
 );
 
+/**
+ * Move a job to another lifecycle status
+ *
+ * @route PATCH /api/v1/job/:id/status
+ * Private route - root (0) and admin (1) can set any manual status,
+ * inspector (2) can only accept or check in on their own job
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.patch(
+  "/:id/status",
+  authorizeRoles(0, 1, 2),
+  validate(mongoIdSchema, { target: "params" }),
+  validate(updateJobStatusSchema, { target: "body" }),
+  updateJobStatusController
+);
+
+/**
+ * Reassign a job to another inspector
+ *
+ * @route POST /api/v1/job/:id/reassign
+ * Private route - only root (0) and admin (1) can reassign jobs,
+ * only root (0) can force it after a report was submitted
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.post(
+  "/:id/reassign",
+  authorizeRoles(0, 1),
+  validate(mongoIdSchema, { target: "params" }),
+  validate(reassignJobSchema, { target: "body" }),
+  reassignJobController
+);
+
+/**
+ * Create a re-inspection of a job whose report failed, linked to the
+ * original job and report with its open deficiencies to verify
+ *
+ * @route POST /api/v1/job/:id/reinspection
+ * Private route - only root (0) and admin (1) can create re-inspections
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.post(
+  "/:id/reinspection",
+  authorizeRoles(0, 1),
+  validate(mongoIdSchema, { target: "params" }),
+  validate(reinspectionJobSchema, { target: "body" }),
+  createReinspectionJobController
+);
+
 /**
  * Delete a job
  *
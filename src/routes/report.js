@@ -11,12 +11,40 @@ const {
 const {
   createReportController,
   getReportsController,
+  exportReportsController,
+  getDuplicateImagesController,
   getReportByIdController,
   deleteReportController,
   updateReportStatusController,
   getReportPdfController,
   resubmitReportController,
+  getReportRevisionsController,
+  getReportRevisionPdfController,
 } = require("../controllers/ReportControllers");
+const {
+  addReportDeficiencyController,
+  updateReportDeficiencyController,
+  removeReportDeficiencyController,
+} = require("../controllers/ReportDeficiencyControllers");
+const {
+  getReportDeliveriesController,
+  deliverReportController,
+  resendReportDeliveryController,
+} = require("../controllers/ReportDeliveryControllers");
+const {
+  createDraftReportController,
+  getDraftReportController,
+  setDraftLabelImagesController,
+  removeDraftLabelImagesController,
+  createDraftUploadUrlsController,
+  confirmDraftUploadsController,
+  finalizeDraftReportController,
+} = require("../controllers/ReportDraftControllers");
+const {
+  createShareLinkController,
+  getShareLinksController,
+  revokeShareLinkController,
+} = require("../controllers/ReportShareLinkControllers");
 const { authenticate, authorizeRoles } = require("../middleware/auth");
 const { validate } = require("../utils/validator");
 const { mongoIdSchema } = require("../validators/common/mongoId");
@@ -24,13 +52,36 @@ const {
   restoreArchiveSchema,
   permanentDeleteSchema,
 } = require("../validators/report/archive");
+const {
+  createDeficiencySchema,
+  updateDeficiencySchema,
+  deficiencyParamsSchema,
+} = require("../validators/report/deficiency");
+const {
+  reportDeliveryParamsSchema,
+} = require("../validators/report/delivery");
+const {
+  createDraftReportSchema,
+  draftLabelParamsSchema,
+  draftLabelImagesSchema,
+  draftUploadUrlsSchema,
+  confirmDraftUploadsSchema,
+  finalizeDraftReportSchema,
+} = require("../validators/report/draft");
 const {
   createReportSchema,
   updateReportStatusSchema,
   resubmitReportSchema,
+  reportRevisionParamsSchema,
   reportPaginationSchema,
+  exportReportsSchema,
+  duplicateImagesQuerySchema,
   handleGroupedImages,
 } = require("../validators/report/report");
+const {
+  createShareLinkSchema,
+  shareLinkParamsSchema,
+} = require("../validators/report/shareLink");
 
 // Multer setup for in-memory upload
 const storage = multer.memoryStorage();
@@ -59,6 +110,133 @@ router.post(
   createReportController,
 );
 
+/**
+ * Start a draft report for a job, or resume the one already started
+ *
+ * @route POST /api/v1/report/draft
+ * Private route — only the inspector (2) assigned to the job
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.post(
+  "/draft",
+  authorizeRoles(2),
+  validate(createDraftReportSchema, { target: "body" }),
+  createDraftReportController,
+);
+
+/**
+ * Get a draft report with its uploaded labels and checklist progress
+ *
+ * @route GET /api/v1/report/:id/draft
+ * Private route — only the inspector (2) of the draft
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.get(
+  "/:id/draft",
+  authorizeRoles(2),
+  validate(mongoIdSchema, { target: "params" }),
+  getDraftReportController,
+);
+
+/**
+ * Add or replace the photos of one image label on a draft
+ *
+ * @route PUT /api/v1/report/:id/draft/images/:imageLabel
+ * Private route — only the inspector (2) of the draft
+ * Multipart: images (1-2 files), note (once, or once per photo)
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.put(
+  "/:id/draft/images/:imageLabel",
+  authorizeRoles(2),
+  validate(draftLabelParamsSchema, { target: "params" }),
+  upload.array("images"),
+  validate(draftLabelImagesSchema, { target: "body" }),
+  setDraftLabelImagesController,
+);
+
+/**
+ * Remove the photos of one image label from a draft
+ *
+ * @route DELETE /api/v1/report/:id/draft/images/:imageLabel
+ * Private route — only the inspector (2) of the draft
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.delete(
+  "/:id/draft/images/:imageLabel",
+  authorizeRoles(2),
+  validate(draftLabelParamsSchema, { target: "params" }),
+  removeDraftLabelImagesController,
+);
+
+/**
+ * Get presigned PUT URLs to upload the photos of one label straight to S3
+ *
+ * @route POST /api/v1/report/:id/draft/images/:imageLabel/upload-urls
+ * Private route — only the inspector (2) of the draft
+ * Body: { files: [{ fileName, contentType, size }] } (1-2 files)
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.post(
+  "/:id/draft/images/:imageLabel/upload-urls",
+  authorizeRoles(2),
+  validate(draftLabelParamsSchema, { target: "params" }),
+  validate(draftUploadUrlsSchema, { target: "body" }),
+  createDraftUploadUrlsController,
+);
+
+/**
+ * Confirm presigned uploads and attach them to the label on a draft
+ *
+ * @route POST /api/v1/report/:id/draft/images/:imageLabel/confirm
+ * Private route — only the inspector (2) of the draft
+ * Body: { uploads: [{ key, fileName, contentType, size, note? }] }
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.post(
+  "/:id/draft/images/:imageLabel/confirm",
+  authorizeRoles(2),
+  validate(draftLabelParamsSchema, { target: "params" }),
+  validate(confirmDraftUploadsSchema, { target: "body" }),
+  confirmDraftUploadsController,
+);
+
+/**
+ * Submit a draft report once its image label checklist is complete
+ *
+ * @route POST /api/v1/report/:id/draft/finalize
+ * Private route — only the inspector (2) of the draft
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.post(
+  "/:id/draft/finalize",
+  authorizeRoles(2),
+  validate(mongoIdSchema, { target: "params" }),
+  validate(finalizeDraftReportSchema, { target: "body" }),
+  finalizeDraftReportController,
+);
+
 /**
  * Get all reports with optional search and pagination
  *
@@ -76,6 +254,40 @@ router.get(
   getReportsController,
 );
 
+/**
+ * Export reports matching the list filters
+ *
+ * @route GET /api/v1/report/export?format=csv|xlsx
+ * Private route - only root (0) and admin (1) can export reports
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.get(
+  "/export",
+  authorizeRoles(0, 1),
+  validate(exportReportsSchema, { target: "query" }),
+  exportReportsController,
+);
+
+/**
+ * List suspected photo reuse across jobs, per inspector
+ *
+ * @route GET /api/v1/report/duplicates?inspector=<id>
+ * Private route - only root (0) and admin (1) can access
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.get(
+  "/duplicates",
+  authorizeRoles(0, 1),
+  validate(duplicateImagesQuerySchema, { target: "query" }),
+  getDuplicateImagesController,
+);
+
 /**
  * Get a single report by id
  *
@@ -117,6 +329,211 @@ router.patch(
   resubmitReportController,
 );
 
+/**
+ * Download the PDF of a report as it is now
+ *
+ * @route GET /api/v1/report/:id/pdf
+ * Private route - only root (0) and admin (1)
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.get(
+  "/:id/pdf",
+  authorizeRoles(0, 1),
+  validate(mongoIdSchema, { target: "params" }),
+  getReportPdfController,
+);
+
+/**
+ * Create an expiring share link for the PDF of a completed report
+ *
+ * @route POST /api/v1/report/:id/share-links
+ * Private route - only root (0) and admin (1)
+ *
+ * @param {Object} req.body - { expiresInDays?, label?, password?, maxDownloads? }
+ * @returns {Object} The link with its url, shown only once
+ */
+router.post(
+  "/:id/share-links",
+  authorizeRoles(0, 1),
+  validate(mongoIdSchema, { target: "params" }),
+  validate(createShareLinkSchema, { target: "body" }),
+  createShareLinkController,
+);
+
+/**
+ * Get the share links of a report with their access logs
+ *
+ * @route GET /api/v1/report/:id/share-links
+ * Private route - only root (0) and admin (1)
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.get(
+  "/:id/share-links",
+  authorizeRoles(0, 1),
+  validate(mongoIdSchema, { target: "params" }),
+  getShareLinksController,
+);
+
+/**
+ * Revoke a share link
+ *
+ * @route DELETE /api/v1/report/:id/share-links/:linkId
+ * Private route - only root (0) and admin (1)
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.delete(
+  "/:id/share-links/:linkId",
+  authorizeRoles(0, 1),
+  validate(shareLinkParamsSchema, { target: "params" }),
+  revokeShareLinkController,
+);
+
+/**
+ * Record a deficiency on a report
+ *
+ * @route POST /api/v1/report/:id/deficiencies
+ * Private route - root (0) and admin (1), inspector (2) for their own reports
+ *
+ * @param {Object} req.body - { imageLabel, severity, description, requiredCorrection?, images? }
+ * @returns {Object} The deficiency
+ */
+router.post(
+  "/:id/deficiencies",
+  authorizeRoles(0, 1, 2),
+  validate(mongoIdSchema, { target: "params" }),
+  validate(createDeficiencySchema, { target: "body" }),
+  addReportDeficiencyController,
+);
+
+/**
+ * Update a deficiency (only reviewers change its status)
+ *
+ * @route PUT /api/v1/report/:id/deficiencies/:deficiencyId
+ * Private route - root (0) and admin (1), inspector (2) for the ones they recorded
+ *
+ * @param {Object} req.body - any of the recorded fields, status
+ * @returns {Object} The deficiency
+ */
+router.put(
+  "/:id/deficiencies/:deficiencyId",
+  authorizeRoles(0, 1, 2),
+  validate(deficiencyParamsSchema, { target: "params" }),
+  validate(updateDeficiencySchema, { target: "body" }),
+  updateReportDeficiencyController,
+);
+
+/**
+ * Remove a deficiency from a report
+ *
+ * @route DELETE /api/v1/report/:id/deficiencies/:deficiencyId
+ * Private route - root (0) and admin (1), inspector (2) for the ones they recorded
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.delete(
+  "/:id/deficiencies/:deficiencyId",
+  authorizeRoles(0, 1, 2),
+  validate(deficiencyParamsSchema, { target: "params" }),
+  removeReportDeficiencyController,
+);
+
+/**
+ * Get the email deliveries of a report to its distribution lists
+ *
+ * @route GET /api/v1/report/:id/deliveries
+ * Private route - only root (0) and admin (1)
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.get(
+  "/:id/deliveries",
+  authorizeRoles(0, 1),
+  validate(mongoIdSchema, { target: "params" }),
+  getReportDeliveriesController,
+);
+
+/**
+ * Email a completed report to recipients added to the job's or client's
+ * list since it was delivered
+ *
+ * @route POST /api/v1/report/:id/deliveries
+ * Private route - only root (0) and admin (1)
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.post(
+  "/:id/deliveries",
+  authorizeRoles(0, 1),
+  validate(mongoIdSchema, { target: "params" }),
+  deliverReportController,
+);
+
+/**
+ * Email a completed report to one recipient again
+ *
+ * @route POST /api/v1/report/:id/deliveries/:deliveryId/resend
+ * Private route - only root (0) and admin (1)
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.post(
+  "/:id/deliveries/:deliveryId/resend",
+  authorizeRoles(0, 1),
+  validate(reportDeliveryParamsSchema, { target: "params" }),
+  resendReportDeliveryController,
+);
+
+/**
+ * Get every submitted revision of a report with the admin decisions
+ *
+ * @route GET /api/v1/report/:id/revisions
+ * Private route - root (0) and admin (1), inspector (2) for their own reports
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.get(
+  "/:id/revisions",
+  authorizeRoles(0, 1, 2),
+  validate(mongoIdSchema, { target: "params" }),
+  getReportRevisionsController,
+);
+
+/**
+ * Download the PDF of a past revision of a report
+ *
+ * @route GET /api/v1/report/:id/revisions/:revision/pdf
+ * Private route - root (0) and admin (1), inspector (2) for their own reports
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.get(
+  "/:id/revisions/:revision/pdf",
+  authorizeRoles(0, 1, 2),
+  validate(reportRevisionParamsSchema, { target: "params" }),
+  getReportRevisionPdfController,
+);
+
 // router.post(
 //   "/",
 //   authenticate,
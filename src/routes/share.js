@@ -0,0 +1,44 @@
+const express = require("express");
+
+const router = express.Router();
+
+const {
+  openShareLinkController,
+} = require("../controllers/ReportShareLinkControllers");
+const { validate } = require("../utils/validator");
+const {
+  shareTokenParamsSchema,
+  openShareLinkSchema,
+} = require("../validators/report/shareLink");
+
+/**
+ * Download the report PDF of a share link (redirects to a short-lived URL)
+ *
+ * @route GET /api/v1/share/:token
+ * Public route - links without a password
+ *
+ * @param {string} req.params.token - from the share link
+ */
+router.get(
+  "/:token",
+  validate(shareTokenParamsSchema, { target: "params" }),
+  openShareLinkController,
+);
+
+/**
+ * Download the report PDF of a password protected share link
+ *
+ * @route POST /api/v1/share/:token
+ * Public route
+ *
+ * @param {string} req.params.token - from the share link
+ * @param {Object} req.body - { password }
+ */
+router.post(
+  "/:token",
+  validate(shareTokenParamsSchema, { target: "params" }),
+  validate(openShareLinkSchema, { target: "body" }),
+  openShareLinkController,
+);
+
+module.exports = router;
@@ -1,10 +1,13 @@
 const express = require("express");
+const multer = require("multer");
 
 const router = express.Router();
 
 const {
   getUserProfileController,
   updateUserProfileController,
+  setUserSignatureController,
+  removeUserSignatureController,
   getAllUsersController,
   getUserByIdController,
   approveUserController,
@@ -18,9 +21,14 @@ const { mongoIdSchema } = require("../validators/common/mongoId");
 const {
   searchAndPaginationSchema,
 } = require("../validators/common/searchAndPagination");
+const { userSignatureSchema } = require("../validators/user/signature");
 const { updateUserSchema } = require("../validators/user/updateUser");
 const { userSearchAndPaginationSchema } = require("../validators/user/user");
 
+// Multer setup for in-memory signature upload
+const storage = multer.memoryStorage();
+const upload = multer({ storage, limits: { fileSize: 1024 * 1024 } });
+
 // Apply authentication middleware to ALL routes in this router
 router.use(authenticate);
 
@@ -52,6 +60,37 @@ router.put(
   updateUserProfileController
 );
 
+/**
+ * Save logged-in user's signature, used to sign reports
+ * - Uploaded image: multipart file field "signature" (PNG or JPEG)
+ * - Drawn: { image: "data:image/png;base64,..." }
+ *
+ * @route PUT /api/v1/user/profile/signature
+ * Private route
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.put(
+  "/profile/signature",
+  upload.single("signature"),
+  validate(userSignatureSchema, { target: "body" }),
+  setUserSignatureController
+);
+
+/**
+ * Remove logged-in user's signature
+ *
+ * @route DELETE /api/v1/user/profile/signature
+ * Private route
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('express').NextFunction} next
+ */
+router.delete("/profile/signature", removeUserSignatureController);
+
 /**
  * Get all users (root and admin only)
  *
@@ -0,0 +1,32 @@
+const express = require("express");
+
+const router = express.Router();
+
+const {
+  verifyReportController,
+} = require("../controllers/ReportVerificationControllers");
+const { validate } = require("../utils/validator");
+const {
+  verificationCodeParamsSchema,
+  verifyReportQuerySchema,
+} = require("../validators/report/verification");
+
+/**
+ * Verify a report PDF from the code in its footer
+ * Confirms the case number, address and completion date, never the photos.
+ *
+ * @route GET /api/v1/verify/:code
+ * Public route
+ *
+ * @param {string} req.params.code - verification code
+ * @param {string} [req.query.sha256] - hash of the copy being checked
+ * @returns {Object} { code, valid, caseNumber, address, completedAt, issuedAt, sha256, hashMatches? }
+ */
+router.get(
+  "/:code",
+  validate(verificationCodeParamsSchema, { target: "params" }),
+  validate(verifyReportQuerySchema, { target: "query" }),
+  verifyReportController,
+);
+
+module.exports = router;
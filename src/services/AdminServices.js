@@ -1,40 +1,40 @@
 const JobModel = require("../models/JobModel");
-const ReportModel = require("../models/ReportModel");
+
+const { jobStatuses, openJobStatuses } = JobModel;
 
 /**
  * Admin overview stats
  *
- * In-Progress Job Definition:
- * Job exists but NO report created yet
+ * Read straight from the job lifecycle status:
+ * - In-Progress: job still waiting on the inspector (no submission yet)
+ * - Overdue: past due date and not completed, archived or cancelled
  */
 async function adminOverview() {
-  const reportedJobIds = await ReportModel.distinct("job");
-
-  const completedJobIds = await ReportModel.distinct("job", {
-    status: "completed",
-  });
+  const now = new Date();
 
-  const archivedJobIds = await ReportModel.distinct("job", {
-    status: "archived",
-  });
-
-  const [totalJobs, inProgressJobs, overDueJobs, completedJobsCount] =
+  const [totalJobs, inProgressJobs, overDueJobs, completedJobs] =
     await Promise.all([
       JobModel.countDocuments({
-        _id: { $nin: archivedJobIds },
+        status: { $ne: jobStatuses.ARCHIVED },
       }),
 
       JobModel.countDocuments({
-        _id: { $nin: reportedJobIds },
+        status: { $in: openJobStatuses },
       }),
 
       JobModel.countDocuments({
-        dueDate: { $lt: new Date() },
-        _id: { $nin: [...completedJobIds, ...archivedJobIds] },
+        dueDate: { $lt: now },
+        status: {
+          $nin: [
+            jobStatuses.COMPLETED,
+            jobStatuses.ARCHIVED,
+            jobStatuses.CANCELLED,
+          ],
+        },
       }),
 
-      ReportModel.countDocuments({
-        status: "completed",
+      JobModel.countDocuments({
+        status: jobStatuses.COMPLETED,
       }),
     ]);
 
@@ -42,7 +42,7 @@ async function adminOverview() {
     totalJobs,
     inProgressJobs,
     overDueJobs,
-    completedJobs: completedJobsCount,
+    completedJobs,
   };
 }
 
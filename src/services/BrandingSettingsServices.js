@@ -0,0 +1,257 @@
+const fs = require("fs");
+const path = require("path");
+
+const BrandingSettingsModel = require("../models/BrandingSettingsModel");
+const FormTypeModel = require("../models/FormTypeModel");
+const {
+  deleteObject,
+  generateKey,
+  getObjectBuffer,
+  uploadBuffer,
+} = require("../utils/s3");
+
+const { BRANDING_SETTINGS_KEY, brandingLogoSlots } = BrandingSettingsModel;
+
+// Text printed on every PDF before branding settings existed
+const DEFAULT_COMPANY_LINES = [
+  "www.FHAInspection.com / www.artneidich.com",
+  "A division of Lone Star Building Inspection, Inc.",
+];
+const DEFAULT_LICENSE_LINES = [
+  "TREC Lic. # 10546 | TSBPE Lic. # 3836 | Code Enforcement Lic. # 7055 | HUD-FHA Fee Reg.# D683 & 203K – D0931",
+  "ICC Certified Residential Combination Inspector",
+];
+
+const LOGO_MIME_TYPES = ["image/png", "image/jpeg", "image/webp"];
+const MAX_LOGO_SIZE = 2 * 1024 * 1024;
+
+/**
+ * Read a bundled image as a data URI (empty when missing)
+ *
+ * @param {string} fileName - file in public/images
+ * @returns {string}
+ */
+function loadBundledLogo(fileName) {
+  try {
+    const filePath = path.join(__dirname, "../../public/images", fileName);
+    return `data:image/png;base64,${fs.readFileSync(filePath).toString("base64")}`;
+  } catch {
+    return "";
+  }
+}
+
+// Used for the slots without an uploaded logo
+const BUNDLED_LOGOS = {
+  header: loadBundledLogo("logo.png"),
+  footerLeft: loadBundledLogo("footer-logo-left.png"),
+  footerRight: loadBundledLogo("footer-logo-right.png"),
+};
+
+// Uploaded logos as data URIs, by S3 key (a new upload gets a new key)
+const logoDataCache = new Map();
+
+/**
+ * Get branding settings
+ * If no document exists, create one with the text PDFs used to hard-code
+ *
+ * @returns {Promise<Object>}
+ */
+async function getBrandingSettings() {
+  return BrandingSettingsModel.findOneAndUpdate(
+    { key: BRANDING_SETTINGS_KEY },
+    {
+      $setOnInsert: {
+        companyLines: DEFAULT_COMPANY_LINES,
+        licenseLines: DEFAULT_LICENSE_LINES,
+      },
+    },
+    { upsert: true, new: true },
+  );
+}
+
+/**
+ * Create the branding settings and move data from before they existed
+ * (runs once at startup, idempotent)
+ * - Settings saved before the key existed become the default document
+ * - The license lines used to be part of every form type's footer lines,
+ *   they are removed from the form types once
+ *
+ * @returns {Promise<Object>}
+ */
+async function ensureBrandingSettings() {
+  if (!(await BrandingSettingsModel.exists({ key: BRANDING_SETTINGS_KEY }))) {
+    await BrandingSettingsModel.findOneAndUpdate(
+      { key: { $exists: false } },
+      { $set: { key: BRANDING_SETTINGS_KEY } },
+      { sort: { createdAt: 1 } },
+    );
+  }
+
+  const settings = await getBrandingSettings();
+
+  if (!settings.licenseLinesMovedAt) {
+    await FormTypeModel.updateMany(
+      {},
+      { $pull: { footerLicenseLines: { $in: DEFAULT_LICENSE_LINES } } },
+    );
+    // Not a branding change, cached PDFs stay valid
+    await BrandingSettingsModel.updateOne(
+      { _id: settings._id },
+      { $set: { licenseLinesMovedAt: new Date() } },
+      { timestamps: false },
+    );
+  }
+
+  return settings;
+}
+
+/**
+ * Update the branding text
+ *
+ * @param {Object} payload - { companyLines?, licenseLines? }
+ * @param {string} userId - admin making the change
+ * @returns {Promise<Object>}
+ */
+async function updateBrandingSettings(payload, userId) {
+  const settings = await getBrandingSettings();
+
+  settings.set({ ...payload, lastUpdatedBy: userId });
+  await settings.save();
+
+  return settings;
+}
+
+/**
+ * Upload (or replace) the logo of one slot
+ *
+ * @param {string} slot - one of brandingLogoSlots
+ * @param {Object} file - multer file
+ * @param {string} userId - admin making the change
+ * @returns {Promise<Object>}
+ */
+async function setBrandingLogo(slot, file, userId) {
+  if (!file || !file.buffer) {
+    const err = new Error("A logo image is required");
+    err.code = 400;
+    throw err;
+  }
+
+  if (!LOGO_MIME_TYPES.includes(file.mimetype)) {
+    const err = new Error("Logo must be a PNG, JPEG or WebP image");
+    err.code = 400;
+    throw err;
+  }
+
+  if (file.size > MAX_LOGO_SIZE) {
+    const err = new Error("Logo must be 2 MB or smaller");
+    err.code = 400;
+    throw err;
+  }
+
+  const settings = await getBrandingSettings();
+  const previousKey = settings.logos?.[slot]?.key;
+
+  const uploaded = await uploadBuffer(
+    file.buffer,
+    generateKey(file.originalname, "branding"),
+    file.mimetype,
+  );
+
+  settings.set(`logos.${slot}`, {
+    key: uploaded.Key,
+    url: uploaded.Location,
+    mimeType: file.mimetype,
+    size: file.size,
+  });
+  settings.lastUpdatedBy = userId;
+
+  try {
+    await settings.save();
+  } catch (err) {
+    await deleteObject(uploaded.Key).catch(console.error);
+    throw err;
+  }
+
+  if (previousKey) await deleteObject(previousKey).catch(console.error);
+
+  return settings;
+}
+
+/**
+ * Remove the uploaded logo of one slot, PDFs use the bundled one again
+ *
+ * @param {string} slot - one of brandingLogoSlots
+ * @param {string} userId - admin making the change
+ * @returns {Promise<Object>}
+ */
+async function removeBrandingLogo(slot, userId) {
+  const settings = await getBrandingSettings();
+  const previousKey = settings.logos?.[slot]?.key;
+
+  if (!previousKey) {
+    const err = new Error("No logo uploaded for this slot");
+    err.code = 404;
+    throw err;
+  }
+
+  settings.set(`logos.${slot}`, null);
+  settings.lastUpdatedBy = userId;
+  await settings.save();
+
+  await deleteObject(previousKey).catch(console.error);
+
+  return settings;
+}
+
+/**
+ * Logo of one slot as a data URI (PDF header/footer templates can't load URLs)
+ *
+ * @param {Object|null} logo - settings.logos[slot]
+ * @param {string} slot
+ * @returns {Promise<string>}
+ */
+async function loadLogoData(logo, slot) {
+  if (!logo?.key) return BUNDLED_LOGOS[slot];
+  if (logoDataCache.has(logo.key)) return logoDataCache.get(logo.key);
+
+  try {
+    const buffer = await getObjectBuffer(logo.key);
+    const data = `data:${logo.mimeType};base64,${buffer.toString("base64")}`;
+    logoDataCache.set(logo.key, data);
+    return data;
+  } catch (err) {
+    console.error(`Failed to load ${slot} logo:`, err.message);
+    return BUNDLED_LOGOS[slot];
+  }
+}
+
+/**
+ * Branding as the PDF renderer uses it
+ *
+ * @param {Object} [overrides] - unsaved text to preview ({ companyLines?, licenseLines? })
+ * @returns {Promise<{companyLines: Array<string>, licenseLines: Array<string>, logos: Object<string, string>, updatedAt: Date}>}
+ */
+async function getPdfBranding(overrides = {}) {
+  const settings = await getBrandingSettings();
+
+  const logos = {};
+  for (const slot of brandingLogoSlots) {
+    logos[slot] = await loadLogoData(settings.logos?.[slot], slot);
+  }
+
+  return {
+    companyLines: overrides.companyLines ?? settings.companyLines,
+    licenseLines: overrides.licenseLines ?? settings.licenseLines,
+    logos,
+    updatedAt: settings.updatedAt,
+  };
+}
+
+module.exports = {
+  getBrandingSettings,
+  ensureBrandingSettings,
+  updateBrandingSettings,
+  setBrandingLogo,
+  removeBrandingLogo,
+  getPdfBranding,
+};
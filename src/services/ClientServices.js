@@ -0,0 +1,185 @@
+const ClientModel = require("../models/ClientModel");
+const JobModel = require("../models/JobModel");
+
+// Utility function to escape special regex characters in a string (e.g., for search)
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Throw when another client already has the name (case-insensitive)
+ *
+ * @param {string} name
+ * @param {string} [exceptId] - client being renamed
+ * @returns {Promise<void>}
+ */
+async function assertUniqueClientName(name, exceptId) {
+  const existing = await ClientModel.findOne({
+    name: { $regex: `^${escapeRegExp(name)}$`, $options: "i" },
+    ...(exceptId && { _id: { $ne: exceptId } }),
+  })
+    .select("_id")
+    .lean();
+
+  if (existing) {
+    const err = new Error("Client already exists");
+    err.code = 400;
+    throw err;
+  }
+}
+
+/**
+ * Throw when a job is linked to a client that doesn't exist
+ *
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+async function assertClientExists(id) {
+  const exists = await ClientModel.exists({ _id: id });
+
+  if (!exists) {
+    const err = new Error("Client not found");
+    err.code = 404;
+    throw err;
+  }
+}
+
+/**
+ * Create a client
+ *
+ * @param {Object} payload - { name, recipients, createdBy, lastUpdatedBy }
+ * @returns {Promise<Object>}
+ */
+async function createClient(payload) {
+  await assertUniqueClientName(payload.name);
+
+  const created = await ClientModel.create(payload);
+
+  return getClient(created._id);
+}
+
+/**
+ * Get clients with optional search (by name) and pagination
+ *
+ * @param {Object} query
+ * @param {number} [query.page=1]
+ * @param {number} [query.limit=10]
+ * @param {string} [query.search]
+ * @returns {Promise<{
+ *   clients: Array<Object>,
+ *   metaData: {
+ *     page: number,
+ *     limit: number,
+ *     totalClient: number,
+ *     totalPage: number
+ *   }
+ * }>}
+ */
+async function getClients(query = {}) {
+  const page = Number(query.page) || 1;
+  const limit = Number(query.limit) || 10;
+  const skip = (page - 1) * limit;
+  const search = query.search?.trim();
+
+  const filter = search
+    ? { name: { $regex: escapeRegExp(search), $options: "i" } }
+    : {};
+
+  const [clients, totalClient] = await Promise.all([
+    ClientModel.find(filter).sort({ name: 1 }).skip(skip).limit(limit).lean(),
+    ClientModel.countDocuments(filter),
+  ]);
+
+  return {
+    clients,
+    metaData: {
+      page,
+      limit,
+      totalClient,
+      totalPage: Math.ceil(totalClient / limit),
+    },
+  };
+}
+
+/**
+ * Get a client by id
+ *
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+async function getClient(id) {
+  const client = await ClientModel.findById(id)
+    .populate("createdBy", "firstName lastName email")
+    .populate("lastUpdatedBy", "firstName lastName email")
+    .lean();
+
+  if (!client) {
+    const err = new Error("Client not found");
+    err.code = 404;
+    throw err;
+  }
+
+  return client;
+}
+
+/**
+ * Update a client (its recipients apply to reports completed from now on)
+ *
+ * @param {string} id
+ * @param {Object} payload
+ * @returns {Promise<Object>}
+ */
+async function updateClient(id, payload) {
+  if (payload.name) {
+    await assertUniqueClientName(payload.name, id);
+  }
+
+  const updated = await ClientModel.findByIdAndUpdate(
+    id,
+    { $set: payload },
+    { new: true, runValidators: true },
+  );
+
+  if (!updated) {
+    const err = new Error("Client not found");
+    err.code = 404;
+    throw err;
+  }
+
+  return getClient(id);
+}
+
+/**
+ * Delete a client that no job is linked to
+ *
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+async function deleteClient(id) {
+  const jobCount = await JobModel.countDocuments({ client: id });
+
+  if (jobCount > 0) {
+    const err = new Error(
+      `Client is linked to ${jobCount} job(s), unlink them before deleting`,
+    );
+    err.code = 409;
+    throw err;
+  }
+
+  const deleted = await ClientModel.findByIdAndDelete(id);
+
+  if (!deleted) {
+    const err = new Error("Client not found");
+    err.code = 404;
+    throw err;
+  }
+}
+
+module.exports = {
+  assertClientExists,
+  createClient,
+  getClients,
+  getClient,
+  updateClient,
+  deleteClient,
+};
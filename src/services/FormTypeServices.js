@@ -0,0 +1,380 @@
+const FormTypeModel = require("../models/FormTypeModel");
+const ImageLabelModel = require("../models/ImageLabelModel");
+const JobModel = require("../models/JobModel");
+
+// Footer lines printed on every report before form types existed
+// (license numbers come from the branding settings)
+const DEFAULT_FOOTER_LINES = [
+  "All utilities are on and tested unless otherwise noted",
+  "Properties without working utilities do not qualify for compliance",
+];
+
+/**
+ * Form types created on first start
+ * (image label checklists are left to admins, labels live in the database)
+ */
+const DEFAULT_FORM_TYPES = [
+  {
+    name: "92051 - FHA Inspection",
+    displayName: "92051 - FHA Inspection",
+    pdfHeaderText: "Attachment to FHA Form 92051",
+    footerLicenseLines: DEFAULT_FOOTER_LINES,
+    requiresComplianceChecklist: true,
+  },
+  {
+    name: "RCI Residential Building Code Inspection",
+    displayName: "RCI Residential Building Code Inspection",
+    pdfHeaderText: "Residential Building Code Inspection Report",
+    footerLicenseLines: DEFAULT_FOOTER_LINES,
+    requiresComplianceChecklist: false,
+  },
+];
+
+/**
+ * Create the default form types that don't exist yet
+ * Existing ones created before the compliance checklist get its setting.
+ *
+ * @returns {Promise<number>} number of form types created
+ */
+async function ensureDefaultFormTypes() {
+  const result = await FormTypeModel.bulkWrite(
+    DEFAULT_FORM_TYPES.flatMap((def) => [
+      {
+        updateOne: {
+          filter: { name: def.name },
+          update: { $setOnInsert: def },
+          upsert: true,
+        },
+      },
+      {
+        updateOne: {
+          filter: {
+            name: def.name,
+            requiresComplianceChecklist: { $exists: false },
+          },
+          update: {
+            $set: {
+              requiresComplianceChecklist: def.requiresComplianceChecklist,
+            },
+          },
+        },
+      },
+    ]),
+  );
+
+  return result.upsertedCount || 0;
+}
+
+/**
+ * Make sure every checklist label exists and none is both required and optional
+ *
+ * @param {Array<string>} [required]
+ * @param {Array<string>} [optional]
+ */
+async function assertChecklistLabels(required = [], optional = []) {
+  const requiredIds = required.map(String);
+  const optionalIds = optional.map(String);
+
+  if (requiredIds.some((id) => optionalIds.includes(id))) {
+    const err = new Error("An image label can't be both required and optional");
+    err.code = 400;
+    throw err;
+  }
+
+  const unique = [...new Set([...requiredIds, ...optionalIds])];
+  if (unique.length === 0) return;
+
+  const found = await ImageLabelModel.countDocuments({ _id: { $in: unique } });
+
+  if (found !== unique.length) {
+    const err = new Error("One or more image labels not found");
+    err.code = 400;
+    throw err;
+  }
+}
+
+/**
+ * Create a new form type
+ *
+ * @param {Object} payload
+ * @returns {Promise<Object>}
+ */
+async function createFormType(payload) {
+  // Duplicate name check (case-insensitive)
+  const escaped = payload.name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const existing = await FormTypeModel.exists({
+    name: { $regex: `^${escaped}$`, $options: "i" },
+  });
+
+  if (existing) {
+    const err = new Error("Form type already exists");
+    err.code = 400;
+    throw err;
+  }
+
+  await assertChecklistLabels(
+    payload.requiredImageLabels,
+    payload.optionalImageLabels,
+  );
+
+  const created = await FormTypeModel.create(payload);
+
+  return getFormType(created._id);
+}
+
+/**
+ * Get all form types
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.includeInactive=false]
+ * @returns {Promise<Array<Object>>}
+ */
+async function getFormTypes({ includeInactive = false } = {}) {
+  const filter = includeInactive ? {} : { isActive: true };
+
+  return FormTypeModel.find(filter)
+    .populate("requiredImageLabels", "label")
+    .populate("optionalImageLabels", "label")
+    .sort({ name: 1 })
+    .lean();
+}
+
+/**
+ * Get a single form type by id
+ *
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+async function getFormType(id) {
+  const formType = await FormTypeModel.findById(id)
+    .populate("requiredImageLabels", "label")
+    .populate("optionalImageLabels", "label")
+    .lean();
+
+  if (!formType) {
+    const err = new Error("Form type not found");
+    err.code = 404;
+    throw err;
+  }
+
+  return formType;
+}
+
+/**
+ * Update a form type (the name can't change, jobs reference it)
+ *
+ * @param {string} id
+ * @param {Object} payload
+ * @returns {Promise<Object>}
+ */
+async function updateFormType(id, payload) {
+  const existing = await FormTypeModel.findById(id).lean();
+
+  if (!existing) {
+    const err = new Error("Form type not found");
+    err.code = 404;
+    throw err;
+  }
+
+  // Check the checklist as it will be after the update
+  await assertChecklistLabels(
+    payload.requiredImageLabels ?? existing.requiredImageLabels,
+    payload.optionalImageLabels ?? existing.optionalImageLabels,
+  );
+
+  await FormTypeModel.updateOne(
+    { _id: id },
+    { $set: payload },
+    { runValidators: true },
+  );
+
+  return getFormType(id);
+}
+
+/**
+ * Delete a form type that no job uses
+ *
+ * @param {string} id
+ * @returns {Promise<Object>} deleted form type
+ */
+async function deleteFormType(id) {
+  const formType = await FormTypeModel.findById(id);
+
+  if (!formType) {
+    const err = new Error("Form type not found");
+    err.code = 404;
+    throw err;
+  }
+
+  if (await JobModel.exists({ formType: formType.name })) {
+    const err = new Error(
+      "Form type is used by existing jobs, deactivate it instead",
+    );
+    err.code = 409;
+    throw err;
+  }
+
+  await formType.deleteOne();
+
+  return formType;
+}
+
+/**
+ * Get an active form type by name, for new or updated jobs
+ *
+ * @param {string} name
+ * @returns {Promise<Object>}
+ */
+async function assertActiveFormType(name) {
+  const formType = await FormTypeModel.findOne({ name, isActive: true }).lean();
+
+  if (!formType) {
+    const err = new Error(`Form type "${name}" not found or inactive`);
+    err.code = 400;
+    throw err;
+  }
+
+  return formType;
+}
+
+/**
+ * Get the definition a job's form type follows
+ *
+ * Falls back to the built-in defaults so reports of jobs created before
+ * the registry (or whose type was removed) still render.
+ *
+ * @param {string} name - job.formType
+ * @returns {Promise<Object>}
+ */
+async function getFormTypeDefinition(name) {
+  const formType = name ? await FormTypeModel.findOne({ name }).lean() : null;
+  if (formType) return formType;
+
+  const fallback = DEFAULT_FORM_TYPES.find((def) => def.name === name);
+  const checklist = { requiredImageLabels: [], optionalImageLabels: [] };
+  if (fallback) return { ...fallback, ...checklist };
+
+  return {
+    name: name || "",
+    displayName: name || "N/A",
+    pdfHeaderText: "",
+    footerLicenseLines: DEFAULT_FOOTER_LINES,
+    ...checklist,
+  };
+}
+
+/**
+ * Build a form type's image label checklist against the labels done so far
+ *
+ * @param {Object} formType - from getFormTypeDefinition
+ * @param {Iterable<string>} doneLabels - image label ids or names already captured
+ * @returns {Promise<{
+ *  items: Array<{_id: string, label: string, required: boolean, done: boolean}>,
+ *  missing: Array<{_id: string, label: string}>,
+ *  progress: {done: number, total: number},
+ *  complete: boolean
+ * }>}
+ */
+async function buildImageLabelChecklist(formType, doneLabels) {
+  const done = new Set([...doneLabels].map(String));
+  const requiredIds = (formType.requiredImageLabels || []).map(String);
+  const optionalIds = (formType.optionalImageLabels || []).map(String);
+
+  // Resolve label names in one query
+  const labels = await ImageLabelModel.find({
+    _id: { $in: [...requiredIds, ...optionalIds] },
+  })
+    .select("label")
+    .lean();
+  const labelMap = new Map(labels.map((l) => [String(l._id), l.label]));
+
+  const toItem = (id, required) => ({
+    _id: id,
+    label: labelMap.get(id) || "Unknown label",
+    required,
+    // Reports store the label name, uploads send the id
+    done: done.has(id) || done.has(labelMap.get(id)),
+  });
+  const items = [
+    ...requiredIds.map((id) => toItem(id, true)),
+    ...optionalIds.map((id) => toItem(id, false)),
+  ];
+
+  const missing = items
+    .filter((item) => item.required && !item.done)
+    .map(({ _id, label }) => ({ _id, label }));
+
+  return {
+    items,
+    missing,
+    progress: {
+      done: requiredIds.length - missing.length,
+      total: requiredIds.length,
+    },
+    complete: missing.length === 0,
+  };
+}
+
+/**
+ * Check submitted image labels against a form type's checklist
+ *
+ * Throws a 400 whose `errors` list every missing required label and every
+ * label outside the checklist (only checked when the type has a checklist).
+ *
+ * @param {Object} formType - from getFormTypeDefinition
+ * @param {Array<string>} labelIds - submitted image label ids
+ */
+async function assertImageLabelChecklist(formType, labelIds) {
+  const submitted = new Set(labelIds.map(String));
+  const checklist = await buildImageLabelChecklist(formType, submitted);
+
+  const errors = checklist.missing.map((item) => ({
+    field: "imageLabel",
+    imageLabel: item._id,
+    label: item.label,
+    message: `${item.label} photo is required`,
+  }));
+
+  if (checklist.items.length > 0) {
+    const allowed = new Set(checklist.items.map((item) => item._id));
+    const unexpected = [...submitted].filter((id) => !allowed.has(id));
+
+    if (unexpected.length > 0) {
+      const labels = await ImageLabelModel.find({ _id: { $in: unexpected } })
+        .select("label")
+        .lean();
+      for (const l of labels) {
+        errors.push({
+          field: "imageLabel",
+          imageLabel: String(l._id),
+          label: l.label,
+          message: `${l.label} is not part of the ${formType.displayName} checklist`,
+        });
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    const err = new Error(
+      checklist.missing.length > 0
+        ? `Missing required image labels: ${checklist.missing.map((m) => m.label).join(", ")}`
+        : "Some image labels are not part of this form type",
+    );
+    err.code = 400;
+    err.errors = errors;
+    throw err;
+  }
+}
+
+module.exports = {
+  ensureDefaultFormTypes,
+  createFormType,
+  getFormTypes,
+  getFormType,
+  updateFormType,
+  deleteFormType,
+  assertActiveFormType,
+  getFormTypeDefinition,
+  buildImageLabelChecklist,
+  assertImageLabelChecklist,
+};
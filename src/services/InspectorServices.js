@@ -1,52 +1,48 @@
 const JobModel = require("../models/JobModel");
-const ReportModel = require("../models/ReportModel");
+
+const { jobStatuses, openJobStatuses } = JobModel;
 
 /**
  * Get inspector overview statistics (all-time)
  *
- * In-progress Definition:
- * Job assigned to inspector but NO report created yet
+ * Read straight from the job lifecycle status:
+ * - In-progress: job assigned to inspector, nothing submitted yet
+ * - Overdue: past due date and not completed, archived or cancelled
  */
 async function inspectorOverview(inspector) {
-  const allReportedJobIds = await ReportModel.distinct("job", {
-    inspector,
-  });
-
-  const completedJobIds = await ReportModel.distinct("job", {
-    inspector,
-    status: "completed",
-  });
-
-  const archivedJobIds = await ReportModel.distinct("job", {
-    inspector,
-    status: "archived",
-  });
+  const now = new Date();
 
   const [totalJobs, inProgressJobs, overDueJobs, completedJobs] =
     await Promise.all([
       /* ============================
          Total jobs
-         (Archived জবগুলো বাদ দিয়ে)
+         (Archived জবগুলো বাদ দিয়ে)
       ============================ */
       JobModel.countDocuments({
         inspector,
-        _id: { $nin: archivedJobIds },
+        status: { $ne: jobStatuses.ARCHIVED },
       }),
 
       JobModel.countDocuments({
         inspector,
-        _id: { $nin: allReportedJobIds },
+        status: { $in: openJobStatuses },
       }),
 
       JobModel.countDocuments({
         inspector,
-        dueDate: { $lt: new Date() },
-        _id: { $nin: [...completedJobIds, ...archivedJobIds] },
+        dueDate: { $lt: now },
+        status: {
+          $nin: [
+            jobStatuses.COMPLETED,
+            jobStatuses.ARCHIVED,
+            jobStatuses.CANCELLED,
+          ],
+        },
       }),
 
-      ReportModel.countDocuments({
+      JobModel.countDocuments({
         inspector,
-        status: "completed",
+        status: jobStatuses.COMPLETED,
       }),
     ]);
 
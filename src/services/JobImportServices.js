@@ -0,0 +1,458 @@
+const mongoose = require("mongoose");
+
+const {
+  notifyUser,
+  notifyAdmins,
+} = require("../helpers/notification/notification-helper");
+const ClientModel = require("../models/ClientModel");
+const JobModel = require("../models/JobModel");
+const NotificationModel = require("../models/NotificationModel");
+const UserModel = require("../models/UserModel");
+const {
+  detectSpreadsheetFormat,
+  readSpreadsheetRows,
+} = require("../utils/spreadsheet");
+const { createJobSchema } = require("../validators/job/job");
+
+const { getFormTypes } = require("./FormTypeServices");
+const { applyNewJobLifecycle } = require("./JobServices");
+
+// Largest spreadsheet accepted in a single import
+const MAX_IMPORT_ROWS = 500;
+
+/**
+ * Spreadsheet column names (normalized: lowercase, letters and digits only)
+ * mapped to createJobSchema fields
+ */
+const COLUMN_ALIASES = {
+  inspector: "inspector",
+  inspectoremail: "inspector",
+  inspectorid: "inspector",
+  inspectoruserid: "inspector",
+  userid: "inspector",
+  formtype: "formType",
+  form: "formType",
+  feestatus: "feeStatus",
+  agreedfee: "agreedFee",
+  fee: "agreedFee",
+  fhacasedetailsno: "fhaCaseDetailsNo",
+  fhacasedetailsnumber: "fhaCaseDetailsNo",
+  fhacaseno: "fhaCaseDetailsNo",
+  fhacasenumber: "fhaCaseDetailsNo",
+  fhacase: "fhaCaseDetailsNo",
+  orderid: "orderId",
+  ordernumber: "orderId",
+  orderno: "orderId",
+  streetaddress: "streetAddress",
+  address: "streetAddress",
+  developmentname: "developmentName",
+  development: "developmentName",
+  sitecontactname: "siteContactName",
+  contactname: "siteContactName",
+  sitecontactphone: "siteContactPhone",
+  contactphone: "siteContactPhone",
+  sitecontactemail: "siteContactEmail",
+  contactemail: "siteContactEmail",
+  duedate: "dueDate",
+  due: "dueDate",
+  specialnotesforinspector: "specialNotesForInspector",
+  notesforinspector: "specialNotesForInspector",
+  specialnoteforaporar: "specialNoteForApOrAr",
+  notesforaporar: "specialNoteForApOrAr",
+  client: "client",
+  clientname: "client",
+  clientid: "client",
+  recipients: "recipients",
+  recipientemails: "recipients",
+  reportrecipients: "recipients",
+};
+
+// Fields the schema expects as strings, spreadsheets often hold numbers there
+const STRING_FIELDS = [
+  "formType",
+  "feeStatus",
+  "fhaCaseDetailsNo",
+  "orderId",
+  "streetAddress",
+  "developmentName",
+  "siteContactName",
+  "siteContactPhone",
+  "siteContactEmail",
+  "specialNotesForInspector",
+  "specialNoteForApOrAr",
+];
+
+/**
+ * Normalize a column header for alias lookup
+ * @param {string} header
+ * @returns {string}
+ */
+function normalizeHeader(header) {
+  return String(header)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Map a spreadsheet row to createJobSchema fields
+ * @param {Object} values - row values keyed by original header
+ * @returns {Object}
+ */
+function mapRowToJob(values) {
+  const job = {};
+
+  for (const [header, value] of Object.entries(values)) {
+    const field = COLUMN_ALIASES[normalizeHeader(header)];
+    if (!field || job[field] !== undefined) continue;
+    job[field] = value;
+  }
+
+  for (const field of STRING_FIELDS) {
+    if (job[field] !== undefined && !(job[field] instanceof Date)) {
+      job[field] = String(job[field]);
+    }
+  }
+
+  // "$1,250" -> 1250
+  if (typeof job.agreedFee === "string") {
+    const fee = Number(job.agreedFee.replace(/[$,\s]/g, ""));
+    if (!Number.isNaN(fee)) job.agreedFee = fee;
+  }
+
+  if (job.inspector !== undefined) {
+    job.inspector = String(job.inspector).trim();
+  }
+
+  if (job.client !== undefined) {
+    job.client = String(job.client).trim();
+  }
+
+  // "a@x.com; b@y.com" -> [{ email: "a@x.com" }, { email: "b@y.com" }]
+  if (job.recipients !== undefined) {
+    job.recipients = String(job.recipients)
+      .split(/[;,]/)
+      .map((email) => email.trim())
+      .filter(Boolean)
+      .map((email) => ({ email }));
+  }
+
+  return job;
+}
+
+/**
+ * Resolve inspector references (email, userId or id) to active inspectors
+ * @param {Array<string>} refs
+ * @returns {Promise<Map<string, Object>>} keyed by the lowercased reference
+ */
+async function resolveInspectors(refs) {
+  const unique = [...new Set(refs.filter(Boolean))];
+  const resolved = new Map();
+  if (unique.length === 0) return resolved;
+
+  // Emails and user ids are stored lowercase
+  const emails = unique
+    .filter((r) => r.includes("@"))
+    .map((r) => r.toLowerCase());
+  const userIds = unique
+    .filter((r) => !r.includes("@"))
+    .map((r) => r.toLowerCase());
+  const ids = unique.filter((r) => /^[a-f0-9]{24}$/i.test(r));
+
+  const inspectors = await UserModel.find({
+    role: 2,
+    isApproved: true,
+    isSuspended: false,
+    $or: [
+      { email: { $in: emails } },
+      { userId: { $in: userIds } },
+      { _id: { $in: ids } },
+    ],
+  })
+    .select("_id userId email firstName lastName")
+    .lean();
+
+  for (const inspector of inspectors) {
+    resolved.set(String(inspector._id).toLowerCase(), inspector);
+    if (inspector.email) resolved.set(inspector.email, inspector);
+    if (inspector.userId) resolved.set(inspector.userId, inspector);
+  }
+
+  return resolved;
+}
+
+/**
+ * Resolve client references (name or id) to clients
+ * @param {Array<string>} refs
+ * @returns {Promise<Map<string, Object>>} keyed by the lowercased reference
+ */
+async function resolveClients(refs) {
+  const unique = [...new Set(refs.filter(Boolean))];
+  const resolved = new Map();
+  if (unique.length === 0) return resolved;
+
+  const ids = unique.filter((r) => /^[a-f0-9]{24}$/i.test(r));
+
+  // Client names are unique regardless of case
+  const clients = await ClientModel.find({
+    $or: [{ name: { $in: unique } }, { _id: { $in: ids } }],
+  })
+    .collation({ locale: "en", strength: 2 })
+    .select("_id name")
+    .lean();
+
+  for (const client of clients) {
+    resolved.set(String(client._id).toLowerCase(), client);
+    resolved.set(client.name.toLowerCase(), client);
+  }
+
+  return resolved;
+}
+
+/**
+ * Send one notification per inspector for the jobs just imported,
+ * plus one summary notification to admins
+ * @param {Array<Object>} jobs - created job documents
+ * @param {Map<string, Object>} inspectorsById
+ * @param {string} authorId
+ */
+async function notifyImportedJobs(jobs, inspectorsById, authorId) {
+  const types = NotificationModel.notificationTypes || {};
+  const author = authorId ? new mongoose.Types.ObjectId(authorId) : null;
+
+  // Group created jobs by inspector
+  const jobsByInspector = new Map();
+  for (const job of jobs) {
+    const key = String(job.inspector);
+    if (!jobsByInspector.has(key)) jobsByInspector.set(key, []);
+    jobsByInspector.get(key).push(job);
+  }
+
+  for (const [inspectorId, inspectorJobs] of jobsByInspector) {
+    try {
+      const inspector = inspectorsById.get(inspectorId);
+      const name = inspector
+        ? `${inspector.firstName} ${inspector.lastName}`
+        : "you";
+      const title =
+        inspectorJobs.length === 1
+          ? "You have a new job assigned"
+          : `You have ${inspectorJobs.length} new jobs assigned`;
+      const body =
+        inspectorJobs.length === 1
+          ? `${inspectorJobs[0].orderId || inspectorJobs[0].streetAddress || "A new job"} has been assigned to ${name}.`
+          : `${inspectorJobs.length} jobs have been assigned to ${name}.`;
+
+      await notifyUser({
+        userId: inspectorId,
+        type: types.JOB_ASSIGNED || "job_assigned",
+        title,
+        body,
+        data: {
+          jobIds: inspectorJobs.map((j) => String(j._id)),
+          action: "job_assigned",
+        },
+        authorId: author,
+      });
+    } catch (e) {
+      console.error("Failed to send imported job notification:", e);
+    }
+  }
+
+  try {
+    await notifyAdmins({
+      type: types.JOB_ASSIGNED || "job_assigned",
+      title: "Jobs imported",
+      body: `${jobs.length} job${jobs.length === 1 ? " has" : "s have"} been imported.`,
+      data: {
+        jobIds: jobs.map((j) => String(j._id)),
+        action: "jobs_imported",
+      },
+      authorId: author,
+    });
+  } catch (e) {
+    console.error("Failed to send job import notification to admins:", e);
+  }
+}
+
+/**
+ * Import jobs from a CSV/XLSX spreadsheet
+ *
+ * In dry-run mode nothing is written, every row is validated and reported.
+ * Otherwise all valid rows are created in one batch, invalid rows are skipped.
+ *
+ * @param {Object} file - multer file (buffer, originalname, mimetype)
+ * @param {Object} options
+ * @param {boolean} options.dryRun
+ * @param {string} options.userId - the admin running the import
+ * @returns {Promise<Object>}
+ */
+async function importJobs(file, { dryRun, userId }) {
+  if (!file || !file.buffer) {
+    const err = new Error("A CSV or XLSX file is required");
+    err.code = 400;
+    throw err;
+  }
+
+  const format = detectSpreadsheetFormat(file.originalname, file.mimetype);
+  if (!format) {
+    const err = new Error("Unsupported file type, upload a CSV or XLSX file");
+    err.code = 400;
+    throw err;
+  }
+
+  // Read rows
+  let sheet;
+  try {
+    sheet = await readSpreadsheetRows(file.buffer, format);
+  } catch (e) {
+    const err = new Error("The file could not be read as a spreadsheet");
+    err.code = 400;
+    throw err;
+  }
+
+  if (sheet.rows.length === 0) {
+    const err = new Error("The file has no job rows");
+    err.code = 400;
+    throw err;
+  }
+
+  if (sheet.rows.length > MAX_IMPORT_ROWS) {
+    const err = new Error(
+      `Too many rows, a single import is limited to ${MAX_IMPORT_ROWS} jobs`
+    );
+    err.code = 400;
+    throw err;
+  }
+
+  const unmappedColumns = sheet.headers.filter(
+    (h) => !COLUMN_ALIASES[normalizeHeader(h)]
+  );
+
+  // Map rows and resolve inspectors and clients in one query each
+  const mapped = sheet.rows.map((row) => ({
+    row: row.rowNumber,
+    job: mapRowToJob(row.values),
+  }));
+  const inspectors = await resolveInspectors(mapped.map((m) => m.job.inspector));
+  const clients = await resolveClients(mapped.map((m) => m.job.client));
+
+  // Order ids already in the system
+  const orderIds = mapped.map((m) => m.job.orderId).filter(Boolean);
+  const existing = await JobModel.find({ orderId: { $in: orderIds } })
+    .select("orderId")
+    .lean();
+  const existingOrderIds = new Set(existing.map((j) => j.orderId));
+  const seenOrderIds = new Set();
+
+  // Form types jobs can be created with
+  const activeFormTypes = new Set(
+    (await getFormTypes()).map((formType) => formType.name),
+  );
+
+  // Validate each row
+  const rows = mapped.map(({ row, job }) => {
+    const errors = [];
+    const data = { ...job };
+
+    if (data.inspector) {
+      const inspector = inspectors.get(data.inspector.toLowerCase());
+      if (inspector) {
+        data.inspector = String(inspector._id);
+      } else {
+        errors.push({
+          field: "inspector",
+          message: `Inspector "${job.inspector}" not found or not active`,
+        });
+      }
+    }
+
+    // Same check createJob runs on a linked client
+    if (data.client) {
+      const client = clients.get(data.client.toLowerCase());
+      if (client) {
+        data.client = String(client._id);
+      } else {
+        errors.push({
+          field: "client",
+          message: `Client "${job.client}" not found`,
+        });
+      }
+    }
+
+    const result = createJobSchema.safeParse(data);
+    if (!result.success) {
+      for (const issue of result.error.issues) {
+        const field = issue.path.join(".");
+        // Already reported with a clearer message above
+        if (errors.some((e) => e.field === field)) continue;
+        errors.push({ field, message: issue.message });
+      }
+    }
+
+    if (result.success && !activeFormTypes.has(result.data.formType)) {
+      errors.push({
+        field: "formType",
+        message: `Form type "${result.data.formType}" not found or inactive`,
+      });
+    }
+
+    if (job.orderId) {
+      if (existingOrderIds.has(job.orderId)) {
+        errors.push({ field: "orderId", message: "Order ID already exists" });
+      } else if (seenOrderIds.has(job.orderId)) {
+        errors.push({
+          field: "orderId",
+          message: "Order ID is duplicated in the file",
+        });
+      }
+      seenOrderIds.add(job.orderId);
+    }
+
+    return {
+      row,
+      valid: errors.length === 0,
+      errors,
+      data: result.success ? result.data : data,
+    };
+  });
+
+  const validRows = rows.filter((r) => r.valid);
+  const summary = {
+    dryRun,
+    totalRows: rows.length,
+    validRows: validRows.length,
+    invalidRows: rows.length - validRows.length,
+    unmappedColumns,
+  };
+
+  if (dryRun || validRows.length === 0) {
+    return { ...summary, created: 0, rows };
+  }
+
+  // Create all valid rows in one batch
+  const now = new Date();
+  const author = new mongoose.Types.ObjectId(userId);
+  const docs = validRows.map((r) =>
+    applyNewJobLifecycle(
+      { ...r.data, createdBy: author, lastUpdatedBy: author },
+      now
+    )
+  );
+  const created = await JobModel.insertMany(docs);
+
+  // Attach created ids to their rows
+  validRows.forEach((r, i) => {
+    r.jobId = created[i]._id;
+  });
+
+  const inspectorsById = new Map(
+    [...inspectors.values()].map((i) => [String(i._id), i])
+  );
+  await notifyImportedJobs(created, inspectorsById, userId);
+
+  return { ...summary, created: created.length, rows };
+}
+
+module.exports = {
+  importJobs,
+};
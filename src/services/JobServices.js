@@ -8,6 +8,297 @@ const JobModel = require("../models/JobModel");
 const NotificationModel = require("../models/NotificationModel");
 const ReportModel = require("../models/ReportModel");
 const UserModel = require("../models/UserModel");
+const { getDateTypeRange } = require("../utils/dateRange");
+const { geocodeAddress } = require("../utils/geocode");
+
+const { assertClientExists } = require("./ClientServices");
+const {
+  assertActiveFormType,
+  buildImageLabelChecklist,
+  getFormTypeDefinition,
+} = require("./FormTypeServices");
+
+const { jobStatuses, openJobStatuses, openReinspectionStatuses } = JobModel;
+
+/**
+ * Job status each report status moves the job to
+ */
+const REPORT_TO_JOB_STATUS = {
+  draft: jobStatuses.ON_SITE,
+  submitted: jobStatuses.SUBMITTED,
+  "re-submitted": jobStatuses.SUBMITTED,
+  rejected: jobStatuses.ACCEPTED,
+  completed: jobStatuses.COMPLETED,
+  archived: jobStatuses.ARCHIVED,
+};
+
+/**
+ * Whether the job's report was submitted, from the `reportCheck` lookup
+ * (a draft is still being uploaded, its status shows in reportStatus)
+ */
+const HAS_SUBMITTED_REPORT = {
+  $gt: [
+    {
+      $size: {
+        $filter: {
+          input: "$reportCheck",
+          cond: { $ne: ["$$this.status", "draft"] },
+        },
+      },
+    },
+    0,
+  ],
+};
+
+/**
+ * Statuses only reached through the report workflow, never set by hand
+ */
+const REPORT_DRIVEN_JOB_STATUSES = [
+  jobStatuses.SUBMITTED,
+  jobStatuses.COMPLETED,
+  jobStatuses.ARCHIVED,
+];
+
+/**
+ * Statuses an inspector may move their own job to
+ */
+const INSPECTOR_JOB_STATUSES = [jobStatuses.ACCEPTED, jobStatuses.ON_SITE];
+
+/**
+ * Throw if the job cannot move from its current status to the next one
+ *
+ * @param {Object} job - Job document (needs `status`)
+ * @param {string} nextStatus
+ */
+function assertJobCanTransition(job, nextStatus) {
+  // Staying in the same status is a no-op
+  if (job.status === nextStatus) return;
+
+  if (!JobModel.canTransition(job.status, nextStatus)) {
+    const err = new Error(
+      `Job cannot move from "${job.status}" to "${nextStatus}"`,
+    );
+    err.code = 400;
+    throw err;
+  }
+}
+
+/**
+ * Throw if the job cannot follow its report into the given report status
+ *
+ * @param {Object} job - Job document (needs `status`)
+ * @param {string} reportStatus - Report status about to be set
+ */
+function assertJobCanFollowReport(job, reportStatus) {
+  const nextStatus = REPORT_TO_JOB_STATUS[reportStatus];
+  if (nextStatus) assertJobCanTransition(job, nextStatus);
+}
+
+/**
+ * Move a job to a new lifecycle status
+ * - Validates the transition against `jobStatusTransitions`
+ * - Records a timestamped entry in `statusHistory`
+ *
+ * @param {string|mongoose.Types.ObjectId} jobId
+ * @param {string} nextStatus
+ * @param {Object} [options]
+ * @param {mongoose.Types.ObjectId|string|null} [options.changedBy]
+ * @param {string} [options.reason]
+ * @returns {Promise<Object>} - Updated job document
+ */
+async function transitionJobStatus(
+  jobId,
+  nextStatus,
+  { changedBy = null, reason = "" } = {},
+) {
+  // Fetch current status (and the job a re-inspection is of)
+  const job = await JobModel.findById(jobId).select(
+    "status reinspectionOf.job",
+  );
+
+  if (!job) {
+    const err = new Error("Job not found");
+    err.code = 404;
+    throw err;
+  }
+
+  // Nothing to do if already there
+  if (job.status === nextStatus) return job;
+
+  assertJobCanTransition(job, nextStatus);
+
+  const changedAt = new Date();
+  const actor = changedBy ? new mongoose.Types.ObjectId(changedBy) : null;
+
+  // Only apply if nobody changed the status in the meantime
+  const updated = await JobModel.findOneAndUpdate(
+    { _id: job._id, status: job.status },
+    {
+      $set: {
+        status: nextStatus,
+        statusChangedAt: changedAt,
+        ...(actor && { lastUpdatedBy: actor }),
+        ...(job.reinspectionOf && {
+          isOpenReinspection: openReinspectionStatuses.includes(nextStatus),
+        }),
+      },
+      $push: {
+        statusHistory: {
+          from: job.status,
+          to: nextStatus,
+          changedBy: actor,
+          reason,
+          changedAt,
+        },
+      },
+    },
+    { new: true },
+  ).catch((err) => {
+    // Reopening a re-inspection while another one is open
+    if (err.code === 11000) {
+      const conflict = new Error("A re-inspection of this job is already open");
+      conflict.code = 409;
+      throw conflict;
+    }
+    throw err;
+  });
+
+  if (!updated) {
+    const err = new Error("Job status was changed by someone else, retry");
+    err.code = 409;
+    throw err;
+  }
+
+  return updated;
+}
+
+/**
+ * Move the job along after its report changed status
+ *
+ * @param {string|mongoose.Types.ObjectId} jobId
+ * @param {string} reportStatus - New report status
+ * @param {Object} [options] - Same as transitionJobStatus
+ * @returns {Promise<Object|null>} - Updated job, or null if the report status has no job equivalent
+ */
+async function syncJobStatusWithReport(jobId, reportStatus, options = {}) {
+  const nextStatus = REPORT_TO_JOB_STATUS[reportStatus];
+  if (!nextStatus) return null;
+
+  return await transitionJobStatus(jobId, nextStatus, options);
+}
+
+/**
+ * Give jobs created before the lifecycle field existed a status
+ * derived from their report (runs once at startup, idempotent)
+ *
+ * @returns {Promise<{updatedCount: number}>}
+ */
+async function backfillJobStatuses() {
+  // Jobs without a stored status, with their report status
+  const jobs = await JobModel.aggregate([
+    { $match: { status: { $exists: false } } },
+    {
+      $lookup: {
+        from: "reports",
+        localField: "_id",
+        foreignField: "job",
+        pipeline: [{ $limit: 1 }, { $project: { status: 1 } }],
+        as: "report",
+      },
+    },
+    {
+      $project: {
+        reportStatus: { $arrayElemAt: ["$report.status", 0] },
+      },
+    },
+  ]);
+
+  if (jobs.length === 0) return { updatedCount: 0 };
+
+  const changedAt = new Date();
+  const operations = jobs.map((job) => {
+    const status = REPORT_TO_JOB_STATUS[job.reportStatus] || jobStatuses.ASSIGNED;
+
+    return {
+      updateOne: {
+        filter: { _id: job._id, status: { $exists: false } },
+        update: {
+          $set: {
+            status,
+            statusChangedAt: changedAt,
+            statusHistory: [
+              {
+                from: null,
+                to: status,
+                changedBy: null,
+                reason: "Derived from existing report status",
+                changedAt,
+              },
+            ],
+          },
+        },
+      },
+    };
+  });
+
+  const result = await JobModel.bulkWrite(operations);
+
+  return { updatedCount: result.modifiedCount };
+}
+
+/**
+ * Build the $match stage for the `status` list filter
+ * - "in_progress" matches every status still waiting on the inspector
+ * - Job lifecycle statuses match the job's own `status`
+ * - Report-only statuses (rejected, re-submitted) match the linked report
+ *
+ * @param {string} [statusFilter]
+ * @returns {Object|null}
+ */
+function buildStatusFilterMatch(statusFilter) {
+  if (!statusFilter || statusFilter === "all") return null;
+
+  if (statusFilter === "in_progress") {
+    return { status: { $in: openJobStatuses } };
+  }
+
+  if (Object.values(jobStatuses).includes(statusFilter)) {
+    return { status: statusFilter };
+  }
+
+  return { "reportCheck.status": statusFilter };
+}
+
+/**
+ * Set the lifecycle fields of a job that is about to be created
+ * (new jobs start assigned to their inspector)
+ *
+ * @param {Object} payload
+ * @param {Date} [now]
+ * @returns {Object} the same payload
+ */
+function applyNewJobLifecycle(payload, now = new Date()) {
+  payload.status = jobStatuses.ASSIGNED;
+  payload.isOpenReinspection = Boolean(payload.reinspectionOf);
+  payload.statusChangedAt = now;
+  payload.statusHistory = [
+    {
+      from: null,
+      to: jobStatuses.ASSIGNED,
+      changedBy: payload.createdBy || null,
+      changedAt: now,
+    },
+  ];
+  payload.assignmentHistory = [
+    {
+      inspector: payload.inspector,
+      assignedBy: payload.createdBy || null,
+      assignedAt: now,
+    },
+  ];
+
+  return payload;
+}
 
 /**
  * Create a new job
@@ -16,6 +307,24 @@ const UserModel = require("../models/UserModel");
  * @returns {Promise<Object>}
  */
 async function createJob(payload) {
+  // New jobs must use an active form type
+  await assertActiveFormType(payload.formType);
+
+  if (payload.client) {
+    await assertClientExists(payload.client);
+  }
+
+  // Coordinates given by the admin win over geocoding (copied
+  // coordinates keep their source)
+  if (payload.location) {
+    payload.location = {
+      ...payload.location,
+      source: payload.location.source || "manual",
+    };
+  }
+
+  applyNewJobLifecycle(payload);
+
   // Create job
   const created = await JobModel.create(payload);
 
@@ -133,7 +442,7 @@ async function createJob(payload) {
     // Convert roles to readable labels and add report status(found or not found make it In Progress)
     {
       $addFields: {
-        hasReport: { $gt: [{ $size: "$reportCheck" }, 0] },
+        hasReport: HAS_SUBMITTED_REPORT,
         reportId: { $arrayElemAt: ["$reportCheck._id", 0] },
         reportStatus: {
           $ifNull: [
@@ -192,8 +501,14 @@ async function createJob(payload) {
         dueDate: 1,
         specialNotesForInspector: 1,
         specialNoteForApOrAr: 1,
+        client: 1,
+        recipients: 1,
+        reinspectionOf: 1,
+        location: 1,
         createdAt: 1,
         updatedAt: 1,
+        status: 1,
+        statusChangedAt: 1,
         hasReport: 1,
         reportId: 1,
         reportStatus: 1,
@@ -242,6 +557,17 @@ async function getJobById(id) {
     /* ---------------- MATCH JOB ---------------- */
     { $match: { _id: jobId } },
 
+    /* ---------------- CLIENT ---------------- */
+    {
+      $lookup: {
+        from: "clients",
+        localField: "client",
+        foreignField: "_id",
+        as: "client",
+      },
+    },
+    { $unwind: { path: "$client", preserveNullAndEmptyArrays: true } },
+
     /* ---------------- CHECK REPORT EXISTS ---------------- */
     {
       $lookup: {
@@ -290,7 +616,7 @@ async function getJobById(id) {
     /* ---------------- ROLE MAPPING ---------------- */
     {
       $addFields: {
-        hasReport: { $gt: [{ $size: "$reportCheck" }, 0] },
+        hasReport: HAS_SUBMITTED_REPORT,
         reportId: { $arrayElemAt: ["$reportCheck._id", 0] },
         reportStatus: { $arrayElemAt: ["$reportCheck.status", 0] },
         reportStatusLabel: {
@@ -388,8 +714,20 @@ async function getJobById(id) {
         dueDate: 1,
         specialNotesForInspector: 1,
         specialNoteForApOrAr: 1,
+        client: {
+          _id: "$client._id",
+          name: "$client.name",
+          recipients: "$client.recipients",
+        },
+        recipients: 1,
+        reinspectionOf: 1,
+        location: 1,
         createdAt: 1,
         updatedAt: 1,
+        status: 1,
+        statusChangedAt: 1,
+        statusHistory: 1,
+        assignmentHistory: 1,
         hasReport: 1,
         reportId: 1,
         reportStatus: 1,
@@ -565,10 +903,9 @@ async function getMyJobs(query = {}, userId) {
   // -------------------------
   // Status filter
   // -------------------------
-  if (statusFilter && statusFilter !== "all") {
-    pipeline.push({
-      $match: { "reportCheck.status": statusFilter },
-    });
+  const statusMatch = buildStatusFilterMatch(statusFilter);
+  if (statusMatch) {
+    pipeline.push({ $match: statusMatch });
   }
 
   // -------------------------
@@ -619,7 +956,7 @@ async function getMyJobs(query = {}, userId) {
   // -------------------------
   pipeline.push({
     $addFields: {
-      hasReport: { $gt: [{ $size: "$reportCheck" }, 0] },
+      hasReport: HAS_SUBMITTED_REPORT,
       reportId: { $arrayElemAt: ["$reportCheck._id", 0] },
       reportStatus: { $arrayElemAt: ["$reportCheck.status", 0] },
       reportStatusLabel: {
@@ -713,8 +1050,11 @@ async function getMyJobs(query = {}, userId) {
       dueDate: 1,
       specialNotesForInspector: 1,
       specialNoteForApOrAr: 1,
+      reinspectionOf: 1,
       createdAt: 1,
       updatedAt: 1,
+      status: 1,
+      statusChangedAt: 1,
       hasReport: 1,
       reportId: 1,
       reportStatus: 1,
@@ -776,23 +1116,13 @@ async function getMyJobs(query = {}, userId) {
 }
 
 /**
- * Get jobs with search and pagination
+ * Build the job list aggregation (lookups, filters and projection)
+ * shared by the paginated list and the export
  *
- * @param {Object} query
- * @returns {Promise<{
- *  jobs: Array<Object>,
- *  metaData: {
- *    page: number,
- *    limit: number,
- *    totalJob: number,
- *    totalPage: number
- * } }>}
+ * @param {Object} query - search, status, dateType, customDate, dueDate
+ * @returns {Array<Object>} pipeline
  */
-async function getJobs(query = {}) {
-  // Pagination params
-  const page = Number(query.page) || 1;
-  const limit = Number(query.limit) || 10;
-  const skip = (page - 1) * limit;
+function buildJobListPipeline(query = {}) {
   const search = query.search?.trim();
   const statusFilter = query.status;
   const dateType = query.dateType;
@@ -861,7 +1191,7 @@ async function getJobs(query = {}) {
       pipeline: [
         { $match: { $expr: { $eq: ["$job", "$$jobId"] } } },
         { $limit: 1 },
-        { $project: { _id: 1, status: 1 } },
+        { $project: { _id: 1, status: 1, completedAt: 1 } },
       ],
       as: "reportCheck",
     },
@@ -873,23 +1203,29 @@ async function getJobs(query = {}) {
       reportStatus: {
         $ifNull: [{ $arrayElemAt: ["$reportCheck.status", 0] }, "in_progress"],
       },
+      reportCompletedAt: {
+        $ifNull: [{ $arrayElemAt: ["$reportCheck.completedAt", 0] }, null],
+      },
     },
   });
 
   // -------------------------
-  // Exclude archived reports
+  // Exclude archived jobs (unless explicitly requested)
   // -------------------------
-  pipeline.push({
-    $match: {
-      reportStatus: { $ne: "archived" },
-    },
-  });
+  if (statusFilter !== jobStatuses.ARCHIVED) {
+    pipeline.push({
+      $match: {
+        status: { $ne: jobStatuses.ARCHIVED },
+      },
+    });
+  }
 
   // -------------------------
   // Filter by status
   // -------------------------
-  if (statusFilter && statusFilter !== "all") {
-    pipeline.push({ $match: { reportStatus: statusFilter } });
+  const statusMatch = buildStatusFilterMatch(statusFilter);
+  if (statusMatch) {
+    pipeline.push({ $match: statusMatch });
   }
 
   // -------------------------
@@ -928,30 +1264,13 @@ async function getJobs(query = {}) {
   // -------------------------
   // Date filter
   // -------------------------
-  if (dateType) {
-    const now = new Date();
-    let start, end;
-
-    if (dateType === "this_month") {
-      start = new Date(now.getFullYear(), now.getMonth(), 1);
-      end = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999);
-    } else if (dateType === "previous_month") {
-      start = new Date(now.getFullYear(), now.getMonth() - 1, 1);
-      end = new Date(now.getFullYear(), now.getMonth(), 0, 23, 59, 59, 999);
-    } else if (dateType === "custom" && customDate) {
-      start = new Date(customDate);
-      start.setHours(0, 0, 0, 0);
-      end = new Date(customDate);
-      end.setHours(23, 59, 59, 999);
-    }
-
-    if (start && end) {
-      pipeline.push({
-        $match: {
-          createdAt: { $gte: start, $lte: end },
-        },
-      });
-    }
+  const dateRange = dateType && getDateTypeRange(dateType, customDate);
+  if (dateRange) {
+    pipeline.push({
+      $match: {
+        createdAt: { $gte: dateRange.start, $lte: dateRange.end },
+      },
+    });
   }
 
   // -------------------------
@@ -973,7 +1292,7 @@ async function getJobs(query = {}) {
   // -------------------------
   pipeline.push({
     $addFields: {
-      hasReport: { $gt: [{ $size: "$reportCheck" }, 0] },
+      hasReport: HAS_SUBMITTED_REPORT,
       reportId: { $arrayElemAt: ["$reportCheck._id", 0] },
       reportStatusLabel: {
         $switch: {
@@ -1050,10 +1369,13 @@ async function getJobs(query = {}) {
       dueDate: 1,
       createdAt: 1,
       updatedAt: 1,
+      status: 1,
+      statusChangedAt: 1,
       hasReport: 1,
       reportId: 1,
       reportStatus: 1,
       reportStatusLabel: 1,
+      reportCompletedAt: 1,
       inspector: {
         _id: "$inspector._id",
         userId: "$inspector.userId",
@@ -1081,6 +1403,29 @@ async function getJobs(query = {}) {
     },
   });
 
+  return pipeline;
+}
+
+/**
+ * Get jobs with search and pagination
+ *
+ * @param {Object} query
+ * @returns {Promise<{
+ *  jobs: Array<Object>,
+ *  metaData: {
+ *    page: number,
+ *    limit: number,
+ *    totalJob: number,
+ *    totalPage: number
+ * } }>}
+ */
+async function getJobs(query = {}) {
+  // Pagination params
+  const page = Number(query.page) || 1;
+  const limit = Number(query.limit) || 10;
+  const skip = (page - 1) * limit;
+  const pipeline = buildJobListPipeline(query);
+
   // -------------------------
   // Pagination + Count
   // -------------------------
@@ -1110,6 +1455,47 @@ async function getJobs(query = {}) {
   };
 }
 
+/**
+ * Columns of the job export, in file order
+ */
+const JOB_EXPORT_COLUMNS = [
+  { header: "Order ID", value: (j) => j.orderId },
+  { header: "FHA Case No", value: (j) => j.fhaCaseDetailsNo },
+  { header: "Form Type", width: 26, value: (j) => j.formType },
+  { header: "Street Address", width: 36, value: (j) => j.streetAddress },
+  { header: "Development", width: 26, value: (j) => j.developmentName },
+  {
+    header: "Inspector",
+    width: 24,
+    value: (j) =>
+      [j.inspector?.firstName, j.inspector?.lastName].filter(Boolean).join(" "),
+  },
+  { header: "Inspector Email", width: 28, value: (j) => j.inspector?.email },
+  { header: "Fee Status", value: (j) => j.feeStatus },
+  { header: "Agreed Fee", value: (j) => j.agreedFee },
+  { header: "Due Date", value: (j) => j.dueDate },
+  { header: "Job Status", value: (j) => j.status },
+  { header: "Report Status", value: (j) => j.reportStatusLabel },
+  { header: "Completed At", value: (j) => j.reportCompletedAt },
+  { header: "Created At", value: (j) => j.createdAt },
+];
+
+/**
+ * Export every job matching the list filters (no pagination)
+ *
+ * @param {Object} query - same filters as getJobs
+ * @returns {{columns: Array<Object>, rows: AsyncIterable<Object>}}
+ */
+function exportJobs(query = {}) {
+  const pipeline = buildJobListPipeline(query);
+  pipeline.push({ $sort: { createdAt: -1 } });
+
+  return {
+    columns: JOB_EXPORT_COLUMNS,
+    rows: JobModel.aggregate(pipeline).cursor({ batchSize: 200 }),
+  };
+}
+
 /**
  * Update job
  *
@@ -1118,15 +1504,37 @@ async function getJobs(query = {}) {
  * @returns {Promise<Object>}
  */
 async function updateJob(id, payload) {
+  // A changed form type must be active
+  if (payload.formType) {
+    await assertActiveFormType(payload.formType);
+  }
+
+  if (payload.client) {
+    await assertClientExists(payload.client);
+  }
+
+  const update = { $set: payload };
+
+  if (payload.location) {
+    payload.location = { ...payload.location, source: "manual" };
+  } else if (payload.streetAddress) {
+    // A new address without new coordinates makes the old ones stale
+    const existing = await JobModel.findById(id)
+      .select("streetAddress location")
+      .lean();
+    if (
+      existing?.location &&
+      existing.streetAddress !== payload.streetAddress
+    ) {
+      update.$unset = { location: 1 };
+    }
+  }
+
   // Update the document and return the refreshed job payload
-  const updated = await JobModel.findByIdAndUpdate(
-    id,
-    { $set: payload },
-    {
-      new: true,
-      runValidators: true,
-    },
-  );
+  const updated = await JobModel.findByIdAndUpdate(id, update, {
+    new: true,
+    runValidators: true,
+  });
 
   // If no document matched, throw error
   if (!updated) {
@@ -1138,6 +1546,39 @@ async function updateJob(id, payload) {
   return await getJobById(id);
 }
 
+/**
+ * Get the coordinates of a job's property
+ * - Geocodes the street address the first time and stores the result
+ * - Returns null when the address can't be geocoded (or geocoding is off)
+ *
+ * @param {string|mongoose.Types.ObjectId} jobId
+ * @returns {Promise<{latitude: number, longitude: number}|null>}
+ */
+async function resolveJobLocation(jobId) {
+  const job = await JobModel.findById(jobId)
+    .select("streetAddress location")
+    .lean();
+
+  if (!job) return null;
+  if (job.location) return job.location;
+
+  try {
+    const found = await geocodeAddress(job.streetAddress);
+    if (!found) return null;
+
+    const location = { ...found, source: "geocoded", locatedAt: new Date() };
+    await JobModel.updateOne(
+      { _id: job._id, location: { $exists: false } },
+      { $set: { location } },
+    );
+
+    return location;
+  } catch (err) {
+    console.error(`Failed to geocode job ${job._id}:`, err.message);
+    return null;
+  }
+}
+
 /**
  * Delete job
  *
@@ -1161,6 +1602,410 @@ async function deleteJob(id) {
   return;
 }
 
+/**
+ * Manually move a job to a new lifecycle status
+ * - Inspectors may only accept / check in on their own jobs
+ * - Admins may set any status not driven by the report workflow
+ * - The other side (inspector or admins) is notified
+ *
+ * @param {string} id - Job ID
+ * @param {{status: string, reason?: string}} payload
+ * @param {Object} user - Authenticated user performing the change
+ * @returns {Promise<Object>} - Updated job (same shape as getJobById)
+ */
+async function updateJobStatus(id, payload, user) {
+  const { status, reason = "" } = payload;
+  const isInspector = Number(user.role) === 2;
+
+  // Check job exists
+  const job = await JobModel.findById(id).select("status inspector orderId");
+
+  if (!job) {
+    const err = new Error("Job not found");
+    err.code = 404;
+    throw err;
+  }
+
+  // Inspectors can only touch their own jobs, and only a few statuses
+  if (isInspector) {
+    if (String(job.inspector) !== String(user._id)) {
+      const err = new Error("You are not assigned to this job");
+      err.code = 403;
+      throw err;
+    }
+
+    if (!INSPECTOR_JOB_STATUSES.includes(status)) {
+      const err = new Error(
+        `Inspectors can only set status to ${INSPECTOR_JOB_STATUSES.join(", ")}`,
+      );
+      err.code = 403;
+      throw err;
+    }
+  }
+
+  // Submission, completion and archiving follow the report workflow
+  if (REPORT_DRIVEN_JOB_STATUSES.includes(status)) {
+    const err = new Error(`Status "${status}" is set by the report workflow`);
+    err.code = 400;
+    throw err;
+  }
+
+  await transitionJobStatus(job._id, status, {
+    changedBy: user._id,
+    reason,
+  });
+
+  // Notify the other party about the change
+  try {
+    const types = NotificationModel.notificationTypes || {};
+    const notification = {
+      type: types.JOB_STATUS_UPDATED || "job_status_updated",
+      title: "Job Status Updated",
+      body: `${job.orderId || "A job"} is now "${status}"${reason ? `: ${reason}` : "."}`,
+      data: {
+        jobId: new mongoose.Types.ObjectId(job._id),
+        status,
+        action: "view_job",
+      },
+      authorId: new mongoose.Types.ObjectId(user._id),
+    };
+
+    if (isInspector) {
+      await notifyAdmins(notification);
+    } else {
+      await notifyUser({ ...notification, userId: job.inspector });
+    }
+  } catch (e) {
+    console.error("Failed to send job status notification:", e);
+  }
+
+  return await getJobById(id);
+}
+
+/**
+ * Get the photo checklist of a job's form type with progress
+ *
+ * Labels count as done when the job's report already has them, or when
+ * the app says they are captured on the device (imageLabels).
+ *
+ * @param {string} id - Job ID
+ * @param {Object} query
+ * @param {Array<string>} [query.imageLabels] - label ids captured on the device
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>}
+ */
+async function getJobChecklist(id, { imageLabels = [] } = {}, user) {
+  const job = await JobModel.findById(id).select("inspector formType").lean();
+
+  if (!job) {
+    const err = new Error("Job not found");
+    err.code = 404;
+    throw err;
+  }
+
+  // Inspectors can only see their own jobs
+  if (Number(user.role) === 2 && String(job.inspector) !== String(user._id)) {
+    const err = new Error("You are not assigned to this job");
+    err.code = 403;
+    throw err;
+  }
+
+  // Labels already on the report
+  const report = await ReportModel.findOne({ job: job._id })
+    .select("status images.imageLabel")
+    .lean();
+  const reportLabels = (report?.images || []).map((img) => img.imageLabel);
+
+  const formType = await getFormTypeDefinition(job.formType);
+  const checklist = await buildImageLabelChecklist(formType, [
+    ...reportLabels,
+    ...imageLabels,
+  ]);
+
+  return {
+    jobId: job._id,
+    formType: formType.name,
+    formTypeDisplayName: formType.displayName,
+    reportId: report?._id || null,
+    reportStatus: report?.status || null,
+    ...checklist,
+  };
+}
+
+/**
+ * Reassign a job to another inspector
+ * - Blocked once a report has been submitted, unless a Super Admin forces it
+ * - Appends an entry to `assignmentHistory`
+ * - Sends the job back to "assigned" if the old inspector had started on it
+ * - Notifies the old and the new inspector
+ *
+ * @param {string} id - Job ID
+ * @param {{inspector: string, reason: string, force?: boolean}} payload
+ * @param {Object} user - Authenticated user performing the reassignment
+ * @returns {Promise<Object>} - Updated job (same shape as getJobById)
+ */
+async function reassignJob(id, payload, user) {
+  const { reason, force = false } = payload;
+  const isSuperAdmin = Number(user.role) === 0;
+
+  // Only a Super Admin may force
+  if (force && !isSuperAdmin) {
+    const err = new Error("Only a Super Admin can force a reassignment");
+    err.code = 403;
+    throw err;
+  }
+
+  // Check job exists
+  const job = await JobModel.findById(id);
+
+  if (!job) {
+    const err = new Error("Job not found");
+    err.code = 404;
+    throw err;
+  }
+
+  const previousInspectorId = job.inspector;
+  const newInspectorId = new mongoose.Types.ObjectId(payload.inspector);
+
+  if (String(previousInspectorId) === String(newInspectorId)) {
+    const err = new Error("Job is already assigned to this inspector");
+    err.code = 400;
+    throw err;
+  }
+
+  // The new inspector must be an active, approved inspector
+  const newInspector = await UserModel.findOne({
+    _id: newInspectorId,
+    role: 2,
+    isApproved: true,
+    isSuspended: false,
+  }).lean();
+
+  if (!newInspector) {
+    const err = new Error("New inspector not found or not active");
+    err.code = 404;
+    throw err;
+  }
+
+  // Jobs that are finished can't move
+  if (
+    [jobStatuses.CANCELLED, jobStatuses.ARCHIVED].includes(job.status) &&
+    !force
+  ) {
+    const err = new Error(`A ${job.status} job cannot be reassigned`);
+    err.code = 400;
+    throw err;
+  }
+
+  // Once a report is in, only a forced reassignment is allowed
+  const submittedReport = await ReportModel.exists({
+    job: job._id,
+    status: {
+      $in: ["submitted", "re-submitted", "rejected", "completed", "archived"],
+    },
+  });
+
+  if (submittedReport && !force) {
+    const err = new Error(
+      "A report has already been submitted for this job. Only a Super Admin can force a reassignment",
+    );
+    err.code = 409;
+    throw err;
+  }
+
+  // Apply the reassignment
+  job.inspector = newInspectorId;
+  job.lastUpdatedBy = new mongoose.Types.ObjectId(user._id);
+  job.assignmentHistory.push({
+    inspector: newInspectorId,
+    previousInspector: previousInspectorId,
+    assignedBy: new mongoose.Types.ObjectId(user._id),
+    reason,
+    forced: Boolean(submittedReport && force),
+    assignedAt: new Date(),
+  });
+  await job.save();
+
+  // The report moves with the job, so rejection notices and status
+  // emails reach the new inspector
+  await ReportModel.updateOne(
+    { job: job._id },
+    { $set: { inspector: newInspectorId } },
+  );
+
+  // Work the old inspector started doesn't carry over
+  if ([jobStatuses.ACCEPTED, jobStatuses.ON_SITE].includes(job.status)) {
+    await transitionJobStatus(job._id, jobStatuses.ASSIGNED, {
+      changedBy: user._id,
+      reason: `Reassigned: ${reason}`,
+    });
+  }
+
+  // Notify both inspectors
+  try {
+    const types = NotificationModel.notificationTypes || {};
+    const jobName = job.orderId || job.streetAddress || "A job";
+
+    await notifyUser({
+      userId: previousInspectorId,
+      type: types.JOB_REASSIGNED || "job_reassigned",
+      title: "Job reassigned",
+      body: `${jobName} has been reassigned to another inspector. Reason: ${reason}`,
+      data: {
+        jobId: new mongoose.Types.ObjectId(job._id),
+        action: "job_reassigned",
+      },
+      authorId: new mongoose.Types.ObjectId(user._id),
+    });
+
+    await notifyUser({
+      userId: newInspectorId,
+      type: types.JOB_ASSIGNED || "job_assigned",
+      title: "You have a new job assigned",
+      body: `${jobName} has been assigned to ${newInspector.firstName} ${newInspector.lastName}.`,
+      data: {
+        jobId: new mongoose.Types.ObjectId(job._id),
+        action: "job_assigned",
+      },
+      authorId: new mongoose.Types.ObjectId(user._id),
+    });
+  } catch (e) {
+    console.error("Failed to send job reassignment notifications:", e);
+  }
+
+  return await getJobById(id);
+}
+
+/**
+ * Items a re-inspection verifies: the open deficiencies of the failed
+ * report, with the photos showing them (the label's photos when none
+ * were linked)
+ *
+ * @param {Object} report - lean report with images and deficiencies
+ * @returns {Array<Object>} entries for reinspectionOf.items
+ */
+function buildReinspectionItems(report) {
+  const images = report.images || [];
+  const imageMap = new Map(images.map((img) => [String(img._id), img]));
+
+  return (report.deficiencies || [])
+    .filter((deficiency) => deficiency.status === "open")
+    .map((deficiency) => {
+      let photos = (deficiency.images || [])
+        .map((imageId) => imageMap.get(String(imageId)))
+        .filter(Boolean);
+      if (photos.length === 0) {
+        photos = images.filter(
+          (img) => img.imageLabel === deficiency.imageLabel,
+        );
+      }
+
+      return {
+        deficiency: deficiency._id,
+        imageLabelId: deficiency.imageLabelId,
+        imageLabel: deficiency.imageLabel,
+        severity: deficiency.severity,
+        description: deficiency.description,
+        requiredCorrection: deficiency.requiredCorrection || "",
+        beforePhotos: photos.map((img) => ({
+          url: img.variants?.display?.url || img.url,
+          thumbnailUrl: img.variants?.thumbnail?.url || "",
+        })),
+      };
+    });
+}
+
+/**
+ * Create a re-inspection of a job whose report failed
+ * - Copies the address, case number, contacts and distribution lists
+ * - Carries the report's open deficiencies over as the items to verify
+ * - Only one re-inspection of a job can be open at a time
+ *
+ * @param {string} id - Original job ID
+ * @param {Object} payload - { dueDate, inspector?, orderId?, feeStatus?, agreedFee?, specialNotesForInspector? }
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} - the new job (same shape as createJob)
+ */
+async function createReinspectionJob(id, payload, user) {
+  const original = await JobModel.findById(id).lean();
+
+  if (!original) {
+    const err = new Error("Job not found");
+    err.code = 404;
+    throw err;
+  }
+
+  const report = await ReportModel.findOne({ job: original._id })
+    .select("status images deficiencies")
+    .lean();
+
+  if (!report || !["completed", "archived"].includes(report.status)) {
+    const err = new Error(
+      "Only jobs with a completed report can be re-inspected",
+    );
+    err.code = 400;
+    throw err;
+  }
+
+  const items = buildReinspectionItems(report);
+
+  if (items.length === 0) {
+    const err = new Error("The report has no open deficiencies to re-inspect");
+    err.code = 400;
+    throw err;
+  }
+
+  const openReinspectionError = () => {
+    const err = new Error("A re-inspection of this job is already open");
+    err.code = 409;
+    return err;
+  };
+
+  const openReinspection = await JobModel.exists({
+    "reinspectionOf.job": original._id,
+    isOpenReinspection: true,
+  });
+
+  if (openReinspection) throw openReinspectionError();
+
+  const previousCount = await JobModel.countDocuments({
+    "reinspectionOf.job": original._id,
+  });
+  const userId = new mongoose.Types.ObjectId(user._id);
+
+  // The unique index settles concurrent requests
+  return createJob({
+    inspector: payload.inspector || original.inspector,
+    formType: original.formType,
+    feeStatus: payload.feeStatus || original.feeStatus,
+    agreedFee: payload.agreedFee ?? original.agreedFee,
+    fhaCaseDetailsNo: original.fhaCaseDetailsNo,
+    orderId: payload.orderId || `${original.orderId}-RI${previousCount + 1}`,
+    streetAddress: original.streetAddress,
+    location: original.location,
+    developmentName: original.developmentName,
+    siteContactName: original.siteContactName,
+    siteContactPhone: original.siteContactPhone,
+    siteContactEmail: original.siteContactEmail,
+    dueDate: payload.dueDate,
+    specialNotesForInspector: payload.specialNotesForInspector || "",
+    specialNoteForApOrAr: original.specialNoteForApOrAr,
+    client: original.client,
+    recipients: original.recipients,
+    reinspectionOf: {
+      job: original._id,
+      report: report._id,
+      orderId: original.orderId,
+      items,
+    },
+    createdBy: userId,
+    lastUpdatedBy: userId,
+  }).catch((err) => {
+    if (err.code === 11000) throw openReinspectionError();
+    throw err;
+  });
+}
+
 async function getJobsByIds(ids = []) {
   if (!Array.isArray(ids) || ids.length === 0) {
     return [];
@@ -1254,9 +2099,7 @@ async function getJobsByIds(ids = []) {
     /* ---------------- ROLE + REPORT STATUS ---------------- */
     {
       $addFields: {
-        hasReport: {
-          $gt: [{ $size: "$reportCheck" }, 0],
-        },
+        hasReport: HAS_SUBMITTED_REPORT,
 
         reportId: {
           $arrayElemAt: ["$reportCheck._id", 0],
@@ -1390,6 +2233,8 @@ async function getJobsByIds(ids = []) {
         specialNoteForApOrAr: 1,
         createdAt: 1,
         updatedAt: 1,
+        status: 1,
+        statusChangedAt: 1,
 
         hasReport: 1,
         reportId: 1,
@@ -1430,11 +2275,23 @@ async function getJobsByIds(ids = []) {
 }
 
 module.exports = {
+  applyNewJobLifecycle,
   createJob,
   getMyJobs,
   getJobs,
+  exportJobs,
   getJobById,
   getJobsByIds,
   updateJob,
+  updateJobStatus,
+  reassignJob,
+  createReinspectionJob,
+  getJobChecklist,
   deleteJob,
+  transitionJobStatus,
+  syncJobStatusWithReport,
+  backfillJobStatuses,
+  assertJobCanTransition,
+  assertJobCanFollowReport,
+  resolveJobLocation,
 };
@@ -0,0 +1,152 @@
+const mongoose = require("mongoose");
+
+const ImageLabelModel = require("../models/ImageLabelModel");
+
+const {
+  FHA_FINAL_COMPLIANCE_CHECKLIST,
+  FHA_FINAL_COMPLIANCE_VERSION,
+} = require("./TermsAndPolicyServices");
+
+// Answers that need a comment saying what was seen
+const ANSWERS_REQUIRING_COMMENT = ["fail", "not_observed"];
+
+/**
+ * Check the checklist answers of a submission and shape them for the report
+ * - Every item answered exactly once, no unknown codes
+ * - A comment on failed and not observed items
+ * - Linked photos must be photos of the report (by label)
+ *
+ * @param {Array<Object>} answers - [{ code, answer, comment?, imageLabels? }], label ids
+ * @param {Iterable<string>} reportLabels - label texts of the report photos
+ * @param {string|Object} answeredBy - inspector
+ * @returns {Promise<Object>} value for report.checklist
+ */
+async function resolveChecklistAnswers(answers, reportLabels, answeredBy) {
+  const items = FHA_FINAL_COMPLIANCE_CHECKLIST.flatMap(
+    (section) => section.items,
+  );
+  const itemMap = new Map(items.map((item) => [item.code, item]));
+  const onReport = new Set(reportLabels);
+
+  const labelIds = [
+    ...new Set(answers.flatMap((answer) => answer.imageLabels || [])),
+  ];
+  const labels = await ImageLabelModel.find({
+    _id: { $in: labelIds.map((id) => new mongoose.Types.ObjectId(id)) },
+  })
+    .select("label")
+    .lean();
+  const labelMap = new Map(labels.map((l) => [l._id.toString(), l.label]));
+
+  const errors = [];
+  const answered = new Map();
+
+  for (const answer of answers) {
+    const item = itemMap.get(answer.code);
+
+    if (!item) {
+      errors.push({ code: answer.code, message: "Unknown checklist item" });
+      continue;
+    }
+
+    if (answered.has(answer.code)) {
+      errors.push({ code: answer.code, message: "Item answered twice" });
+      continue;
+    }
+
+    if (ANSWERS_REQUIRING_COMMENT.includes(answer.answer) && !answer.comment) {
+      errors.push({
+        code: answer.code,
+        message: "A comment is required for failed or not observed items",
+      });
+    }
+
+    const imageLabels = [];
+    for (const id of answer.imageLabels || []) {
+      const label = labelMap.get(id);
+      if (!label || !onReport.has(label)) {
+        errors.push({
+          code: answer.code,
+          imageLabel: id,
+          message: "Image label has no photo on this report",
+        });
+      } else if (!imageLabels.includes(label)) {
+        imageLabels.push(label);
+      }
+    }
+
+    answered.set(answer.code, {
+      code: item.code,
+      text: item.text,
+      answer: answer.answer,
+      comment: answer.comment || "",
+      imageLabels,
+    });
+  }
+
+  for (const item of items) {
+    if (!answered.has(item.code)) {
+      errors.push({ code: item.code, message: "Item not answered" });
+    }
+  }
+
+  if (errors.length > 0) {
+    const err = new Error("The compliance checklist is incomplete or invalid");
+    err.code = 400;
+    err.errors = errors;
+    throw err;
+  }
+
+  return {
+    version: FHA_FINAL_COMPLIANCE_VERSION,
+    // Template order, whatever order they were sent in
+    answers: items.map((item) => answered.get(item.code)),
+    answeredBy,
+    answeredAt: new Date(),
+  };
+}
+
+/**
+ * Checklist of a submission, by the job's form type
+ * - Form types with the checklist need every item answered; a
+ *   resubmission may keep the answers it had
+ * - Other form types take no answers
+ *
+ * @param {Object} formType - from getFormTypeDefinition
+ * @param {Object} submission
+ * @param {Array<Object>} [submission.answers] - sent answers, label ids
+ * @param {Iterable<string>} submission.reportLabels - label texts of the report photos
+ * @param {string|Object} submission.answeredBy - inspector
+ * @param {Object} [submission.previous] - checklist of the rejected submission
+ * @returns {Promise<Object|null>} value for report.checklist
+ */
+async function resolveReportChecklist(
+  formType,
+  { answers, reportLabels, answeredBy, previous = null },
+) {
+  if (!formType?.requiresComplianceChecklist) {
+    if (answers) {
+      const err = new Error(
+        "This form type has no FHA Final Compliance checklist",
+      );
+      err.code = 400;
+      throw err;
+    }
+    return null;
+  }
+
+  if (answers) {
+    return resolveChecklistAnswers(answers, reportLabels, answeredBy);
+  }
+
+  if (previous) return previous;
+
+  const err = new Error("The FHA Final Compliance checklist must be answered");
+  err.code = 400;
+  throw err;
+}
+
+module.exports = {
+  resolveChecklistAnswers,
+  resolveReportChecklist,
+};
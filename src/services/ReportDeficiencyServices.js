@@ -0,0 +1,333 @@
+const mongoose = require("mongoose");
+
+const ImageLabelModel = require("../models/ImageLabelModel");
+const JobModel = require("../models/JobModel");
+const ReportModel = require("../models/ReportModel");
+
+const { getFormTypeDefinition } = require("./FormTypeServices");
+
+// Deficiencies are part of the issued PDF from completion on
+const LOCKED_STATUSES = ["completed", "archived"];
+
+/**
+ * Report whose deficiencies the user may change
+ * - Inspectors only on their own reports
+ * - Nobody once the report is completed
+ *
+ * @param {string} reportId
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} lean report with job, inspector, status, images and deficiencies
+ */
+async function findEditableReport(reportId, user) {
+  const report = await ReportModel.findById(reportId)
+    .select("job inspector status images._id images.imageLabel deficiencies")
+    .lean();
+
+  if (!report) {
+    const err = new Error("Report not found");
+    err.code = 404;
+    throw err;
+  }
+
+  if (
+    Number(user.role) === 2 &&
+    String(report.inspector) !== String(user._id)
+  ) {
+    const err = new Error("You do not have access to this report");
+    err.code = 403;
+    throw err;
+  }
+
+  if (LOCKED_STATUSES.includes(report.status)) {
+    const err = new Error(
+      "Deficiencies of a completed report can't be changed",
+    );
+    err.code = 400;
+    throw err;
+  }
+
+  return report;
+}
+
+/**
+ * Deficiency of a report the user may change
+ * Inspectors only change the ones they recorded.
+ *
+ * @param {Object} report - from findEditableReport
+ * @param {string} deficiencyId
+ * @param {Object} user - req.user
+ * @returns {Object}
+ */
+function findEditableDeficiency(report, deficiencyId, user) {
+  const deficiency = report.deficiencies.find(
+    (d) => String(d._id) === String(deficiencyId),
+  );
+
+  if (!deficiency) {
+    const err = new Error("Deficiency not found");
+    err.code = 404;
+    throw err;
+  }
+
+  if (
+    Number(user.role) === 2 &&
+    String(deficiency.createdBy) !== String(user._id)
+  ) {
+    const err = new Error("Only the reviewer can change this deficiency");
+    err.code = 403;
+    throw err;
+  }
+
+  return deficiency;
+}
+
+/**
+ * Label a deficiency is about, as stored on the report
+ * It must have photos on the report or be on the form type's checklist.
+ *
+ * @param {Object} report - from findEditableReport
+ * @param {string} imageLabelId
+ * @returns {Promise<{imageLabelId: mongoose.Types.ObjectId, imageLabel: string}>}
+ */
+async function resolveDeficiencyLabel(report, imageLabelId) {
+  const label = await ImageLabelModel.findById(imageLabelId)
+    .select("label")
+    .lean();
+
+  if (!label) {
+    const err = new Error("Image label not found");
+    err.code = 400;
+    throw err;
+  }
+
+  const onReport = report.images.some((img) => img.imageLabel === label.label);
+
+  if (!onReport) {
+    const job = await JobModel.findById(report.job).select("formType").lean();
+    const formType = await getFormTypeDefinition(job?.formType);
+    const checklistIds = [
+      ...(formType.requiredImageLabels || []),
+      ...(formType.optionalImageLabels || []),
+    ].map(String);
+
+    if (!checklistIds.includes(String(label._id))) {
+      const err = new Error("Image label is not part of this report");
+      err.code = 400;
+      throw err;
+    }
+  }
+
+  return { imageLabelId: label._id, imageLabel: label.label };
+}
+
+/**
+ * Check the linked photos are photos of the report
+ *
+ * @param {Object} report - with images._id
+ * @param {Array<string>} imageIds
+ * @returns {Array<mongoose.Types.ObjectId>}
+ */
+function resolveDeficiencyImages(report, imageIds) {
+  const reportImageIds = new Set(report.images.map((img) => String(img._id)));
+  const errors = imageIds
+    .filter((id) => !reportImageIds.has(id))
+    .map((id) => ({
+      field: "images",
+      image: id,
+      message: "Photo is not part of this report",
+    }));
+
+  if (errors.length > 0) {
+    const err = new Error("Some photos are not part of this report");
+    err.code = 400;
+    err.errors = errors;
+    throw err;
+  }
+
+  return [...new Set(imageIds)].map((id) => new mongoose.Types.ObjectId(id));
+}
+
+/**
+ * Deficiency as stored after a change
+ *
+ * @param {string} reportId
+ * @param {string} deficiencyId
+ * @returns {Promise<Object>}
+ */
+async function getDeficiency(reportId, deficiencyId) {
+  const report = await ReportModel.findById(reportId)
+    .select({ deficiencies: { $elemMatch: { _id: deficiencyId } } })
+    .populate("deficiencies.createdBy", "firstName lastName email role")
+    .populate("deficiencies.lastUpdatedBy", "firstName lastName email role")
+    .lean();
+
+  return report?.deficiencies?.[0] || null;
+}
+
+/**
+ * Record a deficiency on a report
+ *
+ * @param {string} reportId
+ * @param {Object} payload - { imageLabel, severity, description, requiredCorrection?, images? }
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} - the deficiency
+ */
+async function addReportDeficiency(reportId, payload, user) {
+  const report = await findEditableReport(reportId, user);
+  const _id = new mongoose.Types.ObjectId();
+
+  const deficiency = {
+    _id,
+    ...(await resolveDeficiencyLabel(report, payload.imageLabel)),
+    severity: payload.severity,
+    description: payload.description,
+    requiredCorrection: payload.requiredCorrection || "",
+    images: resolveDeficiencyImages(report, payload.images || []),
+    createdBy: user._id,
+    lastUpdatedBy: user._id,
+  };
+
+  // The report may have been completed meanwhile
+  const updated = await ReportModel.updateOne(
+    { _id: report._id, status: { $nin: LOCKED_STATUSES } },
+    { $push: { deficiencies: deficiency } },
+  );
+
+  if (!updated.modifiedCount) {
+    const err = new Error(
+      "Deficiencies of a completed report can't be changed",
+    );
+    err.code = 400;
+    throw err;
+  }
+
+  return getDeficiency(report._id, _id);
+}
+
+/**
+ * Update a deficiency of a report
+ *
+ * @param {string} reportId
+ * @param {string} deficiencyId
+ * @param {Object} payload - fields to change, status for reviewers
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} - the deficiency
+ */
+async function updateReportDeficiency(reportId, deficiencyId, payload, user) {
+  const report = await findEditableReport(reportId, user);
+  const deficiency = findEditableDeficiency(report, deficiencyId, user);
+
+  if (payload.status && Number(user.role) === 2) {
+    const err = new Error("Only the reviewer can mark deficiencies corrected");
+    err.code = 403;
+    throw err;
+  }
+
+  const { imageLabel, images, status, ...fields } = payload;
+  const changes = { ...fields, lastUpdatedBy: user._id };
+
+  if (imageLabel) {
+    Object.assign(changes, await resolveDeficiencyLabel(report, imageLabel));
+  }
+
+  if (images) {
+    changes.images = resolveDeficiencyImages(report, images);
+  }
+
+  if (status && status !== deficiency.status) {
+    changes.status = status;
+    changes.correctedAt = status === "corrected" ? new Date() : null;
+    changes.correctedBy = status === "corrected" ? user._id : null;
+  }
+
+  const $set = {};
+  for (const [field, value] of Object.entries(changes)) {
+    $set[`deficiencies.$.${field}`] = value;
+  }
+
+  const updated = await ReportModel.updateOne(
+    {
+      _id: report._id,
+      status: { $nin: LOCKED_STATUSES },
+      "deficiencies._id": deficiency._id,
+    },
+    { $set },
+  );
+
+  if (!updated.matchedCount) {
+    const err = new Error("Deficiency can no longer be changed");
+    err.code = 409;
+    throw err;
+  }
+
+  return getDeficiency(report._id, deficiency._id);
+}
+
+/**
+ * Remove a deficiency from a report
+ *
+ * @param {string} reportId
+ * @param {string} deficiencyId
+ * @param {Object} user - req.user
+ * @returns {Promise<void>}
+ */
+async function removeReportDeficiency(reportId, deficiencyId, user) {
+  const report = await findEditableReport(reportId, user);
+  const deficiency = findEditableDeficiency(report, deficiencyId, user);
+
+  await ReportModel.updateOne(
+    { _id: report._id, status: { $nin: LOCKED_STATUSES } },
+    { $pull: { deficiencies: { _id: deficiency._id } } },
+  );
+}
+
+/**
+ * Mark the deficiencies a completed re-inspection verified as corrected
+ * on the original report. An item stays open when the re-inspection
+ * report still has an open deficiency on its label.
+ *
+ * @param {Object} report - the completed re-inspection report (job, deficiencies)
+ * @param {string} userId - reviewer who completed it
+ * @returns {Promise<Array<mongoose.Types.ObjectId>>} - deficiencies marked corrected
+ */
+async function correctReinspectedDeficiencies(report, userId) {
+  const job = await JobModel.findById(report.job?._id ?? report.job)
+    .select("reinspectionOf")
+    .lean();
+  const reinspection = job?.reinspectionOf;
+  if (!reinspection?.items?.length) return [];
+
+  const stillOpen = new Set(
+    (report.deficiencies || [])
+      .filter((deficiency) => deficiency.status === "open")
+      .map((deficiency) => String(deficiency.imageLabelId)),
+  );
+  const corrected = reinspection.items
+    .filter((item) => !stillOpen.has(String(item.imageLabelId)))
+    .map((item) => item.deficiency);
+
+  if (corrected.length === 0) return [];
+
+  await ReportModel.updateOne(
+    { _id: reinspection.report },
+    {
+      $set: {
+        "deficiencies.$[item].status": "corrected",
+        "deficiencies.$[item].correctedAt": new Date(),
+        "deficiencies.$[item].correctedBy": userId,
+      },
+    },
+    {
+      arrayFilters: [{ "item._id": { $in: corrected }, "item.status": "open" }],
+    },
+  );
+
+  return corrected;
+}
+
+module.exports = {
+  correctReinspectedDeficiencies,
+  addReportDeficiency,
+  updateReportDeficiency,
+  removeReportDeficiency,
+};
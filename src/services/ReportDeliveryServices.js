@@ -0,0 +1,211 @@
+const mongoose = require("mongoose");
+
+const JobModel = require("../models/JobModel");
+const ReportDeliveryModel = require("../models/ReportDeliveryModel");
+const { escapeHtml } = require("../utils/html");
+const { sendMail } = require("../utils/mailer");
+
+/**
+ * Everyone on the job's and its client's lists, job entries first
+ * (an email on both lists gets the report once)
+ *
+ * @param {Object} job - with recipients and populated client
+ * @returns {Array<{name: string, email: string, role: string, source: string}>}
+ */
+function resolveRecipients(job) {
+  const recipients = new Map();
+  const lists = [
+    ["job", job?.recipients || []],
+    ["client", job?.client?.recipients || []],
+  ];
+
+  for (const [source, list] of lists) {
+    for (const recipient of list) {
+      const email = recipient.email.toLowerCase();
+      if (recipients.has(email)) continue;
+      recipients.set(email, { ...recipient, email, source });
+    }
+  }
+
+  return [...recipients.values()];
+}
+
+/**
+ * Queue a delivery for every recipient of the report's job that has none
+ * for the current revision yet
+ *
+ * @param {Object} report - from getReportById
+ * @returns {Promise<Array<Object>>} - queued deliveries of the revision
+ */
+async function queueReportDeliveries(report) {
+  const revision = report.currentRevision || 0;
+  const job = await JobModel.findById(report.job?._id ?? report.job)
+    .select("recipients client")
+    .populate("client", "recipients")
+    .lean();
+
+  const recipients = resolveRecipients(job);
+  if (recipients.length === 0) return [];
+
+  await ReportDeliveryModel.bulkWrite(
+    recipients.map((recipient) => ({
+      updateOne: {
+        filter: { report: report._id, revision, email: recipient.email },
+        update: {
+          $setOnInsert: {
+            job: job._id,
+            name: recipient.name || "",
+            role: recipient.role,
+            source: recipient.source,
+            status: "queued",
+          },
+        },
+        upsert: true,
+      },
+    })),
+  );
+
+  return ReportDeliveryModel.find({
+    report: report._id,
+    revision,
+    status: "queued",
+  }).lean();
+}
+
+/**
+ * Whether the mail server refused the recipient (as opposed to a failure
+ * to send at all)
+ *
+ * @param {Error} err - from nodemailer
+ * @returns {boolean}
+ */
+function isBounce(err) {
+  return err?.code === "EENVELOPE";
+}
+
+/**
+ * Email the report PDF to the recipient of one delivery and store the outcome
+ *
+ * @param {Object} delivery - lean delivery
+ * @param {Object} report - from getReportById
+ * @param {Buffer} pdf
+ * @returns {Promise<Object>} - updated delivery
+ */
+async function sendDelivery(delivery, report, pdf) {
+  const job = report.job || {};
+  const update = { lastAttemptAt: new Date() };
+
+  try {
+    const info = await sendMail({
+      to: delivery.email,
+      subject: `Inspection Report - ${job.streetAddress || job.orderId}`,
+      html: `<p>Dear ${escapeHtml(delivery.name || "Sir/Madam")},</p>
+             <p>Please find the attached inspection report.</p>
+             <p><strong>Order ID:</strong> ${escapeHtml(job.orderId || "N/A")}</p>
+             <p><strong>FHA Case #:</strong> ${escapeHtml(job.fhaCaseDetailsNo || "N/A")}</p>
+             <p><strong>Address:</strong> ${escapeHtml(job.streetAddress || "N/A")}</p>`,
+      attachments: [
+        {
+          filename: `${job.streetAddress || "inspection-report"}.pdf`,
+          content: pdf,
+          contentType: "application/pdf",
+        },
+      ],
+    });
+
+    if (info.rejected?.length) {
+      update.status = "bounced";
+      update.lastError = info.response || "Recipient refused";
+    } else {
+      update.status = "sent";
+      update.sentAt = new Date();
+      update.messageId = info.messageId || null;
+      update.lastError = "";
+    }
+  } catch (err) {
+    update.status = isBounce(err) ? "bounced" : "failed";
+    update.lastError = err.message;
+  }
+
+  return ReportDeliveryModel.findByIdAndUpdate(
+    delivery._id,
+    { $set: update, $inc: { attempts: 1 } },
+    { new: true },
+  ).lean();
+}
+
+/**
+ * Email a completed report to its job's and client's recipients
+ * Recipients that already have a delivery for the revision are skipped.
+ *
+ * @param {Object} report - from getReportById
+ * @param {Buffer} pdf - the issued PDF
+ * @returns {Promise<Array<Object>>} - deliveries sent now
+ */
+async function deliverReport(report, pdf) {
+  const queued = await queueReportDeliveries(report);
+  const deliveries = [];
+
+  // One at a time, the mail pool is shared with the rest of the app
+  for (const delivery of queued) {
+    deliveries.push(await sendDelivery(delivery, report, pdf));
+  }
+
+  return deliveries;
+}
+
+/**
+ * Deliveries of a report, newest revision first
+ *
+ * @param {string} reportId
+ * @returns {Promise<Array<Object>>}
+ */
+async function getReportDeliveries(reportId) {
+  return ReportDeliveryModel.find({
+    report: new mongoose.Types.ObjectId(reportId),
+  })
+    .sort({ revision: -1, createdAt: 1 })
+    .populate("lastRequestedBy", "firstName lastName email")
+    .lean();
+}
+
+/**
+ * Send one delivery of the current revision again
+ *
+ * @param {Object} report - from getReportById
+ * @param {Buffer} pdf - the issued PDF
+ * @param {string} deliveryId
+ * @param {string} userId - admin asking for the resend
+ * @returns {Promise<Object>} - updated delivery
+ */
+async function resendDelivery(report, pdf, deliveryId, userId) {
+  const delivery = await ReportDeliveryModel.findOne({
+    _id: deliveryId,
+    report: report._id,
+  }).lean();
+
+  if (!delivery) {
+    const err = new Error("Delivery not found");
+    err.code = 404;
+    throw err;
+  }
+
+  if (delivery.revision !== (report.currentRevision || 0)) {
+    const err = new Error("This delivery was for an earlier submission");
+    err.code = 400;
+    throw err;
+  }
+
+  await ReportDeliveryModel.updateOne(
+    { _id: delivery._id },
+    { $set: { status: "queued", lastRequestedBy: userId } },
+  );
+
+  return sendDelivery(delivery, report, pdf);
+}
+
+module.exports = {
+  deliverReport,
+  getReportDeliveries,
+  resendDelivery,
+};
@@ -0,0 +1,634 @@
+const path = require("path");
+const { Readable } = require("stream");
+
+const mongoose = require("mongoose");
+
+const ImageLabelModel = require("../models/ImageLabelModel");
+const JobModel = require("../models/JobModel");
+const ReportModel = require("../models/ReportModel");
+const {
+  deleteObjects,
+  generateKey,
+  getObjectUrl,
+  getSignedUploadUrl,
+  headObject,
+  uploadStreams,
+} = require("../utils/s3");
+
+const {
+  assertImageLabelChecklist,
+  buildImageLabelChecklist,
+  getFormTypeDefinition,
+} = require("./FormTypeServices");
+const {
+  assertJobCanFollowReport,
+  syncJobStatusWithReport,
+} = require("./JobServices");
+const { resolveReportChecklist } = require("./ReportChecklistServices");
+const {
+  collectImageKeys,
+  detectDuplicateImages,
+  processReportImages,
+  verifyImageCaptures,
+} = require("./ReportImageServices");
+const {
+  createReportRevision,
+  discardReportRevision,
+} = require("./ReportRevisionServices");
+const {
+  getReportById,
+  notifyReportSubmitted,
+  reportSendToMail,
+} = require("./ReportServices");
+const { createReportSignature } = require("./SignatureServices");
+const { createInspectorAcknowledgement } = require("./TermsAndPolicyServices");
+
+// Same limit as the grouped multipart upload
+const MAX_PHOTOS_PER_LABEL = 2;
+
+// Seconds a presigned upload URL stays valid
+const UPLOAD_URL_EXPIRES_IN = 15 * 60;
+
+/**
+ * Load a draft report owned by the inspector
+ *
+ * @param {string} reportId
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} report document
+ */
+async function findOwnDraft(reportId, user) {
+  const report = await ReportModel.findById(reportId);
+
+  if (!report) {
+    const err = new Error("Report not found");
+    err.code = 404;
+    throw err;
+  }
+
+  if (String(report.inspector) !== String(user._id)) {
+    const err = new Error("You do not have access to this report");
+    err.code = 403;
+    throw err;
+  }
+
+  if (report.status !== "draft") {
+    const err = new Error("Only draft reports can be changed");
+    err.code = 400;
+    throw err;
+  }
+
+  return report;
+}
+
+/**
+ * Get a draft report with its image label checklist
+ *
+ * @param {string} reportId
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>}
+ */
+async function getDraftReport(reportId, user) {
+  const report = await findOwnDraft(reportId, user);
+  const job = await JobModel.findById(report.job)
+    .select("orderId streetAddress formType status")
+    .lean();
+
+  const uploadedLabels = [
+    ...new Set(report.images.map((img) => img.imageLabel)),
+  ];
+  const formType = await getFormTypeDefinition(job?.formType);
+  const checklist = await buildImageLabelChecklist(formType, uploadedLabels);
+
+  return {
+    _id: report._id,
+    job,
+    status: report.status,
+    noteForAdmin: report.noteForAdmin,
+    images: report.images.map((img) => ({
+      _id: img._id,
+      imageLabel: img.imageLabel,
+      fileName: img.fileName,
+      url: img.url,
+      note: img.note,
+      mimeType: img.mimeType,
+      size: img.size,
+      variants: img.variants,
+      capture: img.capture,
+    })),
+    uploadedLabels,
+    checklist,
+    createdAt: report.createdAt,
+    updatedAt: report.updatedAt,
+  };
+}
+
+/**
+ * Start a draft report for a job, or resume the one already started
+ * - Moves the job to "on_site"
+ * - A draft left by a previous inspector passes to the newly assigned one
+ *
+ * @param {string} jobId
+ * @param {Object} user - req.user (inspector)
+ * @returns {Promise<{draft: Object, created: boolean}>}
+ */
+async function createDraftReport(jobId, user) {
+  const job = await JobModel.findById(jobId).select("status inspector");
+
+  if (!job) {
+    const err = new Error("Associated job not found");
+    err.code = 404;
+    throw err;
+  }
+
+  if (String(job.inspector) !== String(user._id)) {
+    const err = new Error("You are not assigned to this job");
+    err.code = 403;
+    throw err;
+  }
+
+  const inspector = new mongoose.Types.ObjectId(user._id);
+  const existing = await ReportModel.findOne({ job: job._id });
+
+  if (existing) {
+    if (existing.status !== "draft") {
+      const err = new Error("A report already exists for this job");
+      err.code = 400;
+      throw err;
+    }
+
+    // The job was reassigned since the draft was started
+    if (String(existing.inspector) !== String(inspector)) {
+      existing.inspector = inspector;
+      await existing.save();
+    }
+
+    return { draft: await getDraftReport(existing._id, user), created: false };
+  }
+
+  assertJobCanFollowReport(job, "draft");
+
+  const report = await ReportModel.create({
+    job: job._id,
+    inspector,
+    status: "draft",
+    images: [],
+    statusHistory: [{ from: null, to: "draft", changedBy: inspector }],
+  });
+
+  await syncJobStatusWithReport(job._id, "draft", { changedBy: inspector });
+
+  return { draft: await getDraftReport(report._id, user), created: true };
+}
+
+/**
+ * Resolve an image label a draft may hold photos for
+ *
+ * @param {Object} report - draft report document
+ * @param {string} imageLabelId
+ * @returns {Promise<Object>} image label (lean)
+ */
+async function resolveDraftLabel(report, imageLabelId) {
+  const label = await ImageLabelModel.findById(imageLabelId)
+    .select("label")
+    .lean();
+  if (!label) {
+    const err = new Error("Image label not found");
+    err.code = 400;
+    throw err;
+  }
+
+  // Only labels of the form type checklist, when it has one
+  const job = await JobModel.findById(report.job).select("formType").lean();
+  const formType = await getFormTypeDefinition(job?.formType);
+  const { items } = await buildImageLabelChecklist(formType, []);
+  if (items.length > 0 && !items.some((item) => item._id === imageLabelId)) {
+    const err = new Error(
+      `${label.label} is not part of the ${formType.displayName} checklist`,
+    );
+    err.code = 400;
+    throw err;
+  }
+
+  return label;
+}
+
+/**
+ * Throw unless a label gets an allowed number of photos
+ *
+ * @param {number} count
+ */
+function assertPhotoCount(count) {
+  if (count < 1 || count > MAX_PHOTOS_PER_LABEL) {
+    const err = new Error(
+      `Upload between 1 and ${MAX_PHOTOS_PER_LABEL} photos per image label`,
+    );
+    err.code = 400;
+    throw err;
+  }
+}
+
+/**
+ * Replace the photos of a label on a draft with stored objects
+ * - The new objects are deleted again if the draft can't be saved
+ *
+ * @param {Object} report - draft report document
+ * @param {Object} label - image label (lean)
+ * @param {Array<Object>} newImages - report images already in S3
+ * @returns {Promise<void>}
+ */
+async function replaceDraftLabelImages(report, label, newImages) {
+  const previousKeys = new Set(report.images.map((img) => img.key));
+  const newKeys = new Set(newImages.map((img) => img.key));
+  const addedKeys = collectImageKeys(
+    newImages.filter((img) => !previousKeys.has(img.key)),
+  );
+  const replacedKeys = collectImageKeys(
+    report.images.filter(
+      (img) => img.imageLabel === label.label && !newKeys.has(img.key),
+    ),
+  );
+
+  report.images = [
+    ...report.images.filter((img) => img.imageLabel !== label.label),
+    ...newImages,
+  ];
+
+  try {
+    await report.save();
+  } catch (err) {
+    if (addedKeys.length) {
+      await deleteObjects(addedKeys).catch(console.error);
+    }
+    throw err;
+  }
+
+  // Draft photos belong to no revision yet, nothing else references them
+  if (replacedKeys.length) {
+    await deleteObjects(replacedKeys).catch(console.error);
+  }
+}
+
+/**
+ * Add or replace the photos of one image label on a draft
+ * - Photos are stored right away, earlier photos of the label are removed
+ * - Labels outside the job's form type checklist are refused
+ *
+ * @param {string} reportId
+ * @param {string} imageLabelId
+ * @param {Array<{fileName: string, mimeType: string, size: number, buffer: Buffer}>} files
+ * @param {Object} options
+ * @param {string|Array<string>} [options.note] - one note, or one per photo
+ * @param {Object} user - req.user (inspector)
+ * @returns {Promise<Object>} draft with its checklist
+ */
+async function setDraftLabelImages(
+  reportId,
+  imageLabelId,
+  files,
+  options,
+  user,
+) {
+  assertPhotoCount(files.length);
+
+  const report = await findOwnDraft(reportId, user);
+  const label = await resolveDraftLabel(report, imageLabelId);
+
+  const results = await uploadStreams(
+    files.map((file) => ({
+      stream: Readable.from(file.buffer),
+      originalName: file.fileName,
+      contentType: file.mimeType,
+      folderPrefix: `reports/${report._id.toString()}`,
+    })),
+  );
+  const uploaded = results
+    .filter((r) => r.status === "fulfilled")
+    .map((r) => r.value);
+
+  if (uploaded.length !== files.length) {
+    if (uploaded.length) {
+      await deleteObjects(uploaded.map((u) => u.Key)).catch(console.error);
+    }
+    const err = new Error("Photo upload failed, please try again");
+    err.code = 502;
+    throw err;
+  }
+
+  const noteFor = (i) =>
+    (Array.isArray(options.note) ? options.note[i] : options.note) || "";
+
+  const newImages = files.map((file, i) => ({
+    imageLabel: label.label,
+    url: uploaded[i].Location,
+    key: uploaded[i].Key,
+    fileName: file.fileName || path.basename(uploaded[i].Key),
+    note: noteFor(i),
+    uploadedBy: report.inspector,
+    mimeType: file.mimeType,
+    size: file.size,
+  }));
+
+  // Variants and EXIF capture data, flagged early so the inspector can retake
+  await processReportImages(
+    newImages,
+    files.map((file) => file.buffer),
+  );
+  await verifyImageCaptures(newImages, { jobId: report.job });
+
+  await replaceDraftLabelImages(report, label, newImages);
+
+  return getDraftReport(report._id, user);
+}
+
+/**
+ * Hand out presigned PUT URLs for the photos of one image label
+ * - Keys live under reports/<id>/, content type and size are signed
+ * - Nothing changes on the draft until the uploads are confirmed
+ *
+ * @param {string} reportId
+ * @param {string} imageLabelId
+ * @param {Array<{fileName: string, contentType: string, size: number}>} files
+ * @param {Object} user - req.user (inspector)
+ * @returns {Promise<Object>} { imageLabel, expiresIn, uploads: [{ key, url, method, headers }] }
+ */
+async function createDraftUploadUrls(reportId, imageLabelId, files, user) {
+  assertPhotoCount(files.length);
+
+  const report = await findOwnDraft(reportId, user);
+  await resolveDraftLabel(report, imageLabelId);
+
+  const folderPrefix = `reports/${report._id.toString()}`;
+  const uploads = await Promise.all(
+    files.map(async (file) => {
+      const key = generateKey(file.fileName, folderPrefix);
+      const url = await getSignedUploadUrl(
+        key,
+        { contentType: file.contentType, contentLength: file.size },
+        UPLOAD_URL_EXPIRES_IN,
+      );
+
+      return {
+        key,
+        url,
+        method: "PUT",
+        headers: { "Content-Type": file.contentType },
+        fileName: file.fileName,
+      };
+    }),
+  );
+
+  return {
+    imageLabel: imageLabelId,
+    expiresIn: UPLOAD_URL_EXPIRES_IN,
+    uploads,
+  };
+}
+
+/**
+ * Attach photos uploaded through presigned URLs to a draft
+ * - Every object must exist under reports/<id>/ with the declared size and type
+ * - Replaces the earlier photos of the label, like a multipart upload
+ *
+ * @param {string} reportId
+ * @param {string} imageLabelId
+ * @param {Array<{key: string, fileName: string, contentType: string, size: number, note?: string}>} uploads
+ * @param {Object} user - req.user (inspector)
+ * @returns {Promise<Object>} draft with its checklist
+ */
+async function confirmDraftUploads(reportId, imageLabelId, uploads, user) {
+  assertPhotoCount(uploads.length);
+
+  const report = await findOwnDraft(reportId, user);
+  const label = await resolveDraftLabel(report, imageLabelId);
+
+  const folderPrefix = `reports/${report._id.toString()}/`;
+  const errors = [];
+
+  await Promise.all(
+    uploads.map(async (upload) => {
+      if (!upload.key.startsWith(folderPrefix)) {
+        errors.push({
+          field: "uploads",
+          key: upload.key,
+          message: "Object is not part of this report",
+        });
+        return;
+      }
+
+      const attached = report.images.find((img) => img.key === upload.key);
+      if (attached && attached.imageLabel !== label.label) {
+        errors.push({
+          field: "uploads",
+          key: upload.key,
+          message: `Object is already attached to ${attached.imageLabel}`,
+        });
+        return;
+      }
+
+      const head = await headObject(upload.key);
+      if (!head) {
+        errors.push({
+          field: "uploads",
+          key: upload.key,
+          message: "Object has not been uploaded",
+        });
+      } else if (
+        Number(head.ContentLength) !== upload.size ||
+        head.ContentType !== upload.contentType
+      ) {
+        errors.push({
+          field: "uploads",
+          key: upload.key,
+          message: "Uploaded object does not match the declared size or type",
+        });
+      }
+    }),
+  );
+
+  if (new Set(uploads.map((u) => u.key)).size !== uploads.length) {
+    errors.push({
+      field: "uploads",
+      message: "Each key can only be sent once",
+    });
+  }
+
+  if (errors.length > 0) {
+    const err = new Error("Some uploads could not be confirmed");
+    err.code = 400;
+    err.errors = errors;
+    throw err;
+  }
+
+  const newImages = uploads.map((upload) => ({
+    imageLabel: label.label,
+    url: getObjectUrl(upload.key),
+    key: upload.key,
+    fileName: upload.fileName || path.basename(upload.key),
+    note: upload.note || "",
+    uploadedBy: report.inspector,
+    mimeType: upload.contentType,
+    size: upload.size,
+  }));
+
+  // Stored originals are processed once, a repeated confirm keeps the result
+  const processed = new Map(report.images.map((img) => [img.key, img]));
+  for (const image of newImages) {
+    const previous = processed.get(image.key);
+    if (previous) {
+      image.variants = previous.variants;
+      image.capture = previous.capture;
+      image.perceptualHash = previous.perceptualHash;
+    }
+  }
+  await processReportImages(newImages.filter((img) => !processed.has(img.key)));
+  await verifyImageCaptures(newImages, { jobId: report.job });
+
+  await replaceDraftLabelImages(report, label, newImages);
+
+  return getDraftReport(report._id, user);
+}
+
+/**
+ * Remove the photos of one image label from a draft
+ *
+ * @param {string} reportId
+ * @param {string} imageLabelId
+ * @param {Object} user - req.user (inspector)
+ * @returns {Promise<Object>} draft with its checklist
+ */
+async function removeDraftLabelImages(reportId, imageLabelId, user) {
+  const report = await findOwnDraft(reportId, user);
+
+  const label = await ImageLabelModel.findById(imageLabelId)
+    .select("label")
+    .lean();
+  const removed = label
+    ? report.images.filter((img) => img.imageLabel === label.label)
+    : [];
+
+  if (removed.length === 0) {
+    const err = new Error("No photos uploaded for this image label");
+    err.code = 404;
+    throw err;
+  }
+
+  report.images = report.images.filter((img) => img.imageLabel !== label.label);
+  await report.save();
+
+  await deleteObjects(collectImageKeys(removed)).catch(console.error);
+
+  return getDraftReport(report._id, user);
+}
+
+/**
+ * Submit a draft once its checklist is complete
+ * - Moves the report to "submitted" and records its first revision
+ * - Notifies admins and mails the report, as a direct submission does
+ *
+ * @param {string} reportId
+ * @param {Object} payload
+ * @param {string} [payload.noteForAdmin]
+ * @param {string} [payload.inspectorName] - shown in the notification
+ * @param {Object} user - req.user (inspector)
+ * @returns {Promise<Object>} submitted report (same shape as GET by id)
+ */
+async function finalizeDraftReport(reportId, payload, user) {
+  const report = await findOwnDraft(reportId, user);
+
+  const job = await JobModel.findById(report.job).select("status formType");
+  if (job) assertJobCanFollowReport(job, "submitted");
+
+  if (report.images.length < 1) {
+    const err = new Error("At least 1 image is required");
+    err.code = 400;
+    throw err;
+  }
+
+  // Drafts store label names, the checklist works on ids
+  const labels = await ImageLabelModel.find({
+    label: { $in: report.images.map((img) => img.imageLabel) },
+  })
+    .select("_id")
+    .lean();
+  const formType = await getFormTypeDefinition(job?.formType);
+  await assertImageLabelChecklist(
+    formType,
+    labels.map((l) => String(l._id)),
+  );
+
+  const inspector = new mongoose.Types.ObjectId(user._id);
+  const submittedAt = new Date();
+
+  // FHA form types need every checklist item answered
+  report.checklist = await resolveReportChecklist(formType, {
+    answers: payload.checklist,
+    reportLabels: report.images.map((img) => img.imageLabel),
+    answeredBy: inspector,
+  });
+
+  // The inspector signs the submission with their saved signature
+  const inspectorSignature = await createReportSignature(
+    inspector,
+    "inspector",
+    payload.signedFrom,
+  );
+
+  // Capture checks against the actual submission time, then photo reuse
+  await verifyImageCaptures(report.images, { jobId: report.job, submittedAt });
+  await detectDuplicateImages(report.images, { jobId: report.job });
+
+  if (payload.noteForAdmin !== undefined) {
+    report.noteForAdmin = payload.noteForAdmin;
+  }
+  report.acknowledgement = createInspectorAcknowledgement(inspector);
+  report.status = "submitted";
+  report.statusHistory.push({
+    from: "draft",
+    to: "submitted",
+    changedBy: inspector,
+  });
+
+  // The finalized draft is the first submission
+  const revision = await createReportRevision(report, {
+    submittedBy: inspector,
+    submittedAt,
+  });
+  report.currentRevision = revision.revision;
+  report.signatures.push({ ...inspectorSignature, revision: revision.revision });
+
+  try {
+    await report.save();
+  } catch (err) {
+    await discardReportRevision(revision);
+    throw err;
+  }
+
+  // Move the job forward
+  if (job) {
+    await syncJobStatusWithReport(report.job, "submitted", {
+      changedBy: inspector,
+    });
+  }
+
+  await notifyReportSubmitted(report, {
+    inspector,
+    inspectorName: payload.inspectorName,
+  });
+
+  const submitted = await getReportById(report._id);
+
+  // Report send to admin mail
+  reportSendToMail(submitted);
+
+  return submitted;
+}
+
+module.exports = {
+  createDraftReport,
+  getDraftReport,
+  setDraftLabelImages,
+  removeDraftLabelImages,
+  createDraftUploadUrls,
+  confirmDraftUploads,
+  finalizeDraftReport,
+};
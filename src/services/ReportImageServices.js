@@ -0,0 +1,467 @@
+const mongoose = require("mongoose");
+
+const JobModel = require("../models/JobModel");
+const ReportModel = require("../models/ReportModel");
+const {
+  IMAGE_VARIANTS,
+  createImageVariants,
+  getVariantKey,
+} = require("../utils/imageVariants");
+const {
+  computePerceptualHash,
+  getHashBands,
+  hammingDistance,
+} = require("../utils/perceptualHash");
+const {
+  distanceInMeters,
+  readPhotoMetadata,
+} = require("../utils/photoMetadata");
+const {
+  getObjectBuffer,
+  uploadBuffers,
+  deleteObjects,
+} = require("../utils/s3");
+
+const { resolveJobLocation } = require("./JobServices");
+
+const { photoCaptureFlags } = ReportModel;
+
+// Photos further than this from the property are flagged
+const MAX_PHOTO_DISTANCE_METERS =
+  Number(process.env.PHOTO_MAX_DISTANCE_METERS) || 500;
+
+// Allowed clock drift between the camera and the server
+const CLOCK_TOLERANCE_MS = 5 * 60 * 1000;
+
+// Without a recorded UTC offset the capture time can be off by a whole time zone
+const UNKNOWN_TIME_ZONE_TOLERANCE_MS = 14 * 60 * 60 * 1000;
+
+// Photos whose hashes differ by at most this many bits are the same picture
+const DUPLICATE_HASH_DISTANCE = 8;
+const MAX_DUPLICATES_PER_IMAGE = 5;
+
+// Hash of a flat, single-colour picture, too common to mean anything
+const BLANK_IMAGE_HASH = "0".repeat(16);
+
+/**
+ * Generate and store the display and thumbnail variants of a report photo
+ *
+ * Variants are an optimisation: when the photo can't be processed
+ * (e.g. a format sharp can't decode) the original is used everywhere
+ * and null is returned instead of failing the upload.
+ *
+ * @param {string} key - S3 key of the original
+ * @param {Buffer} buffer - original bytes
+ * @returns {Promise<Object|null>} value for report image `variants`
+ */
+async function storeImageVariants(key, buffer) {
+  let uploadedKeys = [];
+
+  try {
+    const variants = await createImageVariants(buffer);
+    const names = Object.keys(variants);
+
+    const results = await uploadBuffers(
+      names.map((name) => ({
+        buffer: variants[name].buffer,
+        key: getVariantKey(key, name),
+        contentType: variants[name].contentType,
+      })),
+    );
+    uploadedKeys = results
+      .filter((r) => r.status === "fulfilled")
+      .map((r) => r.value.Key);
+
+    if (uploadedKeys.length !== names.length) {
+      throw new Error("Variant upload failed");
+    }
+
+    return Object.fromEntries(
+      names.map((name, i) => [
+        name,
+        {
+          key: results[i].value.Key,
+          url: results[i].value.Location,
+          width: variants[name].width,
+          height: variants[name].height,
+          size: variants[name].size,
+        },
+      ]),
+    );
+  } catch (err) {
+    console.error(`Image variants failed for ${key}:`, err.message);
+    if (uploadedKeys.length) {
+      await deleteObjects(uploadedKeys).catch(console.error);
+    }
+    return null;
+  }
+}
+
+/**
+ * Process freshly uploaded report images, one photo at a time
+ * - Adds the display and thumbnail variants
+ * - Reads the EXIF capture time and GPS position (flags come later,
+ *   from verifyImageCaptures)
+ * - Computes the perceptual hash (compared in detectDuplicateImages)
+ *
+ * @param {Array<Object>} images - report images (mutated), with `key`
+ * @param {Array<Buffer>} [buffers] - originals in the same order, when in memory
+ * @returns {Promise<Array<Object>>} the same images
+ */
+async function processReportImages(images, buffers = []) {
+  for (const [i, image] of images.entries()) {
+    let source = buffers[i];
+
+    if (!source) {
+      try {
+        source = await getObjectBuffer(image.key);
+      } catch (err) {
+        console.error(`Failed to load ${image.key}:`, err.message);
+        continue;
+      }
+    }
+
+    const variants = await storeImageVariants(image.key, source);
+    if (variants) image.variants = variants;
+
+    const metadata = await readPhotoMetadata(source);
+    image.capture = { ...metadata, distanceFromJobMeters: null, flags: [] };
+
+    try {
+      image.perceptualHash = await computePerceptualHash(source);
+    } catch (err) {
+      console.error(`Perceptual hash failed for ${image.key}:`, err.message);
+    }
+  }
+
+  return images;
+}
+
+/**
+ * Check when and where report photos were taken against their job
+ * - Taken before the job was created, or after the report was submitted
+ * - Taken too far from the job's location (geocoded when missing)
+ * - Missing capture time or GPS position
+ *
+ * Photos processed before capture data existed are left alone.
+ *
+ * @param {Array<Object>} images - report images (mutated)
+ * @param {Object} context
+ * @param {string|Object} context.jobId
+ * @param {Date|null} [context.submittedAt] - null while still a draft
+ * @returns {Promise<Array<Object>>} the same images
+ */
+async function verifyImageCaptures(images, { jobId, submittedAt = null }) {
+  const toCheck = images.filter((image) => image.capture);
+  if (toCheck.length === 0) return images;
+
+  const job = await JobModel.findById(jobId).select("createdAt").lean();
+  const jobLocation = await resolveJobLocation(jobId);
+  const checkedAt = new Date();
+
+  for (const image of toCheck) {
+    const capture = image.capture.toObject
+      ? image.capture.toObject()
+      : { ...image.capture };
+    const flags = [];
+    const tolerance = capture.timeZoneKnown
+      ? CLOCK_TOLERANCE_MS
+      : UNKNOWN_TIME_ZONE_TOLERANCE_MS;
+    const takenAt = capture.takenAt
+      ? new Date(capture.takenAt).getTime()
+      : null;
+
+    if (takenAt === null) {
+      flags.push(photoCaptureFlags.MISSING_CAPTURE_TIME);
+    } else {
+      if (job?.createdAt && takenAt < job.createdAt.getTime() - tolerance) {
+        flags.push(photoCaptureFlags.TAKEN_BEFORE_JOB_CREATED);
+      }
+      if (submittedAt && takenAt > submittedAt.getTime() + tolerance) {
+        flags.push(photoCaptureFlags.TAKEN_AFTER_SUBMISSION);
+      }
+    }
+
+    let distance = null;
+    if (capture.latitude === null || capture.longitude === null) {
+      flags.push(photoCaptureFlags.MISSING_LOCATION);
+    } else if (jobLocation) {
+      distance = Math.round(distanceInMeters(capture, jobLocation));
+      if (distance > MAX_PHOTO_DISTANCE_METERS) {
+        flags.push(photoCaptureFlags.TOO_FAR_FROM_JOB);
+      }
+    }
+
+    image.capture = {
+      ...capture,
+      distanceFromJobMeters: distance,
+      flags,
+      checkedAt,
+    };
+  }
+
+  return images;
+}
+
+/**
+ * Flag report photos that look like photos already submitted for other jobs
+ *
+ * Only photos sharing a hash band with the new ones can be close enough,
+ * so a picture reused after resizing or re-compression is still caught
+ * without comparing the whole archive. Each image gets its closest
+ * matches in `duplicates` (empty when none) and its own hash bands.
+ *
+ * @param {Array<Object>} images - report images (mutated)
+ * @param {Object} context
+ * @param {string|Object} context.jobId - job of the report being submitted
+ * @returns {Promise<Array<Object>>} the same images
+ */
+async function detectDuplicateImages(images, { jobId }) {
+  const toCheck = images.filter(
+    (image) =>
+      image.perceptualHash && image.perceptualHash !== BLANK_IMAGE_HASH,
+  );
+  if (toCheck.length === 0) return images;
+
+  const matches = new Map();
+  for (const image of toCheck) {
+    image.perceptualHashBands = getHashBands(
+      image.perceptualHash,
+      DUPLICATE_HASH_DISTANCE,
+    );
+    matches.set(image, []);
+  }
+  const bands = [
+    ...new Set(toCheck.flatMap((image) => image.perceptualHashBands)),
+  ];
+
+  // Streamed, a popular band can still match many photos
+  const candidates = ReportModel.aggregate([
+    {
+      $match: {
+        job: { $ne: new mongoose.Types.ObjectId(jobId) },
+        status: { $ne: "draft" },
+        "images.perceptualHashBands": { $in: bands },
+      },
+    },
+    { $unwind: "$images" },
+    { $match: { "images.perceptualHashBands": { $in: bands } } },
+    {
+      $project: {
+        _id: 0,
+        report: "$_id",
+        job: 1,
+        inspector: 1,
+        imageLabel: "$images.imageLabel",
+        url: "$images.url",
+        perceptualHash: "$images.perceptualHash",
+      },
+    },
+  ]).cursor();
+
+  for await (const candidate of candidates) {
+    for (const image of toCheck) {
+      const distance = hammingDistance(
+        image.perceptualHash,
+        candidate.perceptualHash,
+      );
+      if (distance > DUPLICATE_HASH_DISTANCE) continue;
+
+      const closest = matches.get(image);
+      closest.push({
+        report: candidate.report,
+        job: candidate.job,
+        inspector: candidate.inspector,
+        imageLabel: candidate.imageLabel,
+        url: candidate.url,
+        distance,
+      });
+      closest.sort((a, b) => a.distance - b.distance);
+      closest.splice(MAX_DUPLICATES_PER_IMAGE);
+    }
+  }
+
+  for (const [image, closest] of matches) {
+    image.duplicates = closest;
+  }
+
+  return images;
+}
+
+/**
+ * Give photos hashed before hash bands existed their bands, so
+ * detectDuplicateImages finds them (runs once at startup, idempotent)
+ *
+ * @returns {Promise<{updatedCount: number}>} reports updated
+ */
+async function backfillPerceptualHashBands() {
+  const reports = ReportModel.find({
+    images: {
+      $elemMatch: {
+        perceptualHash: { $type: "string" },
+        perceptualHashBands: { $exists: false },
+      },
+    },
+  })
+    .select("images._id images.perceptualHash images.perceptualHashBands")
+    .lean()
+    .cursor();
+
+  let updatedCount = 0;
+
+  for await (const report of reports) {
+    const $set = {};
+    const arrayFilters = [];
+
+    report.images.forEach((image, i) => {
+      if (!image.perceptualHash || image.perceptualHashBands) return;
+      $set[`images.$[img${i}].perceptualHashBands`] = getHashBands(
+        image.perceptualHash,
+        DUPLICATE_HASH_DISTANCE,
+      );
+      arrayFilters.push({ [`img${i}._id`]: image._id });
+    });
+
+    await ReportModel.updateOne(
+      { _id: report._id },
+      { $set },
+      { arrayFilters, timestamps: false },
+    );
+    updatedCount += 1;
+  }
+
+  return { updatedCount };
+}
+
+/**
+ * Suspected photo reuse, grouped per inspector
+ * - Only submitted reports (drafts aren't checked yet)
+ * - Inspectors with the most flagged photos first
+ *
+ * @param {Object} query
+ * @param {string} [query.inspector] - limit to one inspector
+ * @param {number} [query.page]
+ * @param {number} [query.limit]
+ * @returns {Promise<{inspectors: Array<Object>, metaData: Object}>}
+ */
+async function getSuspectedPhotoReuse(query = {}) {
+  // Pagination params
+  const page = parseInt(query.page, 10) || 1;
+  const limit = parseInt(query.limit, 10) || 10;
+  const skip = (page - 1) * limit;
+
+  const match = {
+    status: { $ne: "draft" },
+    "images.duplicates.0": { $exists: true },
+  };
+  if (query.inspector) {
+    match.inspector = new mongoose.Types.ObjectId(query.inspector);
+  }
+
+  const groupPipeline = [
+    { $match: match },
+    { $unwind: "$images" },
+    { $match: { "images.duplicates.0": { $exists: true } } },
+    {
+      $group: {
+        _id: "$inspector",
+        reports: { $addToSet: "$_id" },
+        flaggedImages: { $sum: 1 },
+        lastFlaggedAt: { $max: "$updatedAt" },
+        images: {
+          $push: {
+            report: "$_id",
+            job: "$job",
+            status: "$status",
+            imageLabel: "$images.imageLabel",
+            url: "$images.url",
+            thumbnailUrl: "$images.variants.thumbnail.url",
+            duplicates: "$images.duplicates",
+          },
+        },
+      },
+    },
+  ];
+
+  const pipeline = [
+    ...groupPipeline,
+    { $sort: { flaggedImages: -1, _id: 1 } },
+    { $skip: skip },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: "users",
+        localField: "_id",
+        foreignField: "_id",
+        as: "inspector",
+        pipeline: [
+          { $project: { userId: 1, firstName: 1, lastName: 1, email: 1 } },
+        ],
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        inspector: { $first: "$inspector" },
+        reportCount: { $size: "$reports" },
+        flaggedImages: 1,
+        lastFlaggedAt: 1,
+        images: 1,
+      },
+    },
+  ];
+
+  const [countResult, inspectors] = await Promise.all([
+    ReportModel.aggregate([...groupPipeline, { $count: "total" }]),
+    ReportModel.aggregate(pipeline),
+  ]);
+  const total = countResult[0]?.total || 0;
+
+  const metaData = {
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+  };
+
+  return { inspectors, metaData };
+}
+
+/**
+ * Every S3 key a list of report images uses (originals and variants)
+ *
+ * @param {Array<Object>} images
+ * @returns {Array<string>}
+ */
+function collectImageKeys(images = []) {
+  const keys = images.flatMap((img) => [
+    img.key,
+    ...Object.values(img.variants || {}).map((variant) => variant?.key),
+  ]);
+
+  return [...new Set(keys.filter((key) => key && key !== "pending"))];
+}
+
+/**
+ * Original keys plus the keys their variants are stored under,
+ * for cleanups that only know the originals
+ *
+ * @param {Array<string>} keys - original keys
+ * @returns {Array<string>}
+ */
+function withVariantKeys(keys) {
+  return keys.flatMap((key) => [
+    key,
+    ...Object.keys(IMAGE_VARIANTS).map((name) => getVariantKey(key, name)),
+  ]);
+}
+
+module.exports = {
+  processReportImages,
+  verifyImageCaptures,
+  detectDuplicateImages,
+  backfillPerceptualHashBands,
+  getSuspectedPhotoReuse,
+  collectImageKeys,
+  withVariantKeys,
+};
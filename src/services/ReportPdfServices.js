@@ -0,0 +1,83 @@
+const { getObjectBuffer, headObject, uploadBuffer } = require("../utils/s3");
+
+/**
+ * S3 key a report PDF is cached under
+ * - current-rev<n>: the report as it is now, at revision n
+ * - revision-<n>: the snapshot of revision n
+ * - verified-rev<n>-<hash>: the PDF issued when revision n was completed
+ *
+ * @param {string|Object} reportId
+ * @param {string} name
+ * @returns {string}
+ */
+function getReportPdfKey(reportId, name) {
+  return `reports/${reportId}/pdf/${name}.pdf`;
+}
+
+/**
+ * Every key a report's PDFs may be cached under, for deletions
+ *
+ * @param {Object} report - with _id, currentRevision and verification
+ * @returns {Array<string>}
+ */
+function listReportPdfKeys(report) {
+  const lastRevision = report.currentRevision || 0;
+  const keys = [];
+
+  for (let revision = 0; revision <= lastRevision; revision++) {
+    keys.push(getReportPdfKey(report._id, `current-rev${revision}`));
+    if (revision > 0) {
+      keys.push(getReportPdfKey(report._id, `revision-${revision}`));
+    }
+  }
+
+  if (report.verification?.pdfKey) keys.push(report.verification.pdfKey);
+
+  return keys;
+}
+
+/**
+ * Serve a PDF from the S3 cache, rendering (and caching) it when missing
+ *
+ * A cached PDF older than any of its sources (e.g. the job was edited
+ * after rendering) is rendered again. S3 times have second precision,
+ * so the sources are compared at that precision too.
+ *
+ * The cache is best effort: S3 errors fall back to rendering.
+ *
+ * @param {string} key - from getReportPdfKey
+ * @param {Array<Date|string|undefined>} sourceDates - updatedAt of what the PDF shows
+ * @param {() => Promise<Buffer>} render
+ * @returns {Promise<Buffer>}
+ */
+async function getCachedPdf(key, sourceDates, render) {
+  const freshSince = Math.max(
+    0,
+    ...sourceDates
+      .filter(Boolean)
+      .map((date) => Math.floor(new Date(date).getTime() / 1000) * 1000),
+  );
+
+  try {
+    const cached = await headObject(key);
+    if (cached && cached.LastModified.getTime() >= freshSince) {
+      return await getObjectBuffer(key);
+    }
+  } catch (err) {
+    console.error(`Cached PDF ${key} unavailable:`, err.message);
+  }
+
+  const pdf = await render();
+
+  await uploadBuffer(pdf, key, "application/pdf").catch((err) =>
+    console.error(`Failed to cache PDF ${key}:`, err.message),
+  );
+
+  return pdf;
+}
+
+module.exports = {
+  getReportPdfKey,
+  listReportPdfKeys,
+  getCachedPdf,
+};
@@ -0,0 +1,248 @@
+const ReportModel = require("../models/ReportModel");
+const ReportRevisionModel = require("../models/ReportRevisionModel");
+
+const { collectImageKeys } = require("./ReportImageServices");
+
+/**
+ * Copy the submitted fields of a report image
+ *
+ * @param {Object} img - report image subdocument
+ * @returns {Object}
+ */
+function snapshotImage(img) {
+  return {
+    imageLabel: img.imageLabel,
+    url: img.url,
+    key: img.key,
+    fileName: img.fileName,
+    alt: img.alt || "",
+    note: img.note || "",
+    uploadedBy: img.uploadedBy,
+    mimeType: img.mimeType,
+    size: img.size,
+    variants: img.variants,
+    capture: img.capture,
+    perceptualHash: img.perceptualHash,
+    duplicates: img.duplicates,
+  };
+}
+
+/**
+ * Snapshot a report submission as its next revision
+ *
+ * The caller stores the returned revision number on report.currentRevision.
+ *
+ * @param {Object} report - report document in its submitted state
+ * @param {Object} [options]
+ * @param {string} [options.submittedBy] - defaults to the report inspector
+ * @param {Date} [options.submittedAt] - defaults to now
+ * @returns {Promise<Object>} created revision
+ */
+async function createReportRevision(report, options = {}) {
+  const last = await ReportRevisionModel.findOne({ report: report._id })
+    .sort({ revision: -1 })
+    .select("revision")
+    .lean();
+
+  return ReportRevisionModel.create({
+    report: report._id,
+    job: report.job,
+    revision: (last?.revision || 0) + 1,
+    status: report.status,
+    images: (report.images || []).map(snapshotImage),
+    noteForAdmin: report.noteForAdmin || "",
+    acknowledgement: report.acknowledgement,
+    checklist: report.checklist,
+    submittedBy: options.submittedBy || report.inspector,
+    submittedAt: options.submittedAt || new Date(),
+  });
+}
+
+/**
+ * Remove a revision whose report change failed to save
+ *
+ * @param {Object} [revision]
+ */
+async function discardReportRevision(revision) {
+  if (!revision) return;
+  await ReportRevisionModel.deleteOne({ _id: revision._id }).catch(
+    console.error,
+  );
+}
+
+/**
+ * Give a report submitted before revisions existed its first revision
+ *
+ * @param {Object} report - report document
+ * @returns {Promise<void>}
+ */
+async function ensureInitialRevision(report) {
+  if (report.currentRevision > 0) return;
+  if (await ReportRevisionModel.exists({ report: report._id })) return;
+
+  const revision = await ReportRevisionModel.create({
+    report: report._id,
+    job: report.job,
+    revision: 1,
+    status: "submitted",
+    images: (report.images || [])
+      .filter((img) => img.key && img.key !== "pending")
+      .map(snapshotImage),
+    noteForAdmin: report.noteForAdmin || "",
+    submittedBy: report.inspector,
+    submittedAt: report.createdAt || new Date(),
+    // Keep a decision that was already taken
+    ...(["completed", "rejected"].includes(report.status) && {
+      decision: {
+        status: report.status,
+        decidedAt: report.completedAt || report.updatedAt,
+        rejectedLabels: report.rejectedLabels || [],
+      },
+    }),
+  });
+
+  await ReportModel.updateOne(
+    { _id: report._id },
+    { $set: { currentRevision: revision.revision } },
+  );
+  report.currentRevision = revision.revision;
+}
+
+/**
+ * Record the admin decision on the latest undecided revision of a report
+ *
+ * @param {string} reportId
+ * @param {Object} decision
+ * @param {"completed"|"rejected"} decision.status
+ * @param {string} decision.decidedBy
+ * @param {string} [decision.reason]
+ * @param {Array<Object>} [decision.rejectedLabels]
+ * @returns {Promise<Object|null>} updated revision
+ */
+async function recordRevisionDecision(reportId, decision) {
+  return ReportRevisionModel.findOneAndUpdate(
+    { report: reportId, "decision.status": null },
+    {
+      $set: {
+        decision: {
+          status: decision.status,
+          decidedBy: decision.decidedBy,
+          decidedAt: new Date(),
+          reason: decision.reason || "",
+          rejectedLabels: (decision.rejectedLabels || []).map((r) => ({
+            imageLabelId: r.imageLabelId,
+            imageLabel: r.imageLabel,
+            comment: r.comment,
+          })),
+        },
+      },
+    },
+    { sort: { revision: -1 }, new: true },
+  );
+}
+
+/**
+ * Load a report the user may see revisions of
+ *
+ * @param {string} reportId
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>} report (lean)
+ */
+async function findViewableReport(reportId, user) {
+  const report = await ReportModel.findById(reportId)
+    .select("inspector currentRevision")
+    .lean();
+
+  if (!report) {
+    const err = new Error("Report not found");
+    err.code = 404;
+    throw err;
+  }
+
+  // Inspectors only see their own reports
+  if (
+    Number(user?.role) === 2 &&
+    String(report.inspector) !== String(user._id)
+  ) {
+    const err = new Error("You do not have access to this report");
+    err.code = 403;
+    throw err;
+  }
+
+  return report;
+}
+
+/**
+ * Get every revision of a report, oldest first
+ *
+ * @param {string} reportId
+ * @param {Object} user - req.user
+ * @returns {Promise<Array<Object>>}
+ */
+async function getReportRevisions(reportId, user) {
+  await findViewableReport(reportId, user);
+
+  return ReportRevisionModel.find({ report: reportId })
+    .populate("submittedBy", "firstName lastName email")
+    .populate("decision.decidedBy", "firstName lastName email")
+    .sort({ revision: 1 })
+    .lean();
+}
+
+/**
+ * Get a single revision of a report
+ *
+ * @param {string} reportId
+ * @param {number} revision
+ * @param {Object} user - req.user
+ * @returns {Promise<Object>}
+ */
+async function getReportRevision(reportId, revision, user) {
+  await findViewableReport(reportId, user);
+
+  const found = await ReportRevisionModel.findOne({
+    report: reportId,
+    revision,
+  })
+    .populate("submittedBy", "firstName lastName email licenseNumber")
+    .populate("decision.decidedBy", "firstName lastName email")
+    .lean();
+
+  if (!found) {
+    const err = new Error("Report revision not found");
+    err.code = 404;
+    throw err;
+  }
+
+  return found;
+}
+
+/**
+ * Delete the revisions of reports being permanently deleted
+ *
+ * @param {Array<string>} reportIds
+ * @returns {Promise<Array<string>>} S3 keys the revisions referenced
+ */
+async function removeReportRevisions(reportIds) {
+  const revisions = await ReportRevisionModel.find({
+    report: { $in: reportIds },
+  })
+    .select("images.key images.variants")
+    .lean();
+
+  const keys = collectImageKeys(revisions.flatMap((rev) => rev.images || []));
+
+  await ReportRevisionModel.deleteMany({ report: { $in: reportIds } });
+
+  return keys;
+}
+
+module.exports = {
+  createReportRevision,
+  discardReportRevision,
+  ensureInitialRevision,
+  recordRevisionDecision,
+  getReportRevisions,
+  getReportRevision,
+  removeReportRevisions,
+};
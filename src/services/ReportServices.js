@@ -2,16 +2,78 @@ const path = require("path");
 const { Readable } = require("stream");
 
 const mongoose = require("mongoose");
+const QRCode = require("qrcode");
 
-const { notifyAdmins } = require("../helpers/notification/notification-helper");
+const {
+  notifyAdmins,
+  notifyUser,
+} = require("../helpers/notification/notification-helper");
 const ImageLabelModel = require("../models/ImageLabelModel");
 const JobModel = require("../models/JobModel");
 const NotificationModel = require("../models/NotificationModel");
+const ReportDeliveryModel = require("../models/ReportDeliveryModel");
 const ReportModel = require("../models/ReportModel");
-const { uploadStreams, deleteObjects } = require("../utils/s3");
-const puppeteer = require("puppeteer");
-const fs = require("fs");
+const ReportShareLinkModel = require("../models/ReportShareLinkModel");
+const { getDateTypeRange } = require("../utils/dateRange");
+const { escapeHtml } = require("../utils/html");
 const { sendMail } = require("../utils/mailer");
+const { renderPdf } = require("../utils/pdfRenderer");
+const {
+  uploadStreams,
+  deleteObjects,
+  getSignedDownloadUrl,
+} = require("../utils/s3");
+
+const {
+  getBrandingSettings,
+  getPdfBranding,
+} = require("./BrandingSettingsServices");
+const {
+  assertImageLabelChecklist,
+  getFormTypeDefinition,
+} = require("./FormTypeServices");
+const {
+  assertJobCanFollowReport,
+  syncJobStatusWithReport,
+} = require("./JobServices");
+const { resolveReportChecklist } = require("./ReportChecklistServices");
+const {
+  correctReinspectedDeficiencies,
+} = require("./ReportDeficiencyServices");
+const { deliverReport, resendDelivery } = require("./ReportDeliveryServices");
+const {
+  collectImageKeys,
+  detectDuplicateImages,
+  processReportImages,
+  verifyImageCaptures,
+  withVariantKeys,
+} = require("./ReportImageServices");
+const {
+  getCachedPdf,
+  getReportPdfKey,
+  listReportPdfKeys,
+} = require("./ReportPdfServices");
+const {
+  createReportRevision,
+  discardReportRevision,
+  ensureInitialRevision,
+  getReportRevision,
+  recordRevisionDecision,
+  removeReportRevisions,
+} = require("./ReportRevisionServices");
+const {
+  getIssuedReportPdf,
+  getIssuedReportPdfKey,
+  getVerificationUrl,
+  isVerifiedReport,
+} = require("./ReportVerificationServices");
+const {
+  createReportSignature,
+  getPdfSignatures,
+} = require("./SignatureServices");
+const { createInspectorAcknowledgement } = require("./TermsAndPolicyServices");
+
+const { reportStatusTransitions } = ReportModel;
 
 /**
  * Create a new report
@@ -28,15 +90,35 @@ async function createReport(payload) {
   const jobId = new mongoose.Types.ObjectId(payload.job);
 
   // Job existence check
-  if (!(await JobModel.exists({ _id: jobId }))) {
+  const job = await JobModel.findById(jobId).select(
+    "status formType inspector",
+  );
+  if (!job) {
     const err = new Error("Associated job not found");
     err.code = 404;
     throw err;
   }
 
+  // Only the inspector the job is assigned to can report on it
+  if (String(job.inspector) !== String(payload.inspector)) {
+    const err = new Error("You are not assigned to this job");
+    err.code = 403;
+    throw err;
+  }
+
+  // Job must be in a state that accepts a submission
+  assertJobCanFollowReport(job, "submitted");
+
   // Duplicate report check
-  if (await ReportModel.exists({ job: jobId })) {
-    const err = new Error("A report already exists for this job");
+  const existingReport = await ReportModel.findOne({ job: jobId })
+    .select("status")
+    .lean();
+  if (existingReport) {
+    const err = new Error(
+      existingReport.status === "draft"
+        ? "A draft report exists for this job, finalize it instead"
+        : "A report already exists for this job",
+    );
     err.code = 400;
     throw err;
   }
@@ -66,6 +148,13 @@ async function createReport(payload) {
   // Map label IDs to strings
   const labelMap = new Map(labels.map((l) => [l._id.toString(), l.label]));
 
+  // Images must follow the job's form type checklist
+  const formType = await getFormTypeDefinition(job.formType);
+  await assertImageLabelChecklist(
+    formType,
+    imagesInput.map((img) => img.imageLabel),
+  );
+
   // Prepare images with string label
   const finalImagesPlaceholder = imagesInput.map((img) => {
     const labelStr = labelMap.get(img.imageLabel);
@@ -80,6 +169,7 @@ async function createReport(payload) {
       key: "", // will be filled after upload
       fileName: img.fileName || "image",
       alt: img.alt || "",
+      note: img.note || "",
       uploadedBy: payload.inspector,
       mimeType: img.mimeType || "application/octet-stream",
       size: img.size || 0,
@@ -87,6 +177,20 @@ async function createReport(payload) {
     };
   });
 
+  // FHA form types need every checklist item answered
+  const checklist = await resolveReportChecklist(formType, {
+    answers: payload.checklist,
+    reportLabels: finalImagesPlaceholder.map((img) => img.imageLabel),
+    answeredBy: payload.inspector,
+  });
+
+  // The inspector signs the submission with their saved signature
+  const inspectorSignature = await createReportSignature(
+    payload.inspector,
+    "inspector",
+    payload.signedFrom,
+  );
+
   // Create report document FIRST (to get _id)
   const report = new ReportModel({
     ...payload,
@@ -98,6 +202,11 @@ async function createReport(payload) {
       key: "pending",
     })),
     noteForAdmin: payload.noteForAdmin || "",
+    checklist,
+    acknowledgement: createInspectorAcknowledgement(payload.inspector),
+    statusHistory: [
+      { from: null, to: "submitted", changedBy: payload.inspector },
+    ],
   });
 
   await report.save();
@@ -106,6 +215,7 @@ async function createReport(payload) {
   const folderPrefix = `reports/${report._id.toString()}`;
 
   let uploadedResults = [];
+  let revision = null;
 
   try {
     // Upload images to S3
@@ -160,6 +270,7 @@ async function createReport(payload) {
           key: uploaded.Key,
           fileName: orig.fileName || path.basename(uploaded.Key),
           alt: orig.alt || "",
+          note: orig.note || "",
           uploadedBy: payload.inspector,
           mimeType: orig.mimeType,
           size: orig.size,
@@ -173,28 +284,35 @@ async function createReport(payload) {
       }
     }
 
+    // Variants and EXIF capture data of the new photos
+    await processReportImages(
+      finalImages.filter((_, i) => finalImagesPlaceholder[i].buffer),
+      toUpload.map((img) => img.buffer),
+    );
+    await verifyImageCaptures(finalImages, { jobId, submittedAt: new Date() });
+    await detectDuplicateImages(finalImages, { jobId });
+
     // Update the report document with final image data
     report.images = finalImages;
+
+    // Keep the submission as the first revision
+    revision = await createReportRevision(report, {
+      submittedBy: payload.inspector,
+    });
+    report.currentRevision = revision.revision;
+    report.signatures.push({
+      ...inspectorSignature,
+      revision: revision.revision,
+    });
     await report.save();
 
-    // Notify admins about new report submission
-    try {
-      const types = NotificationModel.notificationTypes || {};
+    // Move the job forward
+    await syncJobStatusWithReport(jobId, report.status, {
+      changedBy: payload.inspector,
+    });
 
-      await notifyAdmins({
-        type: types.REPORT_SUBMITTED || "report_submitted",
-        title: "New Report Submitted",
-        body: `A new report has been submitted by ${payload.inspectorName || "an inspector"}.`,
-        data: {
-          reportId: new mongoose.Types.ObjectId(report._id),
-          jobId: new mongoose.Types.ObjectId(jobId),
-          action: "view_report",
-        },
-        authorId: new mongoose.Types.ObjectId(payload.inspector),
-      });
-    } catch (e) {
-      console.error("Failed to create/send job report notifications:", e);
-    }
+    // Notify admins about new report submission
+    await notifyReportSubmitted(report, payload);
 
     // 8. Return the complete report
     const createdReport = await getReportById(report._id);
@@ -206,8 +324,10 @@ async function createReport(payload) {
   } catch (err) {
     // Cleanup images if report was created but upload failed
     if (uploadedResults.length > 0) {
-      // Delete successfully uploaded images from S3
-      const keys = uploadedResults.map((u) => u?.Key).filter(Boolean);
+      // Delete successfully uploaded images (and their variants) from S3
+      const keys = withVariantKeys(
+        uploadedResults.map((u) => u?.Key).filter(Boolean),
+      );
 
       // Delete objects from S3
       if (keys.length) await deleteObjects(keys).catch(console.error);
@@ -215,6 +335,7 @@ async function createReport(payload) {
 
     // Optional: delete the incomplete report document
     await ReportModel.deleteOne({ _id: report._id }).catch(console.error);
+    await discardReportRevision(revision);
 
     // Rethrow the error
     throw err;
@@ -222,18 +343,44 @@ async function createReport(payload) {
 }
 
 /**
- * Get all reports with optional search and pagination
+ * Notify admins that an inspector submitted a new report
  *
- * @param {Object} query - Query parameters
- * @returns {Promise<{reports: Array<Object>, metaData: Object}>} - Reports and metadata
+ * @param {Object} report - submitted report
+ * @param {Object} submitter
+ * @param {string} submitter.inspector - inspector user ID
+ * @param {string} [submitter.inspectorName] - shown in the notification
+ * @returns {Promise<void>}
  */
-async function getAllReports(query) {
-  // Pagination params
-  const page = parseInt(query.page, 10) || 1;
-  const limit = parseInt(query.limit, 10) || 10;
-  const skip = (page - 1) * limit;
+async function notifyReportSubmitted(report, { inspector, inspectorName }) {
+  try {
+    const types = NotificationModel.notificationTypes || {};
+
+    await notifyAdmins({
+      type: types.REPORT_SUBMITTED || "report_submitted",
+      title: "New Report Submitted",
+      body: `A new report has been submitted by ${inspectorName || "an inspector"}.`,
+      data: {
+        reportId: new mongoose.Types.ObjectId(report._id),
+        jobId: new mongoose.Types.ObjectId(report.job),
+        action: "view_report",
+      },
+      authorId: new mongoose.Types.ObjectId(inspector),
+    });
+  } catch (e) {
+    console.error("Failed to create/send job report notifications:", e);
+  }
+}
+
+/**
+ * Build the report list aggregation (filters and lookups)
+ * shared by the paginated list and the export
+ *
+ * @param {Object} query - search, status, dateType, customDate
+ * @returns {Array<Object>} pipeline
+ */
+function buildReportListPipeline(query = {}) {
   const matchStage = {
-    status: { $ne: "archived" }, // Exclude archived reports
+    status: { $nin: ["archived", "draft"] }, // Exclude archived and draft reports
   };
 
   // Optional filtering by status
@@ -245,6 +392,22 @@ async function getAllReports(query) {
     }
   }
 
+  // Optional created date filter
+  const dateRange =
+    query.dateType && getDateTypeRange(query.dateType, query.customDate);
+  if (dateRange) {
+    matchStage.createdAt = { $gte: dateRange.start, $lte: dateRange.end };
+  }
+
+  // Optional deficiency filter
+  if (query.deficiencies === "open") {
+    matchStage["deficiencies.status"] = "open";
+  } else if (query.deficiencies === "any") {
+    matchStage["deficiencies.0"] = { $exists: true };
+  } else if (query.deficiencies === "none") {
+    matchStage["deficiencies.0"] = { $exists: false };
+  }
+
   // Optional search
   let searchPipeline = [];
 
@@ -327,10 +490,37 @@ async function getAllReports(query) {
     ];
   }
 
+  return [{ $match: matchStage }, ...searchPipeline];
+}
+
+/**
+ * Number of open deficiencies of a report, for list projections
+ */
+const OPEN_DEFICIENCY_COUNT = {
+  $size: {
+    $filter: {
+      input: { $ifNull: ["$deficiencies", []] },
+      cond: { $eq: ["$$this.status", "open"] },
+    },
+  },
+};
+
+/**
+ * Get all reports with optional search and pagination
+ *
+ * @param {Object} query - Query parameters
+ * @returns {Promise<{reports: Array<Object>, metaData: Object}>} - Reports and metadata
+ */
+async function getAllReports(query) {
+  // Pagination params
+  const page = parseInt(query.page, 10) || 1;
+  const limit = parseInt(query.limit, 10) || 10;
+  const skip = (page - 1) * limit;
+  const listPipeline = buildReportListPipeline(query);
+
   // Compose aggregation pipeline
   const pipeline = [
-    { $match: matchStage },
-    ...searchPipeline,
+    ...listPipeline,
     { $sort: { createdAt: -1 } },
     { $skip: skip },
     { $limit: limit },
@@ -357,6 +547,7 @@ async function getAllReports(query) {
           dueDate: "$job.dueDate",
         },
         status: 1,
+        openDeficiencies: OPEN_DEFICIENCY_COUNT,
         createdAt: 1,
         updatedAt: 1,
       },
@@ -364,11 +555,7 @@ async function getAllReports(query) {
   ];
 
   // For total count, use same pipeline but without skip/limit/sort
-  const countPipeline = [
-    { $match: matchStage },
-    ...searchPipeline,
-    { $count: "total" },
-  ];
+  const countPipeline = [...listPipeline, { $count: "total" }];
   const countResult = await ReportModel.aggregate(countPipeline);
   const totalReports = countResult[0]?.total || 0;
 
@@ -385,6 +572,72 @@ async function getAllReports(query) {
   return { reports, metaData };
 }
 
+/**
+ * Columns of the report export, in file order
+ */
+const REPORT_EXPORT_COLUMNS = [
+  { header: "Order ID", value: (r) => r.job?.orderId },
+  { header: "FHA Case No", value: (r) => r.job?.fhaCaseDetailsNo },
+  { header: "Form Type", width: 26, value: (r) => r.job?.formType },
+  { header: "Street Address", width: 36, value: (r) => r.job?.streetAddress },
+  { header: "Development", width: 26, value: (r) => r.job?.developmentName },
+  {
+    header: "Inspector",
+    width: 24,
+    value: (r) =>
+      [r.inspector?.firstName, r.inspector?.lastName].filter(Boolean).join(" "),
+  },
+  { header: "Inspector Email", width: 28, value: (r) => r.inspector?.email },
+  { header: "Fee Status", value: (r) => r.job?.feeStatus },
+  { header: "Agreed Fee", value: (r) => r.job?.agreedFee },
+  { header: "Due Date", value: (r) => r.job?.dueDate },
+  { header: "Report Status", value: (r) => r.status },
+  { header: "Open Deficiencies", value: (r) => r.openDeficiencies },
+  { header: "Submitted At", value: (r) => r.createdAt },
+  { header: "Completed At", value: (r) => r.completedAt },
+];
+
+/**
+ * Export every report matching the list filters (no pagination)
+ *
+ * @param {Object} query - same filters as getAllReports
+ * @returns {{columns: Array<Object>, rows: AsyncIterable<Object>}}
+ */
+function exportReports(query = {}) {
+  const pipeline = [
+    ...buildReportListPipeline(query),
+    { $sort: { createdAt: -1 } },
+    {
+      $project: {
+        inspector: {
+          firstName: "$inspector.firstName",
+          lastName: "$inspector.lastName",
+          email: "$inspector.email",
+        },
+        job: {
+          orderId: "$job.orderId",
+          fhaCaseDetailsNo: "$job.fhaCaseDetailsNo",
+          formType: "$job.formType",
+          streetAddress: "$job.streetAddress",
+          developmentName: "$job.developmentName",
+          feeStatus: "$job.feeStatus",
+          agreedFee: "$job.agreedFee",
+          dueDate: "$job.dueDate",
+        },
+        status: 1,
+        openDeficiencies: OPEN_DEFICIENCY_COUNT,
+        createdAt: 1,
+        completedAt: 1,
+      },
+    },
+  ];
+
+  return {
+    columns: REPORT_EXPORT_COLUMNS,
+    rows: ReportModel.aggregate(pipeline).cursor({ batchSize: 200 }),
+  };
+}
+
 /**
  * Get a single report by id
  *
@@ -392,6 +645,21 @@ async function getAllReports(query) {
  * @returns {Promise<Object>} - Report document
  */
 async function getReportById(id) {
+  // Photo fields given per label
+  const imageFields = {
+    _id: "$images._id",
+    fileName: "$images.fileName",
+    url: "$images.url",
+    key: "$images.key",
+    alt: "$images.alt",
+    note: "$images.note",
+    mimeType: "$images.mimeType",
+    size: "$images.size",
+    variants: "$images.variants",
+    capture: "$images.capture",
+    duplicates: "$images.duplicates",
+  };
+
   // Aggregation to fetch report with related data
   const [report] = await ReportModel.aggregate([
     { $match: { _id: new mongoose.Types.ObjectId(id) } },
@@ -461,18 +729,18 @@ async function getReportById(id) {
         jobLastUpdatedBy: { $first: "$job.lastUpdatedBy" },
         status: { $first: "$status" },
         noteForAdmin: { $first: "$noteForAdmin" },
-
-        // ONLY ONE IMAGE
-        image: {
-          $first: {
-            fileName: "$images.fileName",
-            url: "$images.url",
-            key: "$images.key",
-            alt: "$images.alt",
-            mimeType: "$images.mimeType",
-            size: "$images.size",
-          },
-        },
+        rejectedLabels: { $first: "$rejectedLabels" },
+        currentRevision: { $first: "$currentRevision" },
+        statusHistory: { $first: "$statusHistory" },
+        acknowledgement: { $first: "$acknowledgement" },
+        checklist: { $first: "$checklist" },
+        signatures: { $first: "$signatures" },
+        verification: { $first: "$verification" },
+        deficiencies: { $first: "$deficiencies" },
+
+        // First photo of the label, and every photo in upload order
+        image: { $first: imageFields },
+        images: { $push: imageFields },
 
         createdAt: { $first: "$createdAt" },
         updatedAt: { $first: "$updatedAt" },
@@ -489,6 +757,14 @@ async function getReportById(id) {
         jobLastUpdatedBy: { $first: "$jobLastUpdatedBy" },
         status: { $first: "$status" },
         noteForAdmin: { $first: "$noteForAdmin" },
+        rejectedLabels: { $first: "$rejectedLabels" },
+        currentRevision: { $first: "$currentRevision" },
+        statusHistory: { $first: "$statusHistory" },
+        acknowledgement: { $first: "$acknowledgement" },
+        checklist: { $first: "$checklist" },
+        signatures: { $first: "$signatures" },
+        verification: { $first: "$verification" },
+        deficiencies: { $first: "$deficiencies" },
         createdAt: { $first: "$createdAt" },
         updatedAt: { $first: "$updatedAt" },
 
@@ -496,6 +772,7 @@ async function getReportById(id) {
           $push: {
             imageLabel: "$_id.imageLabel",
             image: "$image", // single object instead of array
+            images: "$images",
           },
         },
       },
@@ -510,12 +787,14 @@ async function getReportById(id) {
           firstName: "$inspector.firstName",
           lastName: "$inspector.lastName",
           email: "$inspector.email",
+          licenseNumber: "$inspector.licenseNumber",
           role: "Inspector",
         },
         job: {
           _id: "$job._id",
           fhaCaseDetailsNo: "$job.fhaCaseDetailsNo",
           formType: "$job.formType",
+          feeStatus: "$job.feeStatus",
           orderId: "$job.orderId",
           streetAddress: "$job.streetAddress",
           developmentName: "$job.developmentName",
@@ -523,6 +802,7 @@ async function getReportById(id) {
           siteContactPhone: "$job.siteContactPhone",
           siteContactEmail: "$job.siteContactEmail",
           dueDate: "$job.dueDate",
+          reinspectionOf: "$job.reinspectionOf",
           createdAt: "$job.createdAt",
           updatedAt: "$job.updatedAt",
           createdBy: {
@@ -575,6 +855,14 @@ async function getReportById(id) {
         },
         status: 1,
         noteForAdmin: 1,
+        rejectedLabels: 1,
+        currentRevision: 1,
+        statusHistory: 1,
+        acknowledgement: 1,
+        checklist: 1,
+        signatures: 1,
+        verification: 1,
+        deficiencies: 1,
         createdAt: 1,
         updatedAt: 1,
         images: 1,
@@ -589,9 +877,76 @@ async function getReportById(id) {
     throw err;
   }
 
+  // Timeline actors and who recorded the deficiencies
+  await ReportModel.populate(report, [
+    {
+      path: "statusHistory.changedBy",
+      select: "firstName lastName email role",
+    },
+    {
+      path: "deficiencies.createdBy",
+      select: "firstName lastName email role",
+    },
+  ]);
+
   return report;
 }
 
+/**
+ * Resolve the labels an admin rejects to the label text on the report
+ *
+ * @param {Object} report - report with images
+ * @param {Array<{imageLabel: string, comment: string}>} rejected - label ids with comments
+ * @param {string} rejectedBy - admin user ID
+ * @returns {Promise<Array<Object>>} entries for report.rejectedLabels
+ */
+async function resolveRejectedLabels(report, rejected, rejectedBy) {
+  const labels = await ImageLabelModel.find({
+    _id: { $in: rejected.map((r) => r.imageLabel) },
+  })
+    .select("label")
+    .lean();
+  const labelMap = new Map(labels.map((l) => [l._id.toString(), l.label]));
+  const reportLabels = new Set(report.images.map((img) => img.imageLabel));
+
+  const errors = [];
+  const seen = new Set();
+  const entries = [];
+
+  for (const item of rejected) {
+    const label = labelMap.get(item.imageLabel);
+
+    if (!label || !reportLabels.has(label)) {
+      errors.push({
+        field: "rejectedLabels",
+        imageLabel: item.imageLabel,
+        message: "Image label is not part of this report",
+      });
+      continue;
+    }
+
+    if (seen.has(item.imageLabel)) continue;
+    seen.add(item.imageLabel);
+
+    entries.push({
+      imageLabelId: new mongoose.Types.ObjectId(item.imageLabel),
+      imageLabel: label,
+      comment: item.comment,
+      rejectedBy,
+      rejectedAt: new Date(),
+    });
+  }
+
+  if (errors.length > 0) {
+    const err = new Error("Some rejected labels are not part of this report");
+    err.code = 400;
+    err.errors = errors;
+    throw err;
+  }
+
+  return entries;
+}
+
 /**
  * Update only the status of a report
  *
@@ -601,19 +956,84 @@ async function getReportById(id) {
  */
 async function updateReportStatus(id, updateData) {
   // Extract status and lastUpdatedBy
-  const { status, lastUpdatedBy } = updateData;
+  const { status, lastUpdatedBy, reason = "" } = updateData;
   const isCompleted = status === "completed";
 
+  // Check the job can follow before touching the report
+  const existing = await ReportModel.findById(id);
+  if (!existing) {
+    const err = new Error("Report not found");
+    err.code = 404;
+    throw err;
+  }
+
+  // Drafts are still being uploaded by the inspector
+  if (existing.status === "draft") {
+    const err = new Error("Draft reports can't be reviewed before submission");
+    err.code = 400;
+    throw err;
+  }
+
+  // Same-status moves would stamp, sign and deliver the report again
+  if (!reportStatusTransitions[existing.status]?.includes(status)) {
+    const err = new Error(
+      `A ${existing.status} report can't be moved to ${status}`,
+    );
+    err.code = 400;
+    throw err;
+  }
+
+  const job = await JobModel.findById(existing.job).select("status");
+  if (job) assertJobCanFollowReport(job, status);
+
+  // Reports from before revisions get their submission recorded first
+  await ensureInitialRevision(existing);
+
+  // The reviewer signs the completion with their saved signature
+  const reviewerSignature = isCompleted
+    ? await createReportSignature(
+        lastUpdatedBy,
+        "reviewer",
+        updateData.signedFrom,
+      )
+    : null;
+
+  // Label-level rejection (cleared on any other status)
+  const rejectedLabels =
+    status === "rejected" && updateData.rejectedLabels
+      ? await resolveRejectedLabels(
+          existing,
+          updateData.rejectedLabels,
+          lastUpdatedBy,
+        )
+      : [];
+
   // Update the report status
   const updated = await ReportModel.findByIdAndUpdate(
     id,
     {
       $set: {
         status,
+        rejectedLabels,
         lastUpdatedBy,
         updatedAt: new Date(),
         ...(isCompleted && { completedAt: new Date() }),
       },
+      $push: {
+        statusHistory: {
+          from: existing.status,
+          to: status,
+          changedBy: lastUpdatedBy,
+          reason,
+          changedAt: new Date(),
+        },
+        ...(reviewerSignature && {
+          signatures: {
+            ...reviewerSignature,
+            revision: existing.currentRevision,
+          },
+        }),
+      },
     },
     { new: true },
   );
@@ -625,6 +1045,28 @@ async function updateReportStatus(id, updateData) {
     throw err;
   }
 
+  // The decision belongs to the submission it was taken on
+  if (status === "completed" || status === "rejected") {
+    await recordRevisionDecision(id, {
+      status,
+      decidedBy: lastUpdatedBy,
+      reason,
+      rejectedLabels,
+    });
+  }
+
+  // Move the job forward
+  if (job) {
+    await syncJobStatusWithReport(updated.job, status, {
+      changedBy: lastUpdatedBy,
+    });
+  }
+
+  // A completed re-inspection closes what it verified on the failed report
+  if (isCompleted) {
+    await correctReinspectedDeficiencies(updated, lastUpdatedBy);
+  }
+
   // If the report status updated successfully, then notify admin users
   try {
     const types = NotificationModel.notificationTypes || {};
@@ -643,8 +1085,45 @@ async function updateReportStatus(id, updateData) {
     console.error("Error sending notification to admins:", error);
   }
 
+  // Tell the inspector, with the reason
+  try {
+    const types = NotificationModel.notificationTypes || {};
+
+    await notifyUser({
+      userId: updated.inspector,
+      type: types.REPORT_STATUS_UPDATED || "report_status_updated",
+      title: status === "rejected" ? "Report Rejected" : "Report Status Updated",
+      body: reason
+        ? `Your report has been ${status}: ${reason}`
+        : `Your report has been ${status}.`,
+      data: {
+        reportId: new mongoose.Types.ObjectId(id),
+        jobId: new mongoose.Types.ObjectId(updated.job),
+        status,
+        reason,
+        action: "view_report",
+      },
+      authorId: new mongoose.Types.ObjectId(lastUpdatedBy),
+    });
+  } catch (error) {
+    console.error("Error sending notification to inspector:", error);
+  }
+
   // Return EXACT SAME response as GET BY ID
-  return await getReportById(id);
+  const report = await getReportById(id);
+
+  reportStatusSendToMail(report, { status, reason });
+
+  // Issue the verified PDF right away and email it to the distribution lists
+  if (isCompleted) {
+    getCurrentReportPdf(report)
+      .then((pdf) => deliverReport(report, pdf))
+      .catch((err) =>
+        console.error("Failed to issue or deliver report PDF:", err.message),
+      );
+  }
+
+  return report;
 }
 
 /**
@@ -663,12 +1142,17 @@ async function deleteReport(id) {
     throw err;
   }
 
-  // 2. Extract S3 keys
-  const keys = (report.images || [])
-    .map((img) => img.key)
-    .filter((key) => key && key !== "pending");
+  // 2. Extract S3 keys (current images, every revision's and cached PDFs)
+  const revisionKeys = await removeReportRevisions([report._id]);
+  const keys = [
+    ...new Set([
+      ...collectImageKeys(report.images),
+      ...revisionKeys,
+      ...listReportPdfKeys(report),
+    ]),
+  ];
 
-  // 3. Delete images from S3 (safe attempt)
+  // 3. Delete images and PDFs from S3 (safe attempt)
   if (keys.length > 0) {
     try {
       await deleteObjects(keys);
@@ -679,8 +1163,10 @@ async function deleteReport(id) {
     }
   }
 
-  // 4. Delete report from DB
+  // 4. Delete report, its share links and deliveries from DB
   await ReportModel.findByIdAndDelete(id);
+  await ReportShareLinkModel.deleteMany({ report: report._id });
+  await ReportDeliveryModel.deleteMany({ report: report._id });
 }
 
 async function reportSendToMail(report) {
@@ -691,7 +1177,7 @@ async function reportSendToMail(report) {
       return;
     }
 
-    const pdfBuffer = await generateReportPDF(report);
+    const pdfBuffer = await getCurrentReportPdf(report);
     const isSend = await sendMail({
       to: toEmail,
       subject: `Inspection Report - ${report.job.streetAddress || report.job?.orderId} }`,
@@ -713,15 +1199,48 @@ async function reportSendToMail(report) {
   }
 }
 
-async function generateReportPDF(report) {
-  const browser = await puppeteer.launch({
-    headless: "new",
-    args: ["--no-sandbox", "--disable-setuid-sandbox"],
-  });
+/**
+ * Email the inspector that an admin changed their report's status
+ *
+ * @param {Object} report - report from getReportById
+ * @param {Object} change
+ * @param {string} change.status - new status
+ * @param {string} [change.reason] - rejection reason or completion comment
+ */
+async function reportStatusSendToMail(report, { status, reason }) {
+  try {
+    const toEmail = report.inspector?.email;
+    if (!toEmail) {
+      console.error("reportStatusSendToMail: inspector email not found!");
+      return;
+    }
 
-  const page = await browser.newPage();
-  const html = buildReportHTML(report);
-  await page.setContent(html, { waitUntil: "networkidle0" });
+    const reasonLabel = status === "rejected" ? "Reason" : "Comment";
+    await sendMail({
+      to: toEmail,
+      subject: `Inspection Report ${status} - ${report.job?.streetAddress || report.job?.orderId}`,
+      html: `<p>Dear ${escapeHtml(report.inspector?.firstName || "Inspector")},</p>
+             <p>Your inspection report has been <strong>${escapeHtml(status)}</strong>.</p>
+             ${reason ? `<p><strong>${reasonLabel}:</strong> ${escapeHtml(reason)}</p>` : ""}
+             <p><strong>Order ID:</strong> ${escapeHtml(report.job?.orderId || "N/A")}</p>
+             <p><strong>Address:</strong> ${escapeHtml(report.job?.streetAddress || "N/A")}</p>`,
+    });
+  } catch (err) {
+    console.error("reportStatusSendToMail error:", err.message);
+  }
+}
+
+/**
+ * Render the PDF of a report on the shared browser pool
+ *
+ * @param {Object} report - report shaped like getReportById's
+ * @param {Object} [branding] - from getPdfBranding, the saved branding by default
+ * @param {Object} [verification] - printed in the footer of issued PDFs
+ * @returns {Promise<Buffer>}
+ */
+async function generateReportPDF(report, branding, verification) {
+  const { companyLines, licenseLines, logos } =
+    branding || (await getPdfBranding());
 
   // Header এর জন্য ডাটাগুলো এক্সট্রাক্ট করা হচ্ছে
   const job = report.job || {};
@@ -729,17 +1248,39 @@ async function generateReportPDF(report) {
     report.createdAt || job.createdAt,
   );
   const caseNo = job.fhaCaseDetailsNo || "N/A";
-  const formType = job.formType || "92051 - FHA Inspection";
   const streetAddress = job.streetAddress || "N/A";
 
+  // Header title and footer lines follow the job's form type
+  const formType = await getFormTypeDefinition(job.formType);
+  const formTypeName = escapeHtml(formType.displayName);
+  const headerText = escapeHtml(formType.pdfHeaderText);
+  // Signatures of the submission printed (revision PDFs pass `revision`)
+  const signatures = await getPdfSignatures(
+    report.signatures,
+    report.revision ?? report.currentRevision,
+  );
+  const html = buildReportHTML(report, {
+    inspectionDate,
+    formTypeName: formType.displayName,
+    signatures,
+  });
+  const footerLines = [...(formType.footerLicenseLines || []), ...licenseLines]
+    .map(escapeHtml)
+    .join("<br />\n        ");
+  const companyHtml = companyLines
+    .map(
+      (line, i) =>
+        `<div style="font-size: 8px; color: ${i === 0 ? "#474747" : "#000"};">${escapeHtml(line)}</div>`,
+    )
+    .join("\n        ");
+
   // Puppeteer-এর জন্য Header Template (অবশ্যই inline CSS ব্যবহার করতে হবে)
   const headerTemplate = `
     <div style="font-family: Helvetica, Arial, sans-serif; font-size: 11px; width: 100%; color: #222325; padding: 0 30px; background: white; -webkit-print-color-adjust: exact;">
       <div style="display: flex; flex-direction: column; align-items: center; margin-bottom: 8px;">
-        ${LOGO_TOP ? `<img src="${LOGO_TOP}" style="width: 100px; height: 58px; object-fit: contain; margin-bottom: 4px;" />` : ""}
-        <div style="font-size: 8px; color: #474747;">www.FHAInspection.com / www.artneidich.com</div>
-        <div style="font-size: 8px; color: #000;">A division of Lone Star Building Inspection, Inc.</div>
-        <div style="font-size: 10px; font-weight: bold;">Attachment to FHA Form 92051</div>
+        ${logos.header ? `<img src="${logos.header}" style="width: 100px; height: 58px; object-fit: contain; margin-bottom: 4px;" />` : ""}
+        ${companyHtml}
+        ${headerText ? `<div style="font-size: 10px; font-weight: bold;">${headerText}</div>` : ""}
       </div>
       <div style="border-top: 1px solid #EFEFF1; margin: 6px 0 8px;"></div>
       <div style="display: flex; justify-content: space-between; margin-bottom: 4px; font-size: 11px;">
@@ -747,28 +1288,36 @@ async function generateReportPDF(report) {
         <div><strong>FHA Case #</strong> ${caseNo}</div>
       </div>
       <div style="display: flex; justify-content: space-between; margin-bottom: 2px; font-size: 11px;">
-        <div><strong>Type of Inspection:</strong> ${formType}</div>
+        <div><strong>Type of Inspection:</strong> ${formTypeName}</div>
       </div>
       <div style="font-size: 11px;"><strong>Subject Property:</strong> ${streetAddress}</div>
     </div>
   `;
 
+  // Issued PDFs point at the public verify endpoint
+  const verifyUrl = verification ? getVerificationUrl(verification.code) : "";
+  const verifyQr = verifyUrl
+    ? await QRCode.toDataURL(verifyUrl, { margin: 0, width: 120 })
+    : "";
+  const verifyHtml = verifyUrl
+    ? `<span style="font-weight: normal; font-size: 7px; display: block;">Verify at ${escapeHtml(verifyUrl)} · ID ${escapeHtml(verification.code)}</span>`
+    : "";
+
   // Puppeteer-এর জন্য Footer Template (এখানে pageNumber যুক্ত করা হয়েছে)
   const footerTemplate = `
     <div style="font-family: Helvetica, Arial, sans-serif; font-size: 8px; width: 100%; color: #333; padding: 0 24px; display: flex; align-items: center; justify-content: space-between; border-top: 1px solid #000; -webkit-print-color-adjust: exact; background: white;">
-      ${LOGO_FOOTER_LEFT ? `<img src="${LOGO_FOOTER_LEFT}" style="width: 45px; height: 45px; object-fit: contain;" />` : `<div style="width: 45px;"></div>`}
+      ${logos.footerLeft ? `<img src="${logos.footerLeft}" style="width: 45px; height: 45px; object-fit: contain;" />` : `<div style="width: 45px;"></div>`}
       <div style="text-align: center; flex: 1; margin: 0 10px; font-weight: bold; line-height: 1.4;">
-        All utilities are on and tested unless otherwise noted<br />
-        Properties without working utilities do not qualify for compliance<br />
-        TREC Lic. # 10546 | TSBPE Lic. # 3836 | Code Enforcement Lic. # 7055 | HUD-FHA Fee Reg.# D683 & 203K – D0931<br />
-        ICC Certified Residential Combination Inspector<br/>
+        ${footerLines ? `${footerLines}<br />` : ""}
+        ${verifyHtml}
         <span style="color: #666; font-size: 9px; margin-top: 4px; display: block;">Page <span class="pageNumber"></span> of <span class="totalPages"></span></span>
       </div>
-      ${LOGO_FOOTER_RIGHT ? `<img src="${LOGO_FOOTER_RIGHT}" style="width: 45px; height: 45px; object-fit: contain;" />` : `<div style="width: 45px;"></div>`}
+      ${verifyQr ? `<img src="${verifyQr}" style="width: 45px; height: 45px; margin-right: 8px;" />` : ""}
+      ${logos.footerRight ? `<img src="${logos.footerRight}" style="width: 45px; height: 45px; object-fit: contain;" />` : `<div style="width: 45px;"></div>`}
     </div>
   `;
 
-  const pdfBuffer = await page.pdf({
+  return renderPdf(html, {
     format: "A4",
     printBackground: true,
     displayHeaderFooter: true, // এটি চালু করতে হবে
@@ -776,35 +1325,213 @@ async function generateReportPDF(report) {
     footerTemplate: footerTemplate,
     margin: {
       top: "160px", // Header-এর জন্য উপরের জায়গা (প্রয়োজনে বাড়াতে/কমাতে পারেন)
-      bottom: "85px", // Footer-এর জন্য নিচের জায়গা
+      bottom: verification ? "95px" : "85px", // Footer-এর জন্য নিচের জায়গা
       left: "12mm",
       right: "12mm",
     },
   });
+}
 
-  await browser.close();
-  return pdfBuffer;
+/**
+ * Last changes of what the PDF of a job's report shows besides the report
+ * (job details, the form type's header and footer, the branding)
+ *
+ * @param {Object} job
+ * @returns {Promise<Array<Date|undefined>>}
+ */
+async function getPdfSourceDates(job) {
+  const [formType, branding] = await Promise.all([
+    getFormTypeDefinition(job?.formType),
+    getBrandingSettings(),
+  ]);
+
+  return [job?.updatedAt, formType.updatedAt, branding.updatedAt];
 }
 
-// ─── helpers ─────────────────────────────────────────────────────────────────
+/**
+ * PDF of a report as it is now, cached per revision
+ * Completed reports get the PDF issued with their verification code.
+ *
+ * @param {Object} report - from getReportById
+ * @returns {Promise<Buffer>}
+ */
+async function getCurrentReportPdf(report) {
+  // A bare report document would render (and cache) without job or photos
+  if (!report?.job?._id) {
+    throw new Error("getCurrentReportPdf needs a report from getReportById");
+  }
 
-function loadBase64(filePath, mime = "image/png") {
-  try {
-    return `data:${mime};base64,${fs.readFileSync(filePath).toString("base64")}`;
-  } catch {
-    return "";
+  if (isVerifiedReport(report)) {
+    return getIssuedReportPdf(report, (verification) =>
+      generateReportPDF(report, undefined, verification),
+    );
+  }
+
+  return getCachedPdf(
+    await getCurrentReportPdfKey(report),
+    [report.updatedAt, ...(await getPdfSourceDates(report.job))],
+    () => generateReportPDF(report),
+  );
+}
+
+/**
+ * S3 key getCurrentReportPdf keeps a report's PDF under
+ * Issued PDFs are named after their hash, so their key is looked up.
+ *
+ * @param {Object} report - with _id, status and currentRevision
+ * @returns {Promise<string|null>}
+ */
+async function getCurrentReportPdfKey(report) {
+  if (isVerifiedReport(report)) return getIssuedReportPdfKey(report._id);
+
+  return getReportPdfKey(
+    report._id,
+    `current-rev${report.currentRevision || 0}`,
+  );
+}
+
+/**
+ * Short-lived signed URL of a report's PDF as it is now
+ * The PDF is rendered and stored first when needed.
+ *
+ * @param {string} id - Report ID
+ * @param {number} expiresIn - seconds
+ * @returns {Promise<string>}
+ */
+async function getReportPdfDownloadUrl(id, expiresIn) {
+  const report = await getReportById(id);
+  await getCurrentReportPdf(report);
+
+  return getSignedDownloadUrl(await getCurrentReportPdfKey(report), expiresIn);
+}
+
+/**
+ * Completed report with its issued PDF, for deliveries
+ *
+ * @param {string} id - Report ID
+ * @returns {Promise<{report: Object, pdf: Buffer}>}
+ */
+async function getDeliverableReport(id) {
+  const report = await getReportById(id);
+
+  if (!isVerifiedReport(report)) {
+    const err = new Error("Only completed reports can be delivered");
+    err.code = 400;
+    throw err;
   }
+
+  return { report, pdf: await getCurrentReportPdf(report) };
+}
+
+/**
+ * Email a completed report to the recipients added to its lists since
+ * it was delivered
+ *
+ * @param {string} id - Report ID
+ * @returns {Promise<Array<Object>>} - deliveries sent now
+ */
+async function deliverReportToNewRecipients(id) {
+  const { report, pdf } = await getDeliverableReport(id);
+
+  return deliverReport(report, pdf);
+}
+
+/**
+ * Email a completed report to one recipient again
+ *
+ * @param {string} id - Report ID
+ * @param {string} deliveryId
+ * @param {string} userId - admin asking for the resend
+ * @returns {Promise<Object>} - updated delivery
+ */
+async function resendReportDelivery(id, deliveryId, userId) {
+  const { report, pdf } = await getDeliverableReport(id);
+
+  return resendDelivery(report, pdf, deliveryId, userId);
 }
 
-const LOGO_TOP = loadBase64(
-  path.join(__dirname, "../../public/images/logo.png"),
-);
-const LOGO_FOOTER_LEFT = loadBase64(
-  path.join(__dirname, "../../public/images/footer-logo-left.png"),
-);
-const LOGO_FOOTER_RIGHT = loadBase64(
-  path.join(__dirname, "../../public/images/footer-logo-right.png"),
-);
+/**
+ * Get the PDF of a report as it is now
+ *
+ * @param {string} id - Report ID
+ * @returns {Promise<Buffer>}
+ */
+async function getReportPdf(id) {
+  const report = await getReportById(id);
+
+  return getCurrentReportPdf(report);
+}
+
+/**
+ * Render the PDF of a past revision of a report
+ *
+ * @param {string} id - Report ID
+ * @param {number} revisionNo - Revision number
+ * @param {Object} user - req.user
+ * @returns {Promise<Buffer>}
+ */
+async function getReportRevisionPdf(id, revisionNo, user) {
+  const revision = await getReportRevision(id, revisionNo, user);
+  const job = await JobModel.findById(revision.job).lean();
+  const report = await ReportModel.findById(id).select("signatures").lean();
+
+  // Revisions only change once, when the admin decides on them
+  return getCachedPdf(
+    getReportPdfKey(id, `revision-${revision.revision}`),
+    [revision.updatedAt, ...(await getPdfSourceDates(job))],
+    () =>
+      // Same shape generateReportPDF gets from getReportById
+      generateReportPDF({
+        job: job || {},
+        createdAt: revision.submittedAt,
+        inspector: revision.submittedBy,
+        acknowledgement: revision.acknowledgement,
+        checklist: revision.checklist,
+        signatures: report?.signatures,
+        revision: revision.revision,
+        approval:
+          revision.decision?.status === "completed"
+            ? {
+                approvedBy: revision.decision.decidedBy,
+                approvedAt: revision.decision.decidedAt,
+              }
+            : null,
+        images: revision.images.map((img) => ({
+          imageLabel: img.imageLabel,
+          image: img,
+          images: [img],
+        })),
+      }),
+  );
+}
+
+/**
+ * Render a sample PDF to preview the branding
+ *
+ * @param {Object} [options]
+ * @param {Array<string>} [options.companyLines] - unsaved company lines
+ * @param {Array<string>} [options.licenseLines] - unsaved license lines
+ * @param {string} [options.formType] - form type whose header and footer to use
+ * @returns {Promise<Buffer>}
+ */
+async function getBrandingPreviewPdf({ formType, ...overrides } = {}) {
+  const branding = await getPdfBranding(overrides);
+
+  return generateReportPDF(
+    {
+      job: {
+        formType,
+        fhaCaseDetailsNo: "000-0000000",
+        streetAddress: "123 Sample Street, Dallas, TX 75201",
+      },
+      createdAt: new Date(),
+      images: [],
+    },
+    branding,
+  );
+}
+
+// ─── helpers ─────────────────────────────────────────────────────────────────
 
 /** Format any date-like value → M-D-YYYY */
 function formatInspectionDate(value) {
@@ -838,13 +1565,377 @@ function cleanImageUrl(url) {
   return url ? url.split("?")[0] : null;
 }
 
+/** Format a timestamp → "Jan 5, 2025, 3:04 PM UTC" */
+function formatTimestamp(value) {
+  if (!value) return "N/A";
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "N/A";
+  return `${date.toLocaleString("en-US", {
+    dateStyle: "medium",
+    timeStyle: "short",
+    timeZone: "UTC",
+  })} UTC`;
+}
+
+/** "First Last" of a user, or fallback */
+function formatPersonName(user, fallback = "N/A") {
+  const name = `${user?.firstName || ""} ${user?.lastName || ""}`.trim();
+  return name || fallback;
+}
+
+/**
+ * Admin who completed a report and when, null while not completed
+ * - Revision PDFs pass `approval` from the revision decision
+ * - Otherwise the last completion in the status history (restoring
+ *   from the archive doesn't count as an approval)
+ */
+function getReportApproval(report) {
+  if (report.approval !== undefined) return report.approval;
+
+  const entry = [...(report.statusHistory || [])]
+    .reverse()
+    .find((h) => h.to === "completed" && h.from !== "archived");
+
+  return entry
+    ? { approvedBy: entry.changedBy, approvedAt: entry.changedAt }
+    : null;
+}
+
+/**
+ * Signature boxes of the inspector and the reviewer
+ *
+ * @param {Object} signatures - from getPdfSignatures
+ * @returns {string}
+ */
+function renderSignatures(signatures = {}) {
+  const renderSignature = (title, signature, pendingText) => `
+      <div class="signature-box">
+        <p class="signature-title">${title}</p>
+        ${
+          signature?.image
+            ? `<img class="signature-image" src="${signature.image}" alt="Signature" />`
+            : "<div class=\"signature-image\"></div>"
+        }
+        <p class="signature-name">${escapeHtml(signature ? signature.name : pendingText)}</p>
+        ${signature ? `<p class="signature-date">Signed ${escapeHtml(formatTimestamp(signature.signedAt))}</p>` : ""}
+      </div>`;
+
+  return `
+      <div class="signature-row">
+        ${renderSignature("Inspector", signatures.inspector, "Not signed")}
+        ${renderSignature("Reviewer", signatures.reviewer, "Pending approval")}
+      </div>`;
+}
+
+/**
+ * Cover page: job summary, the inspector's acknowledgement and the signatures
+ *
+ * @param {Object} report - report shaped like getReportById's
+ * @param {Object} details
+ * @param {string} details.inspectionDate - formatted inspection date
+ * @param {string} details.formTypeName
+ * @param {Object} [details.signatures] - from getPdfSignatures
+ * @returns {string}
+ */
+function renderCoverPage(
+  report,
+  { inspectionDate, formTypeName, signatures },
+) {
+  const job = report.job || {};
+  const inspector = report.inspector || {};
+  const approval = getReportApproval(report);
+  const acknowledgement = report.acknowledgement;
+
+  const siteContact = [
+    job.siteContactName,
+    job.siteContactPhone,
+    job.siteContactEmail,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  const rows = [
+    ["Order ID", job.orderId],
+    ["FHA Case #", job.fhaCaseDetailsNo],
+    ["Type of Inspection", formTypeName],
+    ["Subject Property", job.streetAddress],
+    ["Development", job.developmentName],
+    ["Site Contact", siteContact],
+    ["Fee Type", job.feeStatus],
+    ["Inspector", formatPersonName(inspector)],
+    ["Inspector License #", inspector.licenseNumber],
+    ["Date of Inspection", inspectionDate],
+    ...(job.reinspectionOf
+      ? [["Re-inspection Of", `Order ${job.reinspectionOf.orderId}`]]
+      : []),
+    [
+      "Approved By",
+      approval
+        ? `${formatPersonName(approval.approvedBy, "Admin")} on ${formatTimestamp(approval.approvedAt)}`
+        : "Pending approval",
+    ],
+  ];
+
+  const rowsHtml = rows
+    .map(
+      ([label, value]) => `
+        <tr>
+          <th>${escapeHtml(label)}</th>
+          <td>${escapeHtml(value || "N/A")}</td>
+        </tr>`,
+    )
+    .join("");
+
+  // The acknowledged text is our own HTML, stored as it was agreed to
+  const acknowledgementHtml = acknowledgement
+    ? `
+      <div class="ack-content">${acknowledgement.content}</div>
+      <p class="ack-signature">
+        Acknowledged electronically by
+        <strong>${escapeHtml(formatPersonName(inspector, "the inspector"))}</strong>
+        on ${escapeHtml(formatTimestamp(acknowledgement.acknowledgedAt))}
+        <br />
+        <span class="ack-hash">SHA-256 ${escapeHtml(acknowledgement.contentHash)}</span>
+      </p>`
+    : "<p class=\"ack-signature\">No acknowledgement was recorded for this submission.</p>";
+
+  return `
+    <div class="cover-page">
+      <p class="cover-title">Inspection Summary</p>
+      <table class="cover-table">${rowsHtml}
+      </table>
+      <p class="cover-subtitle">Inspector Acknowledgement</p>
+      ${acknowledgementHtml}
+      <p class="cover-subtitle">Signatures</p>
+      ${renderSignatures(signatures)}
+    </div>`;
+}
+
+/**
+ * Summary table of the deficiencies recorded on a report, most severe first
+ *
+ * @param {Object} report - report shaped like getReportById's
+ * @returns {string} empty when there are none
+ */
+function renderDeficiencies(report) {
+  const deficiencies = report.deficiencies || [];
+  if (deficiencies.length === 0) return "";
+
+  // Linked photos are looked up among the photos of the report
+  const imageMap = new Map();
+  for (const entry of report.images || []) {
+    for (const img of entry.images || []) {
+      if (img._id) imageMap.set(String(img._id), img);
+    }
+  }
+
+  const severityOrder = ["critical", "major", "minor"];
+  const sorted = [...deficiencies].sort(
+    (a, b) =>
+      severityOrder.indexOf(a.severity) - severityOrder.indexOf(b.severity),
+  );
+
+  const rowsHtml = sorted
+    .map((deficiency, i) => {
+      const photosHtml = (deficiency.images || [])
+        .map((id) => imageMap.get(String(id)))
+        .filter(Boolean)
+        .map((img) => {
+          const src = cleanImageUrl(
+            img.variants?.thumbnail?.url ||
+              img.variants?.display?.url ||
+              img.url,
+          );
+          return `<img class="deficiency-photo" src="${src}" alt="" />`;
+        })
+        .join("");
+
+      return `
+        <tr>
+          <td>${i + 1}</td>
+          <td>${escapeHtml(deficiency.imageLabel)}</td>
+          <td class="severity-${escapeHtml(deficiency.severity)}">${escapeHtml(deficiency.severity)}</td>
+          <td>${escapeHtml(deficiency.description)}</td>
+          <td>${escapeHtml(deficiency.requiredCorrection || "—")}</td>
+          <td>${escapeHtml(deficiency.status)}</td>
+          <td>${photosHtml}</td>
+        </tr>`;
+    })
+    .join("");
+
+  const openCount = deficiencies.filter((d) => d.status === "open").length;
+
+  return `
+    <div class="deficiency-page">
+      <p class="cover-title">Deficiencies</p>
+      <p class="deficiency-summary">${deficiencies.length} recorded, ${openCount} open</p>
+      <table class="deficiency-table">
+        <tr>
+          <th>#</th>
+          <th>Item</th>
+          <th>Severity</th>
+          <th>Description</th>
+          <th>Required Correction</th>
+          <th>Status</th>
+          <th>Photos</th>
+        </tr>${rowsHtml}
+      </table>
+    </div>`;
+}
+
+// How checklist answers read on the PDF
+const CHECKLIST_ANSWER_TEXT = {
+  pass: "Pass",
+  fail: "Fail",
+  na: "N/A",
+  not_observed: "Not observed",
+};
+
+/**
+ * FHA Final Compliance checklist answers of a report, item texts as they
+ * were when answered
+ *
+ * @param {Object} report - report shaped like getReportById's
+ * @returns {string} empty when the report has no answers
+ */
+function renderChecklist(report) {
+  const answers = report.checklist?.answers || [];
+  if (answers.length === 0) return "";
+
+  const labelPhotos = new Map(
+    (report.images || []).map((entry) => [entry.imageLabel, entry.images]),
+  );
+
+  const rowsHtml = answers
+    .map((item) => {
+      const photosHtml = (item.imageLabels || [])
+        .flatMap((label) => labelPhotos.get(label) || [])
+        .filter((img) => img.url)
+        .map((img) => {
+          const src = cleanImageUrl(
+            img.variants?.thumbnail?.url ||
+              img.variants?.display?.url ||
+              img.url,
+          );
+          return `<img class="deficiency-photo" src="${src}" alt="" />`;
+        })
+        .join("");
+
+      return `
+        <tr>
+          <td>${escapeHtml(item.code)}</td>
+          <td>${escapeHtml(item.text)}</td>
+          <td class="checklist-${escapeHtml(item.answer)}">${CHECKLIST_ANSWER_TEXT[item.answer] || escapeHtml(item.answer)}</td>
+          <td>${escapeHtml(item.comment || "")}</td>
+          <td>${photosHtml}</td>
+        </tr>`;
+    })
+    .join("");
+
+  const failCount = answers.filter((item) => item.answer === "fail").length;
+
+  return `
+    <div class="deficiency-page">
+      <p class="cover-title">FHA Final Compliance Checklist</p>
+      <p class="deficiency-summary">${answers.length} items, ${failCount} failed · template ${escapeHtml(report.checklist.version)}</p>
+      <table class="deficiency-table">
+        <tr>
+          <th>#</th>
+          <th>Item</th>
+          <th>Result</th>
+          <th>Comment</th>
+          <th>Photos</th>
+        </tr>${rowsHtml}
+      </table>
+    </div>`;
+}
+
+/**
+ * Items a re-inspection verified, the failed inspection's photo next to
+ * the new photo of the same label
+ *
+ * @param {Object} report - report shaped like getReportById's
+ * @returns {string} empty when the job isn't a re-inspection
+ */
+function renderReinspection(report) {
+  const reinspection = report.job?.reinspectionOf;
+  const items = reinspection?.items || [];
+  if (items.length === 0) return "";
+
+  const afterPhotos = new Map(
+    (report.images || []).map((entry) => [entry.imageLabel, entry.images]),
+  );
+
+  // Same rule the completion applies to the original report
+  const stillOpen = new Set(
+    (report.deficiencies || [])
+      .filter((deficiency) => deficiency.status === "open")
+      .map((deficiency) => String(deficiency.imageLabelId)),
+  );
+  const decided = isVerifiedReport(report);
+
+  const renderPhoto = (caption, src) => `
+      <div class="img-cell">
+        <p class="photo-caption">${caption}</p>
+        ${
+          src
+            ? `<img src="${cleanImageUrl(src)}" alt="${caption}" />`
+            : "<p class=\"img-unavailable\">No photo</p>"
+        }
+      </div>`;
+
+  // Each before photo next to the after photo at the same position
+  const renderPhotoPairs = (before, after) => {
+    const rows = [];
+    for (let i = 0; i < Math.max(before.length, after.length, 1); i += 1) {
+      rows.push(`
+      <div class="img-row">
+        ${renderPhoto("Before", before[i]?.url)}
+        ${renderPhoto("After", after[i]?.variants?.display?.url || after[i]?.url)}
+      </div>`);
+    }
+    return rows.join("");
+  };
+
+  const itemsHtml = items
+    .map((item) => {
+      const before = item.beforePhotos || [];
+      const after = afterPhotos.get(item.imageLabel) || [];
+      const result = stillOpen.has(String(item.imageLabelId))
+        ? "Not corrected"
+        : decided
+          ? "Corrected"
+          : "Pending review";
+
+      return `
+    <div class="section-block">
+      <p class="section-title">${escapeHtml(item.imageLabel)}</p>
+      <p class="reinspection-details">
+        <span class="severity-${escapeHtml(item.severity)}">${escapeHtml(item.severity)}</span>
+        · ${escapeHtml(item.description)}
+        ${item.requiredCorrection ? `<br />Required correction: ${escapeHtml(item.requiredCorrection)}` : ""}
+        <br /><strong>Result: ${result}</strong>
+      </p>
+      ${renderPhotoPairs(before, after)}
+    </div>`;
+    })
+    .join("");
+
+  return `
+    <div class="reinspection-page">
+      <p class="cover-title">Re-inspection of Order ${escapeHtml(reinspection.orderId)}</p>
+      ${itemsHtml}
+    </div>`;
+}
+
 // ─── section renderer ─────────────────────────────────────────────────────────
 
 function renderSection(label, imgs) {
   const renderImg = (img) => {
-    const src = cleanImageUrl(img?.url);
+    // The display variant is much lighter than the original
+    const src = cleanImageUrl(img?.variants?.display?.url || img?.url);
     const alt = img?.alt || img?.fileName || "";
-    const note = img?.noteForAdmin;
+    const note = img?.note ? escapeHtml(img.note) : "";
     return `
       <div class="img-cell">
         ${
@@ -856,10 +1947,20 @@ function renderSection(label, imgs) {
       </div>`;
   };
 
+  // Two photos side by side per row
+  const rows = [];
+  for (let i = 0; i < imgs.length; i += 2) {
+    const pair = imgs
+      .slice(i, i + 2)
+      .map(renderImg)
+      .join("");
+    rows.push(`<div class="img-row">${pair}</div>`);
+  }
+
   const imagesHtml =
     imgs.length === 1
       ? `<div class="img-single">${renderImg(imgs[0])}</div>`
-      : `<div class="img-row">${renderImg(imgs[0])}${renderImg(imgs[1])}</div>`;
+      : rows.join("");
 
   return `
     <div class="section-block">
@@ -868,7 +1969,7 @@ function renderSection(label, imgs) {
     </div>`;
 }
 
-function buildReportHTML(report) {
+function buildReportHTML(report, coverDetails) {
   const images = report.images || [];
 
   // Group images by label (preserve insertion order)
@@ -876,7 +1977,7 @@ function buildReportHTML(report) {
   for (const entry of images) {
     const label = entry.imageLabel || "Unlabelled";
     if (!labelMap.has(label)) labelMap.set(label, []);
-    labelMap.get(label).push(entry.image || {});
+    labelMap.get(label).push(...(entry.images || []));
   }
 
   const sectionsHtml = [...labelMap.entries()]
@@ -944,23 +2045,143 @@ function buildReportHTML(report) {
                     margin-top: 5px;
                     font-style: italic;
                   }
+
+                  /* ═══════════════════════════════════════════════════════
+                    COVER PAGE
+                    ═══════════════════════════════════════════════════════ */
+                  .cover-page { padding: 0 15px; page-break-after: always; break-after: page; }
+                  .cover-title, .cover-subtitle {
+                    font-size: 15px;
+                    font-weight: bold;
+                    text-align: center;
+                    text-transform: uppercase;
+                    margin-bottom: 10px;
+                  }
+                  .cover-subtitle { font-size: 12px; margin-top: 16px; }
+                  .cover-table { width: 100%; border-collapse: collapse; font-size: 11px; }
+                  .cover-table th, .cover-table td {
+                    border: 1px solid #EFEFF1;
+                    padding: 5px 8px;
+                    text-align: left;
+                    vertical-align: top;
+                  }
+                  .cover-table th { width: 32%; background: #F7F7F8; }
+                  .ack-content { font-size: 8px; line-height: 1.35; }
+                  .ack-content h2 { font-size: 9px; margin: 5px 0 2px; }
+                  .ack-content ol { padding-left: 16px; }
+                  .ack-signature { font-size: 10px; margin-top: 10px; }
+                  .ack-hash { font-size: 7px; color: #666666; }
+                  .signature-row { display: flex; gap: 24px; margin-top: 8px; }
+                  .signature-box { flex: 1; font-size: 10px; }
+                  .signature-title { font-weight: bold; }
+                  .signature-image {
+                    display: block;
+                    height: 60px;
+                    max-width: 100%;
+                    object-fit: contain;
+                    margin: 4px 0;
+                    border-bottom: 1px solid #222325;
+                  }
+                  .signature-date { font-size: 9px; color: #666666; }
+
+                  /* ═══════════════════════════════════════════════════════
+                    DEFICIENCIES
+                    ═══════════════════════════════════════════════════════ */
+                  .deficiency-page { padding: 0 15px; page-break-after: always; break-after: page; }
+                  .deficiency-summary { font-size: 10px; text-align: center; margin-bottom: 8px; }
+                  .deficiency-table { width: 100%; border-collapse: collapse; font-size: 9px; }
+                  .deficiency-table th, .deficiency-table td {
+                    border: 1px solid #EFEFF1;
+                    padding: 4px 6px;
+                    text-align: left;
+                    vertical-align: top;
+                  }
+                  .deficiency-table th { background: #F7F7F8; }
+                  .deficiency-table tr { break-inside: avoid; page-break-inside: avoid; }
+                  .severity-critical { color: #B00020; font-weight: bold; text-transform: capitalize; }
+                  .severity-major { color: #C25E00; font-weight: bold; text-transform: capitalize; }
+                  .severity-minor { text-transform: capitalize; }
+                  .deficiency-photo { width: 48px; height: 36px; object-fit: cover; margin: 0 2px 2px 0; }
+
+                  /* ═══════════════════════════════════════════════════════
+                    RE-INSPECTION
+                    ═══════════════════════════════════════════════════════ */
+                  .reinspection-page { page-break-after: always; break-after: page; }
+                  .reinspection-page .cover-title { padding: 0 15px; }
+                  .reinspection-details { font-size: 10px; margin-bottom: 8px; text-align: center; }
+                  .photo-caption { font-size: 10px; font-weight: bold; margin-bottom: 4px; }
+
+                  /* ═══════════════════════════════════════════════════════
+                    COMPLIANCE CHECKLIST
+                    ═══════════════════════════════════════════════════════ */
+                  .checklist-pass { color: #1B7F3B; font-weight: bold; }
+                  .checklist-fail { color: #B00020; font-weight: bold; }
+                  .checklist-na, .checklist-not_observed { color: #666666; }
                 </style>
               </head>
               <body>
               
                 <!-- ═══ SCROLLABLE CONTENT ═══ -->
               
+                ${renderCoverPage(report, coverDetails)}
+                ${renderChecklist(report)}
+                ${renderDeficiencies(report)}
+                ${renderReinspection(report)}
                 ${sectionsHtml}
               
               </body>
             </html>`;
 }
+/**
+ * Check a partial resubmission uploads exactly the rejected labels
+ *
+ * @param {Array<Object>} rejectedLabels - report.rejectedLabels
+ * @param {Array<Object>} imagesInput - resubmitted images (imageLabel ids)
+ */
+function assertResubmitMatchesRejectedLabels(rejectedLabels, imagesInput) {
+  const rejectedIds = new Set(rejectedLabels.map((r) => String(r.imageLabelId)));
+  const submittedIds = new Set(imagesInput.map((img) => img.imageLabel));
+  const errors = [];
+
+  for (const rejected of rejectedLabels) {
+    if (!submittedIds.has(String(rejected.imageLabelId))) {
+      errors.push({
+        field: "imageLabel",
+        imageLabel: String(rejected.imageLabelId),
+        label: rejected.imageLabel,
+        message: `${rejected.imageLabel} was rejected and must be re-uploaded`,
+      });
+    }
+  }
+
+  for (const id of submittedIds) {
+    if (!rejectedIds.has(id)) {
+      errors.push({
+        field: "imageLabel",
+        imageLabel: id,
+        message: "Only rejected image labels can be resubmitted",
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    const err = new Error("Resubmission must contain exactly the rejected labels");
+    err.code = 400;
+    err.errors = errors;
+    throw err;
+  }
+}
+
 /**
  * Resubmit a rejected report
  * - Only allowed if existing report status is "rejected"
- * - Deletes old S3 images, uploads new ones
+ * - If specific labels were rejected, only those labels are uploaded and
+ *   merged in, the other photos stay as they are
+ * - Otherwise the whole image set is replaced
+ * - Replaced S3 images are kept, earlier revisions still show them
  * - Updates the existing report document (same _id preserved)
- * - Sets status back to "submitted"
+ * - Saves the submission as a new revision
+ * - Sets status to "re-submitted"
  *
  * @param {string} reportId - Existing report ID
  * @param {Object} payload - Updated report data
@@ -987,6 +2208,22 @@ async function resubmitReport(reportId, payload) {
     throw err;
   }
 
+  // Job must be in a state that accepts a submission
+  const job = await JobModel.findById(existingReport.job).select(
+    "status formType",
+  );
+  if (job) assertJobCanFollowReport(job, "re-submitted");
+
+  // The inspector signs the resubmission with their saved signature
+  const inspectorSignature = await createReportSignature(
+    payload.inspector,
+    "inspector",
+    payload.signedFrom,
+  );
+
+  // Reports from before revisions keep their rejected submission as revision 1
+  await ensureInitialRevision(existingReport);
+
   // images is set by handleGroupedImages middleware
   const imagesInput = Array.isArray(payload.images)
     ? payload.images
@@ -1005,6 +2242,30 @@ async function resubmitReport(reportId, payload) {
 
   const labelMap = new Map(labels.map((l) => [l._id.toString(), l.label]));
 
+  // Label-level rejection: only the rejected labels come back,
+  // otherwise the whole set is replaced
+  const rejectedLabels = existingReport.rejectedLabels || [];
+  const isPartial = rejectedLabels.length > 0;
+  const formType = await getFormTypeDefinition(job?.formType);
+
+  if (isPartial) {
+    assertResubmitMatchesRejectedLabels(rejectedLabels, imagesInput);
+  } else if (job) {
+    // Resubmitted images must still follow the form type checklist
+    await assertImageLabelChecklist(
+      formType,
+      imagesInput.map((img) => img.imageLabel),
+    );
+  }
+
+  // Photos that stay in place on a partial resubmission
+  const rejectedLabelNames = new Set(rejectedLabels.map((r) => r.imageLabel));
+  const keptImages = isPartial
+    ? existingReport.images
+        .filter((img) => !rejectedLabelNames.has(img.imageLabel))
+        .map((img) => img.toObject())
+    : [];
+
   const finalImagesPlaceholder = imagesInput.map((img) => {
     const labelStr = labelMap.get(img.imageLabel);
     if (!labelStr) {
@@ -1018,6 +2279,7 @@ async function resubmitReport(reportId, payload) {
       key: "",
       fileName: img.fileName || "image",
       alt: img.alt || "",
+      note: img.note || "",
       uploadedBy: payload.inspector,
       mimeType: img.mimeType || "application/octet-stream",
       size: img.size || 0,
@@ -1025,21 +2287,21 @@ async function resubmitReport(reportId, payload) {
     };
   });
 
-  // Delete old S3 images before uploading new ones
-  const oldKeys = (existingReport.images || [])
-    .map((img) => img.key)
-    .filter((key) => key && key !== "pending");
-
-  if (oldKeys.length > 0) {
-    await deleteObjects(oldKeys).catch((e) =>
-      console.error("Failed to delete old S3 images during resubmit:", e),
-    );
-  }
+  // New checklist answers replace the previous ones, otherwise they stay
+  const checklist = await resolveReportChecklist(formType, {
+    answers: payload.checklist,
+    reportLabels: [...keptImages, ...finalImagesPlaceholder].map(
+      (img) => img.imageLabel,
+    ),
+    answeredBy: payload.inspector,
+    previous: existingReport.checklist,
+  });
 
   // Use same report _id as folder prefix (keeps S3 structure consistent)
   const folderPrefix = `reports/${existingReport._id.toString()}`;
 
   let uploadedResults = [];
+  let revision = null;
 
   try {
     // Upload new images to S3
@@ -1082,6 +2344,7 @@ async function resubmitReport(reportId, payload) {
           key: uploaded.Key,
           fileName: orig.fileName || path.basename(uploaded.Key),
           alt: orig.alt || "",
+          note: orig.note || "",
           uploadedBy: payload.inspector,
           mimeType: orig.mimeType,
           size: orig.size,
@@ -1095,13 +2358,55 @@ async function resubmitReport(reportId, payload) {
       }
     }
 
+    // Variants and EXIF capture data of the new photos
+    await processReportImages(
+      finalImages.filter((_, i) => finalImagesPlaceholder[i].buffer),
+      toUpload.map((img) => img.buffer),
+    );
+
+    // Kept photos are checked again against the new submission time
+    await verifyImageCaptures([...keptImages, ...finalImages], {
+      jobId: existingReport.job,
+      submittedAt: new Date(),
+    });
+    await detectDuplicateImages([...keptImages, ...finalImages], {
+      jobId: existingReport.job,
+    });
+
     // Update the existing report document
-    existingReport.images = finalImages;
+    existingReport.images = [...keptImages, ...finalImages];
     existingReport.noteForAdmin = payload.noteForAdmin || "";
+    existingReport.checklist = checklist;
+    existingReport.acknowledgement = createInspectorAcknowledgement(
+      payload.inspector,
+    );
     existingReport.status = "re-submitted";
+    existingReport.rejectedLabels = [];
+    existingReport.statusHistory.push({
+      from: "rejected",
+      to: "re-submitted",
+      changedBy: payload.inspector,
+    });
     existingReport.updatedAt = new Date();
 
-    const updatedReport = await existingReport.save();
+    // Keep this submission as a new revision
+    revision = await createReportRevision(existingReport, {
+      submittedBy: payload.inspector,
+    });
+    existingReport.currentRevision = revision.revision;
+    existingReport.signatures.push({
+      ...inspectorSignature,
+      revision: revision.revision,
+    });
+
+    await existingReport.save();
+
+    // Move the job forward
+    if (job) {
+      await syncJobStatusWithReport(existingReport.job, "re-submitted", {
+        changedBy: payload.inspector,
+      });
+    }
     // Notify admins about resubmission
     try {
       const types = NotificationModel.notificationTypes || {};
@@ -1124,15 +2429,18 @@ async function resubmitReport(reportId, payload) {
     // Return full populated report (same shape as createReport)
     const updatedData = await getReportById(existingReport._id);
     // Send mail to admin
-    reportSendToMail(updatedReport.data ?? updatedReport);
+    reportSendToMail(updatedData);
 
-    return updatedReport;
+    return updatedData;
   } catch (err) {
     // Cleanup newly uploaded images if something went wrong
     if (uploadedResults.length > 0) {
-      const keys = uploadedResults.map((u) => u?.Key).filter(Boolean);
+      const keys = withVariantKeys(
+        uploadedResults.map((u) => u?.Key).filter(Boolean),
+      );
       if (keys.length) await deleteObjects(keys).catch(console.error);
     }
+    await discardReportRevision(revision);
 
     throw err;
   }
@@ -1141,9 +2449,18 @@ async function resubmitReport(reportId, payload) {
 module.exports = {
   createReport,
   getAllReports,
+  exportReports,
   updateReportStatus,
   getReportById,
   deleteReport,
   resubmitReport,
   generateReportPDF,
+  getReportPdf,
+  getReportPdfDownloadUrl,
+  deliverReportToNewRecipients,
+  resendReportDelivery,
+  getReportRevisionPdf,
+  getBrandingPreviewPdf,
+  notifyReportSubmitted,
+  reportSendToMail,
 };
@@ -0,0 +1,279 @@
+const crypto = require("crypto");
+
+const mongoose = require("mongoose");
+
+const {
+  comparePassword,
+  hashPassword,
+} = require("../helpers/password/password-util");
+const ReportModel = require("../models/ReportModel");
+const ReportShareLinkModel = require("../models/ReportShareLinkModel");
+
+const { getReportPdfDownloadUrl } = require("./ReportServices");
+const { isVerifiedReport } = require("./ReportVerificationServices");
+
+const { MAX_SHARE_LINK_ACCESSES } = ReportShareLinkModel;
+
+// The signed S3 URL a share link redirects to is only good for this long
+const DOWNLOAD_URL_TTL_SECONDS = 60;
+
+/**
+ * Hash of a share token, the only form it is stored in
+ *
+ * @param {string} token
+ * @returns {string}
+ */
+function hashShareToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Public URL of a share link, SHARE_BASE_URL can point at a frontend
+ * page, the public API endpoint is used otherwise
+ *
+ * @param {string} token
+ * @returns {string}
+ */
+function getShareUrl(token) {
+  const baseUrl =
+    process.env.SHARE_BASE_URL || `${process.env.BACKEND_URL}/api/v1/share`;
+
+  return `${baseUrl.replace(/\/+$/, "")}/${token}`;
+}
+
+/**
+ * Why a link can't be used right now, null when it can
+ *
+ * @param {Object} link
+ * @returns {"revoked"|"expired"|"limit_reached"|null}
+ */
+function getShareLinkBlock(link) {
+  if (link.revokedAt) return "revoked";
+  if (link.expiresAt <= new Date()) return "expired";
+  if (link.maxDownloads !== null && link.downloadCount >= link.maxDownloads) {
+    return "limit_reached";
+  }
+  return null;
+}
+
+/**
+ * Share link as admins see it (never the token or password hash)
+ *
+ * @param {Object} link - lean share link
+ * @returns {Object}
+ */
+function formatShareLink(link) {
+  const { tokenHash, passwordHash, ...rest } = link;
+
+  return {
+    ...rest,
+    hasPassword: Boolean(passwordHash),
+    status: getShareLinkBlock(link) || "active",
+  };
+}
+
+/**
+ * Create a share link for the PDF of a completed report
+ *
+ * @param {string} reportId
+ * @param {Object} payload
+ * @param {number} payload.expiresInDays
+ * @param {string} [payload.label] - who the link is for
+ * @param {string} [payload.password]
+ * @param {number} [payload.maxDownloads]
+ * @param {string} userId - admin creating the link
+ * @returns {Promise<Object>} - the link with its url (shown only once)
+ */
+async function createShareLink(reportId, payload, userId) {
+  const report = await ReportModel.findById(reportId).select("status").lean();
+
+  if (!report) {
+    const err = new Error("Report not found");
+    err.code = 404;
+    throw err;
+  }
+
+  // Lenders only get the issued PDF of a completed report
+  if (!isVerifiedReport(report)) {
+    const err = new Error("Only completed reports can be shared");
+    err.code = 400;
+    throw err;
+  }
+
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  const link = await ReportShareLinkModel.create({
+    report: report._id,
+    tokenHash: hashShareToken(token),
+    label: payload.label || "",
+    expiresAt: new Date(
+      Date.now() + payload.expiresInDays * 24 * 60 * 60 * 1000,
+    ),
+    passwordHash: payload.password
+      ? await hashPassword(payload.password)
+      : null,
+    maxDownloads: payload.maxDownloads ?? null,
+    createdBy: userId,
+  });
+
+  return { ...formatShareLink(link.toObject()), url: getShareUrl(token) };
+}
+
+/**
+ * Share links of a report with their access logs, newest first
+ *
+ * @param {string} reportId
+ * @returns {Promise<Array<Object>>}
+ */
+async function getShareLinks(reportId) {
+  const links = await ReportShareLinkModel.find({
+    report: new mongoose.Types.ObjectId(reportId),
+  })
+    .sort({ createdAt: -1 })
+    .populate("createdBy", "firstName lastName email")
+    .populate("revokedBy", "firstName lastName email")
+    .lean();
+
+  return links.map(formatShareLink);
+}
+
+/**
+ * Revoke a share link, it stops working right away
+ *
+ * @param {string} reportId
+ * @param {string} linkId
+ * @param {string} userId - admin revoking the link
+ * @returns {Promise<Object>}
+ */
+async function revokeShareLink(reportId, linkId, userId) {
+  const link = await ReportShareLinkModel.findOne({
+    _id: linkId,
+    report: reportId,
+  });
+
+  if (!link) {
+    const err = new Error("Share link not found");
+    err.code = 404;
+    throw err;
+  }
+
+  if (!link.revokedAt) {
+    link.revokedAt = new Date();
+    link.revokedBy = userId;
+    await link.save();
+  }
+
+  return formatShareLink(link.toObject());
+}
+
+/**
+ * Log one request to a share link
+ *
+ * @param {string} linkId
+ * @param {Object} access - { ip, userAgent, outcome }
+ * @returns {Promise<void>}
+ */
+async function logShareLinkAccess(linkId, access) {
+  await ReportShareLinkModel.updateOne(
+    { _id: linkId },
+    {
+      $push: {
+        accesses: {
+          $each: [{ ...access, accessedAt: new Date() }],
+          $slice: -MAX_SHARE_LINK_ACCESSES,
+        },
+      },
+    },
+  );
+}
+
+/**
+ * Open a share link (public): checks it, counts the download and gives
+ * a short-lived signed URL of the report PDF. Every request is logged.
+ *
+ * @param {string} token - from the link
+ * @param {Object} request
+ * @param {string} [request.password]
+ * @param {string} [request.ip]
+ * @param {string} [request.userAgent]
+ * @returns {Promise<string>} - signed download URL
+ */
+async function openShareLink(token, { password, ip = "", userAgent = "" }) {
+  const link = await ReportShareLinkModel.findOne({
+    tokenHash: hashShareToken(token),
+  })
+    .select("-accesses")
+    .lean();
+
+  if (!link) {
+    const err = new Error("Share link not found");
+    err.code = 404;
+    throw err;
+  }
+
+  const refuse = async (outcome, code, message) => {
+    await logShareLinkAccess(link._id, { ip, userAgent, outcome });
+    const err = new Error(message);
+    err.code = code;
+    throw err;
+  };
+
+  const block = getShareLinkBlock(link);
+  if (block === "revoked") await refuse(block, 410, "This link was revoked");
+  if (block === "expired") await refuse(block, 410, "This link has expired");
+  if (block === "limit_reached") {
+    await refuse(block, 410, "This link reached its download limit");
+  }
+
+  if (link.passwordHash) {
+    if (!password) {
+      await refuse("password_required", 401, "This link needs a password");
+    }
+    if (!(await comparePassword(password, link.passwordHash))) {
+      await refuse("wrong_password", 401, "Incorrect password");
+    }
+  }
+
+  // The report was sent back for changes since the link was made
+  const report = await ReportModel.findById(link.report)
+    .select("status")
+    .lean();
+  if (!report || !isVerifiedReport(report)) {
+    await refuse("unavailable", 410, "This report is no longer available");
+  }
+
+  // Count the download unless the limit was reached meanwhile
+  const counted = await ReportShareLinkModel.updateOne(
+    {
+      _id: link._id,
+      revokedAt: null,
+      ...(link.maxDownloads !== null && {
+        downloadCount: { $lt: link.maxDownloads },
+      }),
+    },
+    {
+      $inc: { downloadCount: 1 },
+      $push: {
+        accesses: {
+          $each: [
+            { ip, userAgent, outcome: "downloaded", accessedAt: new Date() },
+          ],
+          $slice: -MAX_SHARE_LINK_ACCESSES,
+        },
+      },
+    },
+  );
+
+  if (!counted.modifiedCount) {
+    await refuse("limit_reached", 410, "This link reached its download limit");
+  }
+
+  return getReportPdfDownloadUrl(link.report, DOWNLOAD_URL_TTL_SECONDS);
+}
+
+module.exports = {
+  createShareLink,
+  getShareLinks,
+  revokeShareLink,
+  openShareLink,
+};
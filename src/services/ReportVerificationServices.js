@@ -0,0 +1,244 @@
+const crypto = require("crypto");
+
+const ReportModel = require("../models/ReportModel");
+const { deleteObject, getObjectBuffer, uploadBuffer } = require("../utils/s3");
+
+const { getReportPdfKey } = require("./ReportPdfServices");
+
+// No 0/O or 1/I, codes are typed in from paper copies
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 10;
+
+// Statuses whose PDF is issued with a verification code
+const VERIFIED_STATUSES = ["completed", "archived"];
+
+/**
+ * Random verification code (50 bits)
+ *
+ * @returns {string}
+ */
+function createVerificationCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  let code = "";
+
+  for (let i = 0; i < CODE_LENGTH; i += 1) {
+    code += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+  }
+
+  return code;
+}
+
+/**
+ * Short URL printed on the PDF, VERIFY_BASE_URL can point at a
+ * frontend page, the public API endpoint is used otherwise
+ *
+ * @param {string} code
+ * @returns {string}
+ */
+function getVerificationUrl(code) {
+  const baseUrl =
+    process.env.VERIFY_BASE_URL || `${process.env.BACKEND_URL}/api/v1/verify`;
+
+  return `${baseUrl.replace(/\/+$/, "")}/${code}`;
+}
+
+/**
+ * S3 key of the PDF issued for a completed revision, named after its hash
+ * so PDFs rendered at the same time never overwrite each other
+ *
+ * @param {string|Object} reportId
+ * @param {number} revision
+ * @param {string} sha256
+ * @returns {string}
+ */
+function getIssuedPdfKey(reportId, revision, sha256) {
+  return getReportPdfKey(
+    reportId,
+    `verified-rev${revision}-${sha256.slice(0, 16)}`,
+  );
+}
+
+/**
+ * Whether a report's PDF is issued with a verification code
+ *
+ * @param {Object} report - with status
+ * @returns {boolean}
+ */
+function isVerifiedReport(report) {
+  return VERIFIED_STATUSES.includes(report.status);
+}
+
+/**
+ * Verification of the report's current revision, created when missing
+ * (first PDF of a completed revision, or a report completed again
+ * after a new submission)
+ *
+ * @param {Object} report - with _id, currentRevision and verification
+ * @returns {Promise<Object>}
+ */
+async function ensureReportVerification(report) {
+  const revision = report.currentRevision || 0;
+  if (report.verification?.revision === revision) return report.verification;
+
+  // Only one code per revision when PDFs are requested at the same time
+  const verification = { code: createVerificationCode(), revision };
+  const replaced = await ReportModel.findOneAndUpdate(
+    {
+      _id: report._id,
+      $or: [
+        { verification: null },
+        { "verification.revision": { $ne: revision } },
+      ],
+    },
+    { $set: { verification } },
+    { new: false, timestamps: false },
+  )
+    .select("verification")
+    .lean();
+
+  if (replaced) {
+    // The earlier revision's code no longer verifies, neither does its PDF
+    const oldKey = replaced.verification?.pdfKey;
+    if (oldKey) {
+      await deleteObject(oldKey).catch((err) =>
+        console.error(`Failed to delete issued PDF ${oldKey}:`, err.message),
+      );
+    }
+
+    return { ...verification, sha256: null, pdfKey: null, issuedAt: null };
+  }
+
+  const current = await ReportModel.findById(report._id)
+    .select("verification")
+    .lean();
+  return current.verification;
+}
+
+/**
+ * PDF of a completed report as issued
+ *
+ * The first request renders it with the verification code, stores it and
+ * its SHA-256, later requests get the stored PDF byte for byte. Later edits
+ * to the job or the branding don't change an issued PDF.
+ *
+ * @param {Object} report - from getReportById
+ * @param {(verification: Object) => Promise<Buffer>} render
+ * @returns {Promise<Buffer>}
+ */
+async function getIssuedReportPdf(report, render) {
+  const verification = await ensureReportVerification(report);
+
+  if (verification.pdfKey) {
+    try {
+      return await getObjectBuffer(verification.pdfKey);
+    } catch (err) {
+      console.error(
+        `Issued PDF ${verification.pdfKey} unavailable:`,
+        err.message,
+      );
+    }
+  }
+
+  const pdf = await render(verification);
+  const sha256 = crypto.createHash("sha256").update(pdf).digest("hex");
+  const key = getIssuedPdfKey(report._id, verification.revision, sha256);
+
+  // Stored before it is claimed, so a recorded key always has its PDF
+  await uploadBuffer(pdf, key, "application/pdf");
+
+  // A PDF another request issued meanwhile wins
+  const issued = await ReportModel.updateOne(
+    {
+      _id: report._id,
+      "verification.code": verification.code,
+      "verification.sha256": verification.sha256 ?? null,
+    },
+    {
+      $set: {
+        "verification.sha256": sha256,
+        "verification.pdfKey": key,
+        "verification.issuedAt": new Date(),
+      },
+    },
+    { timestamps: false },
+  );
+
+  if (issued.modifiedCount) return pdf;
+
+  const current = await ReportModel.findById(report._id)
+    .select("verification")
+    .lean();
+  const issuedKey = current?.verification?.pdfKey;
+
+  // Same bytes as the issued PDF
+  if (issuedKey === key) return pdf;
+
+  await deleteObject(key).catch((err) =>
+    console.error(`Failed to delete unissued PDF ${key}:`, err.message),
+  );
+
+  return issuedKey ? getObjectBuffer(issuedKey) : pdf;
+}
+
+/**
+ * S3 key of a completed report's issued PDF, once it is issued
+ *
+ * @param {string|Object} reportId
+ * @returns {Promise<string|null>}
+ */
+async function getIssuedReportPdfKey(reportId) {
+  const report = await ReportModel.findById(reportId)
+    .select("verification")
+    .lean();
+
+  return report?.verification?.pdfKey ?? null;
+}
+
+/**
+ * Public check of a report PDF by its verification code
+ * Gives the details printed on the report, never the photos.
+ *
+ * @param {string} code - from the PDF footer
+ * @param {string} [sha256] - hash of the copy being checked
+ * @returns {Promise<Object>}
+ */
+async function verifyReport(code, sha256) {
+  const report = await ReportModel.findOne({
+    "verification.code": String(code).trim().toUpperCase(),
+  })
+    .select("job status completedAt currentRevision verification")
+    .populate("job", "fhaCaseDetailsNo streetAddress")
+    .lean();
+
+  if (!report || !report.verification.sha256) {
+    const err = new Error("Verification code not found");
+    err.code = 404;
+    throw err;
+  }
+
+  const { verification } = report;
+
+  // A report sent back for changes no longer stands as issued
+  const valid =
+    isVerifiedReport(report) &&
+    verification.revision === (report.currentRevision || 0);
+
+  return {
+    code: verification.code,
+    valid,
+    caseNumber: report.job?.fhaCaseDetailsNo || null,
+    address: report.job?.streetAddress || null,
+    completedAt: report.completedAt,
+    issuedAt: verification.issuedAt,
+    sha256: verification.sha256,
+    ...(sha256 && { hashMatches: sha256 === verification.sha256 }),
+  };
+}
+
+module.exports = {
+  getVerificationUrl,
+  isVerifiedReport,
+  getIssuedReportPdf,
+  getIssuedReportPdfKey,
+  verifyReport,
+};
@@ -0,0 +1,238 @@
+const { Buffer } = require("buffer");
+
+const sharp = require("sharp");
+
+const UserModel = require("../models/UserModel");
+const { generateKey, getObjectBuffer, uploadBuffer } = require("../utils/s3");
+
+const SIGNATURE_MIME_TYPES = ["image/png", "image/jpeg"];
+const MAX_SIGNATURE_SIZE = 1024 * 1024;
+
+// Signatures are stored as PNGs no larger than this
+const SIGNATURE_MAX_WIDTH = 800;
+const SIGNATURE_MAX_HEIGHT = 300;
+
+// Signature images as data URIs, by S3 key (a new signature gets a new key)
+const signatureDataCache = new Map();
+const MAX_CACHED_SIGNATURES = 200;
+
+/**
+ * Decode a drawn signature sent as a PNG data URI
+ *
+ * @param {string} image - data:image/png;base64,...
+ * @returns {Buffer}
+ */
+function decodeDrawnSignature(image) {
+  const base64 = image.slice(image.indexOf(",") + 1);
+  return Buffer.from(base64, "base64");
+}
+
+/**
+ * Save the signature a user signs reports with
+ * - Uploaded: multer file (PNG or JPEG)
+ * - Drawn: PNG data URI from the signature pad
+ *
+ * The previous image stays in S3, reports signed with it keep showing it.
+ *
+ * @param {string} userId
+ * @param {Object} input
+ * @param {Object} [input.file] - multer file
+ * @param {string} [input.image] - PNG data URI
+ * @returns {Promise<Object>} - the saved signature
+ */
+async function setUserSignature(userId, { file, image } = {}) {
+  let buffer;
+  let source;
+
+  if (file?.buffer) {
+    if (!SIGNATURE_MIME_TYPES.includes(file.mimetype)) {
+      const err = new Error("Signature must be a PNG or JPEG image");
+      err.code = 400;
+      throw err;
+    }
+    buffer = file.buffer;
+    source = "uploaded";
+  } else if (image) {
+    buffer = decodeDrawnSignature(image);
+    source = "drawn";
+  } else {
+    const err = new Error("A signature image or drawing is required");
+    err.code = 400;
+    throw err;
+  }
+
+  if (buffer.length > MAX_SIGNATURE_SIZE) {
+    const err = new Error("Signature must be 1 MB or smaller");
+    err.code = 400;
+    throw err;
+  }
+
+  // Normalize to a bounded PNG (keeps transparency of drawn signatures)
+  let png;
+  try {
+    png = await sharp(buffer)
+      .rotate()
+      .resize(SIGNATURE_MAX_WIDTH, SIGNATURE_MAX_HEIGHT, {
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+      .png()
+      .toBuffer();
+  } catch {
+    const err = new Error("Signature image could not be read");
+    err.code = 400;
+    throw err;
+  }
+
+  const user = await UserModel.findById(userId).select("_id");
+  if (!user) {
+    const err = new Error("User not found");
+    err.code = 404;
+    throw err;
+  }
+
+  const uploaded = await uploadBuffer(
+    png,
+    generateKey("signature.png", `signatures/${userId}`),
+    "image/png",
+  );
+
+  const signature = {
+    key: uploaded.Key,
+    url: uploaded.Location,
+    mimeType: "image/png",
+    size: png.length,
+    source,
+    updatedAt: new Date(),
+  };
+
+  await UserModel.updateOne({ _id: userId }, { $set: { signature } });
+
+  return signature;
+}
+
+/**
+ * Remove the signature of a user (they can't sign reports until a new one is saved)
+ *
+ * @param {string} userId
+ * @returns {Promise<void>}
+ */
+async function removeUserSignature(userId) {
+  const user = await UserModel.findById(userId).select("signature");
+  if (!user) {
+    const err = new Error("User not found");
+    err.code = 404;
+    throw err;
+  }
+
+  if (!user.signature?.key) {
+    const err = new Error("No signature saved");
+    err.code = 404;
+    throw err;
+  }
+
+  await UserModel.updateOne({ _id: userId }, { $set: { signature: null } });
+}
+
+/**
+ * Sign a report submission or completion with the user's saved signature
+ *
+ * @param {string} userId - signer
+ * @param {"inspector"|"reviewer"} role
+ * @param {Object} [signedFrom] - { ip, userAgent } of the request
+ * @returns {Promise<Object>} - signature entry (without revision)
+ */
+async function createReportSignature(userId, role, signedFrom = {}) {
+  const user = await UserModel.findById(userId).select(
+    "firstName lastName signature",
+  );
+
+  if (!user) {
+    const err = new Error("User not found");
+    err.code = 404;
+    throw err;
+  }
+
+  if (!user.signature?.key) {
+    const err = new Error(
+      role === "inspector"
+        ? "Save your signature in your profile before submitting reports"
+        : "Save your signature in your profile before completing reports",
+    );
+    err.code = 400;
+    throw err;
+  }
+
+  return {
+    role,
+    signedBy: user._id,
+    name: [user.firstName, user.lastName].filter(Boolean).join(" "),
+    signatureKey: user.signature.key,
+    signatureUrl: user.signature.url,
+    signedAt: new Date(),
+    ip: signedFrom.ip || "",
+    userAgent: signedFrom.userAgent || "",
+  };
+}
+
+/**
+ * Signatures printed on the PDF of one submission, with images as data URIs
+ * - inspector: who signed the submission
+ * - reviewer: who signed its completion (none while not completed)
+ *
+ * @param {Array<Object>} signatures - report.signatures
+ * @param {number} revision - submission printed
+ * @returns {Promise<{inspector: Object|null, reviewer: Object|null}>}
+ */
+async function getPdfSignatures(signatures = [], revision) {
+  const result = { inspector: null, reviewer: null };
+
+  for (const signature of signatures) {
+    if (signature.revision !== revision) continue;
+    // Latest one wins (a report reopened and completed again)
+    result[signature.role] = signature;
+  }
+
+  for (const role of Object.keys(result)) {
+    const signature = result[role];
+    if (!signature) continue;
+
+    result[role] = {
+      name: signature.name,
+      signedAt: signature.signedAt,
+      image: await loadSignatureData(signature.signatureKey),
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Signature image as a data URI (empty when it can't be loaded)
+ *
+ * @param {string} key - S3 key
+ * @returns {Promise<string>}
+ */
+async function loadSignatureData(key) {
+  if (signatureDataCache.has(key)) return signatureDataCache.get(key);
+
+  try {
+    const buffer = await getObjectBuffer(key);
+    const data = `data:image/png;base64,${buffer.toString("base64")}`;
+    if (signatureDataCache.size >= MAX_CACHED_SIGNATURES) {
+      signatureDataCache.delete(signatureDataCache.keys().next().value);
+    }
+    signatureDataCache.set(key, data);
+    return data;
+  } catch (err) {
+    console.error("Failed to load signature:", err.message);
+    return "";
+  }
+}
+
+module.exports = {
+  setUserSignature,
+  removeUserSignature,
+  createReportSignature,
+  getPdfSignatures,
+};
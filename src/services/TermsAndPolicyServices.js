@@ -1,179 +1,547 @@
-/**
- * Get inspector acknowledgement content
- *
- * @returns {Promise<string>} - The inspector acknowledgement content
- */
-async function getInspectorAcknowledgement() {
-  return `
-<h1>Art Neidich Property Inspection & Consulting Division</h1>
-<h2>FHA Final Compliance</h2>
-
-<h2>1. Site Drainage</h2>
-<ol type="a">
-  <li>Provide visual inspection of proper drainage away from the foundation into an approved drainage path.</li>
-  <li>Retaining walls appear complete with no missing sections or finishes. Drainage exits from upper sections appear to function properly.</li>
-</ol>
-
-<h2>2. Property Address Posting</h2>
-<p>Property address is visible from the street.</p>
-
-<h2>3. Exterior Flatwork</h2>
-<p>Street approach, driveway, walkways, elevated cap/porch, and any present steps have been observed and appear:</p>
-<ol type="a">
-  <li>Complete, though no pre-pour inspection was made.</li>
-  <li>Properly sloped and compliant with building code.</li>
-  <li>Free from visible rebar, ties, or other undesired material.</li>
-  <li>Expansion joints and stress joints installed.</li>
-</ol>
-
-<h2>4. Siding, Brick and Stone Façade / Veneer Observed</h2>
-<ol type="a">
-  <li>Complete with no visible damage.</li>
-  <li>All required flashing and sealant observed properly installed without visible damage.</li>
-  <li>No weatherproofing issues observed, including missing flashing or unsealed surfaces.</li>
-  <li>Minimum six (6) inches above grade between veneer/siding and grade unless grass has not been rolled, in which case four (4) inches observed.</li>
-  <li>At exposed foundation perimeter areas: no visible rebar, no excessive honeycombing, no large missing areas, and all cables cut, capped, and grouted.</li>
-  <li>No excessive gaps between trim, frieze board, brickwork, or stone observed.</li>
-  <li>All vertical areas between trim and siding/veneer properly caulked, including cornice and exterior trim.</li>
-  <li>All expansion joints properly sealed.</li>
-  <li>All wall penetrations properly sealed.</li>
-  <li>All lintels coated (painted) with edges caulked where appropriate.</li>
-  <li>Soffit, fascia, gutters (if applicable), and downspouts properly installed, sloped, and sealed to prevent water intrusion.</li>
-  <li>Weep holes present at base perimeter above exposed windows, doors, and columns.</li>
-</ol>
-
-<h2>5. Roofing System</h2>
-<ol type="a">
-  <li>Roofing underlayment not visible.</li>
-  <li>Roof covering appears flat without observable imperfections.</li>
-  <li>All roof penetrations appear properly flashed and sealed as observed from the ground.</li>
-  <li>All accessory flashing including drip edge and transition flashing installed as viewed from the ground.</li>
-</ol>
-
-<h2>Exterior and Interior Areas</h2>
+const crypto = require("crypto");
 
-<h2>6. Mechanical System</h2>
-<ol type="a">
-  <li>Line sets appropriately insulated or uninsulated as required by design.</li>
-  <li>Electrical disconnect installed immediately adjacent to condenser.</li>
-  <li>Electrical GFCI-protected service outlet installed in weatherproof housing within 25 feet of condenser.</li>
-  <li>Condenser installed on an elevated pad.</li>
-  <li>Thermostat(s) energized and functioning.</li>
-  <li>Air handler or furnace observed with clean filters installed.</li>
-  <li>P-traps present and unobstructed.</li>
-  <li>Exterior roof and penetrations properly sealed and flashed.</li>
-  <li>All mechanical exhaust hoods and housings present, flashed, and sealed as required.</li>
-  <li>Attic travel path, clearances, and luminary observed.</li>
-</ol>
+const { complianceAnswers } = require("../models/ReportModel");
 
-<h2>7. Electric System</h2>
-<ol type="a">
-  <li>All AFCI and GFCI circuit breakers installed where required by building code.</li>
-  <li>Whole-house surge protection device installed per 2020 NEC and later codes.</li>
-  <li>No exposed wiring, missing cover plates, or improperly terminated items observed.</li>
-  <li>No excessive copper observed in panels or subpanels.</li>
-  <li>Proper grounding observed where visible; Ufer ground clamp access door present.</li>
-  <li>All outlets and fixtures appear present and functional.</li>
-  <li>All smoke, CO2, or combination detectors observed where required by code and tested.</li>
-  <li>All exterior doors have GFCI-protected outlets in weatherproof housing with working luminaries.</li>
-</ol>
+// FHA Final Compliance checklist, inspectors answer every item and
+// acknowledge the list by submitting a report. Items are referenced by
+// code, a changed wording gets a new code.
+const FHA_FINAL_COMPLIANCE_CHECKLIST = [
+  {
+    number: 1,
+    title: "Site Drainage",
+    items: [
+      {
+        code: "1a",
+        text: "Provide visual inspection of proper drainage away from the foundation into an approved drainage path.",
+      },
+      {
+        code: "1b",
+        text: "Retaining walls appear complete with no missing sections or finishes. Drainage exits from upper sections appear to function properly.",
+      },
+    ],
+  },
+  {
+    number: 2,
+    title: "Property Address Posting",
+    items: [
+      {
+        code: "2",
+        text: "Property address is visible from the street.",
+      },
+    ],
+  },
+  {
+    number: 3,
+    title: "Exterior Flatwork",
+    intro:
+      "Street approach, driveway, walkways, elevated cap/porch, and any present steps have been observed and appear:",
+    items: [
+      {
+        code: "3a",
+        text: "Complete, though no pre-pour inspection was made.",
+      },
+      {
+        code: "3b",
+        text: "Properly sloped and compliant with building code.",
+      },
+      {
+        code: "3c",
+        text: "Free from visible rebar, ties, or other undesired material.",
+      },
+      {
+        code: "3d",
+        text: "Expansion joints and stress joints installed.",
+      },
+    ],
+  },
+  {
+    number: 4,
+    title: "Siding, Brick and Stone Façade / Veneer Observed",
+    items: [
+      {
+        code: "4a",
+        text: "Complete with no visible damage.",
+      },
+      {
+        code: "4b",
+        text: "All required flashing and sealant observed properly installed without visible damage.",
+      },
+      {
+        code: "4c",
+        text: "No weatherproofing issues observed, including missing flashing or unsealed surfaces.",
+      },
+      {
+        code: "4d",
+        text: "Minimum six (6) inches above grade between veneer/siding and grade unless grass has not been rolled, in which case four (4) inches observed.",
+      },
+      {
+        code: "4e",
+        text: "At exposed foundation perimeter areas: no visible rebar, no excessive honeycombing, no large missing areas, and all cables cut, capped, and grouted.",
+      },
+      {
+        code: "4f",
+        text: "No excessive gaps between trim, frieze board, brickwork, or stone observed.",
+      },
+      {
+        code: "4g",
+        text: "All vertical areas between trim and siding/veneer properly caulked, including cornice and exterior trim.",
+      },
+      {
+        code: "4h",
+        text: "All expansion joints properly sealed.",
+      },
+      {
+        code: "4i",
+        text: "All wall penetrations properly sealed.",
+      },
+      {
+        code: "4j",
+        text: "All lintels coated (painted) with edges caulked where appropriate.",
+      },
+      {
+        code: "4k",
+        text: "Soffit, fascia, gutters (if applicable), and downspouts properly installed, sloped, and sealed to prevent water intrusion.",
+      },
+      {
+        code: "4l",
+        text: "Weep holes present at base perimeter above exposed windows, doors, and columns.",
+      },
+    ],
+  },
+  {
+    number: 5,
+    title: "Roofing System",
+    items: [
+      {
+        code: "5a",
+        text: "Roofing underlayment not visible.",
+      },
+      {
+        code: "5b",
+        text: "Roof covering appears flat without observable imperfections.",
+      },
+      {
+        code: "5c",
+        text: "All roof penetrations appear properly flashed and sealed as observed from the ground.",
+      },
+      {
+        code: "5d",
+        text: "All accessory flashing including drip edge and transition flashing installed as viewed from the ground.",
+      },
+    ],
+  },
+  {
+    group: "Exterior and Interior Areas",
+    number: 6,
+    title: "Mechanical System",
+    items: [
+      {
+        code: "6a",
+        text: "Line sets appropriately insulated or uninsulated as required by design.",
+      },
+      {
+        code: "6b",
+        text: "Electrical disconnect installed immediately adjacent to condenser.",
+      },
+      {
+        code: "6c",
+        text: "Electrical GFCI-protected service outlet installed in weatherproof housing within 25 feet of condenser.",
+      },
+      {
+        code: "6d",
+        text: "Condenser installed on an elevated pad.",
+      },
+      {
+        code: "6e",
+        text: "Thermostat(s) energized and functioning.",
+      },
+      {
+        code: "6f",
+        text: "Air handler or furnace observed with clean filters installed.",
+      },
+      {
+        code: "6g",
+        text: "P-traps present and unobstructed.",
+      },
+      {
+        code: "6h",
+        text: "Exterior roof and penetrations properly sealed and flashed.",
+      },
+      {
+        code: "6i",
+        text: "All mechanical exhaust hoods and housings present, flashed, and sealed as required.",
+      },
+      {
+        code: "6j",
+        text: "Attic travel path, clearances, and luminary observed.",
+      },
+    ],
+  },
+  {
+    number: 7,
+    title: "Electric System",
+    items: [
+      {
+        code: "7a",
+        text: "All AFCI and GFCI circuit breakers installed where required by building code.",
+      },
+      {
+        code: "7b",
+        text: "Whole-house surge protection device installed per 2020 NEC and later codes.",
+      },
+      {
+        code: "7c",
+        text: "No exposed wiring, missing cover plates, or improperly terminated items observed.",
+      },
+      {
+        code: "7d",
+        text: "No excessive copper observed in panels or subpanels.",
+      },
+      {
+        code: "7e",
+        text: "Proper grounding observed where visible; Ufer ground clamp access door present.",
+      },
+      {
+        code: "7f",
+        text: "All outlets and fixtures appear present and functional.",
+      },
+      {
+        code: "7g",
+        text: "All smoke, CO2, or combination detectors observed where required by code and tested.",
+      },
+      {
+        code: "7h",
+        text: "All exterior doors have GFCI-protected outlets in weatherproof housing with working luminaries.",
+      },
+    ],
+  },
+  {
+    number: 8,
+    title: "Plumbing System",
+    items: [
+      {
+        code: "8a",
+        text: "All fixtures operational with proper water supply and drainage; no ponding observed.",
+      },
+      {
+        code: "8b",
+        text: "No prohibited trap weirs present.",
+      },
+      {
+        code: "8c",
+        text: "Hot water available at all fixtures.",
+      },
+      {
+        code: "8d",
+        text: "Proper venting observed where possible.",
+      },
+      {
+        code: "8e",
+        text: "All rooftop flashings installed and secured as observed from the ground.",
+      },
+    ],
+  },
+  {
+    number: 9,
+    title: "Operable Windows and Doors",
+    items: [
+      {
+        code: "9a",
+        text: "Bedroom windows operate, lock, and open fully for emergency egress.",
+      },
+      {
+        code: "9b",
+        text: "Secondary floor windowsills meet 24-inch minimum height requirement or include compliant limiters.",
+      },
+      {
+        code: "9c",
+        text: "Doors open and close smoothly, remain seated in jambs, and locks are installed.",
+      },
+      {
+        code: "9d",
+        text: "Exterior doors have proper locking and weatherproofing.",
+      },
+      {
+        code: "9e",
+        text: "Garage access door includes self-closing hinges and operates properly.",
+      },
+    ],
+  },
+  {
+    number: 10,
+    title: "Bathrooms",
+    items: [
+      {
+        code: "10a",
+        text: "All electrical, plumbing, and mechanical fixtures installed and operating properly.",
+      },
+      {
+        code: "10b",
+        text: "Mechanical exhaust fans working and venting to exterior air.",
+      },
+      {
+        code: "10c",
+        text: "All GFCI outlets installed and responsive to testing.",
+      },
+    ],
+  },
+  {
+    number: 11,
+    title: "Kitchen",
+    items: [
+      {
+        code: "11a",
+        text: "Cooktop ventilation exhaust installed and sealed.",
+      },
+      {
+        code: "11b",
+        text: "Proper distance maintained between cooktop and cabinetry.",
+      },
+      {
+        code: "11c",
+        text: "Cabinetry installed without damage.",
+      },
+      {
+        code: "11d",
+        text: "All GFCI outlets tested and responsive.",
+      },
+      {
+        code: "11e",
+        text: "Fixtures and built-in appliances operate per design.",
+      },
+      {
+        code: "11f",
+        text: "Stove/oven anti-tip device installed and functioning as intended.",
+      },
+      {
+        code: "11g",
+        text: "Appliances operational; no extensive testing performed.",
+      },
+    ],
+  },
+  {
+    number: 12,
+    title: "Laundry Facilities",
+    items: [
+      {
+        code: "12a",
+        text: "Mechanical venting installed and operating without issues.",
+      },
+      {
+        code: "12b",
+        text: "All required GFCI outlets installed and responsive.",
+      },
+      {
+        code: "12c",
+        text: "Two GFCI-protected outlets required per 2020 NEC: 240V dryer and 120V service.",
+      },
+    ],
+  },
+  {
+    number: 13,
+    title: "Interior Specific",
+    items: [
+      {
+        code: "13a",
+        text: "All work completed and ready for occupancy. Ceilings, walls, trim, stairwells, handrails, and guardrails properly installed.",
+      },
+      {
+        code: "13b",
+        text: "No water present in unintended areas.",
+      },
+      {
+        code: "13c",
+        text: "No mildew or mold observed.",
+      },
+    ],
+  },
+  {
+    number: 14,
+    title: "Cabinetry",
+    items: [
+      {
+        code: "14a",
+        text: "Installed in all rooms without damage or visible issues.",
+      },
+      {
+        code: "14b",
+        text: "All doors and drawers operate as expected.",
+      },
+    ],
+  },
+  {
+    number: 15,
+    title: "Flooring",
+    items: [
+      {
+        code: "15a",
+        text: "All flooring surfaces free from damage, protruding fasteners, or missing installations.",
+      },
+      {
+        code: "15b",
+        text: "Baseboards in new condition without damage or missing sections.",
+      },
+    ],
+  },
+  {
+    number: 16,
+    title: "Wall Covering",
+    items: [
+      {
+        code: "16a",
+        text: "All wall surfaces finished with no damage or unfinished areas.",
+      },
+      {
+        code: "16b",
+        text: "All surfaces painted and caulked appropriately.",
+      },
+    ],
+  },
+  {
+    number: 17,
+    title: "Ceiling Surfaces",
+    items: [
+      {
+        code: "17a",
+        text: "All ceiling surfaces finished with no damage or unfinished areas.",
+      },
+      {
+        code: "17b",
+        text: "All surfaces painted and caulked appropriately.",
+      },
+    ],
+  },
+  {
+    number: 18,
+    title: "Electrical Systems",
+    items: [
+      {
+        code: "18a",
+        text: "Electric panel properly labeled.",
+      },
+      {
+        code: "18b",
+        text: "All AFCI breakers manually tested at panel (not in occupied residence without written permission).",
+      },
+      {
+        code: "18c",
+        text: "GFCI outlets tested and responsive (not in occupied residence without written permission).",
+      },
+      {
+        code: "18d",
+        text: "All breakers appropriately rated.",
+      },
+      {
+        code: "18e",
+        text: "Operational whole-house surge protector installed.",
+      },
+      {
+        code: "18f",
+        text: "Panel cover secured.",
+      },
+    ],
+  },
+];
 
-<h2>8. Plumbing System</h2>
-<ol type="a">
-  <li>All fixtures operational with proper water supply and drainage; no ponding observed.</li>
-  <li>No prohibited trap weirs present.</li>
-  <li>Hot water available at all fixtures.</li>
-  <li>Proper venting observed where possible.</li>
-  <li>All rooftop flashings installed and secured as observed from the ground.</li>
-</ol>
-
-<h2>9. Operable Windows and Doors</h2>
-<ol type="a">
-  <li>Bedroom windows operate, lock, and open fully for emergency egress.</li>
-  <li>Secondary floor windowsills meet 24-inch minimum height requirement or include compliant limiters.</li>
-  <li>Doors open and close smoothly, remain seated in jambs, and locks are installed.</li>
-  <li>Exterior doors have proper locking and weatherproofing.</li>
-  <li>Garage access door includes self-closing hinges and operates properly.</li>
-</ol>
-
-<h2>10. Bathrooms</h2>
-<ol type="a">
-  <li>All electrical, plumbing, and mechanical fixtures installed and operating properly.</li>
-  <li>Mechanical exhaust fans working and venting to exterior air.</li>
-  <li>All GFCI outlets installed and responsive to testing.</li>
-</ol>
-
-<h2>11. Kitchen</h2>
-<ol type="a">
-  <li>Cooktop ventilation exhaust installed and sealed.</li>
-  <li>Proper distance maintained between cooktop and cabinetry.</li>
-  <li>Cabinetry installed without damage.</li>
-  <li>All GFCI outlets tested and responsive.</li>
-  <li>Fixtures and built-in appliances operate per design.</li>
-  <li>Stove/oven anti-tip device installed and functioning as intended.</li>
-  <li>Appliances operational; no extensive testing performed.</li>
-</ol>
-
-<h2>12. Laundry Facilities</h2>
-<ol type="a">
-  <li>Mechanical venting installed and operating without issues.</li>
-  <li>All required GFCI outlets installed and responsive.</li>
-  <li>Two GFCI-protected outlets required per 2020 NEC: 240V dryer and 120V service.</li>
-</ol>
-
-<h2>13. Interior Specific</h2>
-<ol type="a">
-  <li>All work completed and ready for occupancy. Ceilings, walls, trim, stairwells, handrails, and guardrails properly installed.</li>
-  <li>No water present in unintended areas.</li>
-  <li>No mildew or mold observed.</li>
-</ol>
-
-<h2>14. Cabinetry</h2>
-<ol type="a">
-  <li>Installed in all rooms without damage or visible issues.</li>
-  <li>All doors and drawers operate as expected.</li>
-</ol>
-
-<h2>15. Flooring</h2>
-<ol type="a">
-  <li>All flooring surfaces free from damage, protruding fasteners, or missing installations.</li>
-  <li>Baseboards in new condition without damage or missing sections.</li>
-</ol>
-
-<h2>16. Wall Covering</h2>
-<ol type="a">
-  <li>All wall surfaces finished with no damage or unfinished areas.</li>
-  <li>All surfaces painted and caulked appropriately.</li>
-</ol>
-
-<h2>17. Ceiling Surfaces</h2>
-<ol type="a">
-  <li>All ceiling surfaces finished with no damage or unfinished areas.</li>
-  <li>All surfaces painted and caulked appropriately.</li>
-</ol>
-
-<h2>18. Electrical Systems</h2>
-<ol type="a">
-  <li>Electric panel properly labeled.</li>
-  <li>All AFCI breakers manually tested at panel (not in occupied residence without written permission).</li>
-  <li>GFCI outlets tested and responsive (not in occupied residence without written permission).</li>
-  <li>All breakers appropriately rated.</li>
-  <li>Operational whole-house surge protector installed.</li>
-  <li>Panel cover secured.</li>
-</ol>
-
-<h2>General Statement of Observed Condition</h2>
+// Statement the inspector agrees to along with the checklist
+const GENERAL_STATEMENT_HTML = `<h2>General Statement of Observed Condition</h2>
 <p>
 The inspector, by submitting this report, agrees with the following statements:
 Rough or pre-final inspections have not been made prior to this final inspection.
 Barring obscured or concealed surfaces, subsurfaces, components, and systems, the property,
 based solely on visual inspection without testing equipment, appears compliant.
 </p>
+`;
 
+/**
+ * Checklist as the HTML list inspectors acknowledge
+ *
+ * @returns {string}
+ */
+function renderComplianceChecklistHtml() {
+  const sectionsHtml = FHA_FINAL_COMPLIANCE_CHECKLIST.map((section) => {
+    const group = section.group ? `<h2>${section.group}</h2>\n\n` : "";
+    const heading = `<h2>${section.number}. ${section.title}</h2>\n`;
+    const intro = section.intro ? `<p>${section.intro}</p>\n` : "";
+
+    // A section that is a single item has no lettered list
+    if (
+      section.items.length === 1 &&
+      section.items[0].code === String(section.number)
+    ) {
+      return `${group}${heading}${intro}<p>${section.items[0].text}</p>\n\n`;
+    }
+
+    const items = section.items
+      .map((item) => `  <li>${item.text}</li>\n`)
+      .join("");
+    return `${group}${heading}${intro}<ol type="a">\n${items}</ol>\n\n`;
+  }).join("");
+
+  return `<h2>FHA Final Compliance</h2>\n\n${sectionsHtml}${GENERAL_STATEMENT_HTML}`;
+}
+
+// FHA Final Compliance items an inspector acknowledges by submitting a report
+const FHA_FINAL_COMPLIANCE_ITEMS = renderComplianceChecklistHtml();
+
+// Changes whenever an item is added, removed or reworded
+const FHA_FINAL_COMPLIANCE_VERSION = crypto
+  .createHash("sha256")
+  .update(JSON.stringify(FHA_FINAL_COMPLIANCE_CHECKLIST))
+  .digest("hex")
+  .slice(0, 12);
+
+/**
+ * Get inspector acknowledgement content
+ *
+ * @returns {Promise<string>} - The inspector acknowledgement content
+ */
+async function getInspectorAcknowledgement() {
+  return `
+<h1>Art Neidich Property Inspection & Consulting Division</h1>
+${FHA_FINAL_COMPLIANCE_ITEMS}
 <p><strong>Thank you for submitting your inspection report.</strong></p>
 `;
 }
 
+/**
+ * Get the FHA Final Compliance checklist inspectors answer per item
+ *
+ * @returns {{version: string, answers: Array<string>, sections: Array<Object>}}
+ */
+function getComplianceChecklist() {
+  return {
+    version: FHA_FINAL_COMPLIANCE_VERSION,
+    answers: complianceAnswers,
+    sections: FHA_FINAL_COMPLIANCE_CHECKLIST,
+  };
+}
+
+/**
+ * Record the acknowledgement an inspector gives by submitting a report
+ *
+ * The acknowledged text is kept with its SHA-256, so later wording
+ * changes don't alter what was agreed to.
+ *
+ * @param {string|Object} inspectorId
+ * @returns {{content: string, contentHash: string, acknowledgedBy: string|Object, acknowledgedAt: Date}}
+ */
+function createInspectorAcknowledgement(inspectorId) {
+  return {
+    content: FHA_FINAL_COMPLIANCE_ITEMS,
+    contentHash: crypto
+      .createHash("sha256")
+      .update(FHA_FINAL_COMPLIANCE_ITEMS)
+      .digest("hex"),
+    acknowledgedBy: inspectorId,
+    acknowledgedAt: new Date(),
+  };
+}
+
 module.exports = {
+  FHA_FINAL_COMPLIANCE_CHECKLIST,
+  FHA_FINAL_COMPLIANCE_VERSION,
+  getComplianceChecklist,
   getInspectorAcknowledgement,
+  createInspectorAcknowledgement,
 };
@@ -3,6 +3,8 @@ const mongoose = require("mongoose");
 const ArchiveSettingsModel = require("../models/ArchiveSettingsModel");
 const ReportModel = require("../models/ReportModel");
 
+const { syncJobStatusWithReport } = require("./JobServices");
+
 /**
  * Archive completed reports based on archival policy
  *
@@ -13,6 +15,7 @@ const ReportModel = require("../models/ReportModel");
  *    - completedAt exists
  *    - current date >= completedAt + autoArchiveDays
  * 3. Archive them by setting status: "archived"
+ * 4. Move their jobs to "archived" as well
  *
  * @returns {Promise<Object>} - { archivedCount: number, reportIds: array }
  */
@@ -44,7 +47,7 @@ async function archiveCompletedReports() {
         $ne: null,
         $lte: cutoffDate,
       },
-    }).select("_id");
+    }).select("_id job");
 
     // If no reports to archive, return early
     if (reportsToArchive.length === 0) {
@@ -61,10 +64,28 @@ async function archiveCompletedReports() {
     const updateResult = await ReportModel.updateMany(
       { _id: { $in: reportIds } },
       {
-        status: "archived",
+        $set: { status: "archived" },
+        $push: {
+          statusHistory: {
+            from: "completed",
+            to: "archived",
+            changedBy: null,
+            reason: "Archived automatically",
+            changedAt: new Date(),
+          },
+        },
       },
     );
 
+    // Keep the job lifecycle in step (one bad job must not stop the rest)
+    for (const report of reportsToArchive) {
+      try {
+        await syncJobStatusWithReport(report.job, "archived");
+      } catch (e) {
+        console.error(`Failed to archive job ${report.job}:`, e.message);
+      }
+    }
+
     return {
       archivedCount: updateResult.modifiedCount,
       reportIds,
@@ -1,10 +1,15 @@
 const mongoose = require("mongoose");
 
 const JobModel = require("../models/JobModel");
+const ReportDeliveryModel = require("../models/ReportDeliveryModel");
 const ReportModel = require("../models/ReportModel");
+const ReportShareLinkModel = require("../models/ReportShareLinkModel");
 const { deleteObjects } = require("../utils/s3");
 
 const jobServices = require("./JobServices");
+const { collectImageKeys } = require("./ReportImageServices");
+const { listReportPdfKeys } = require("./ReportPdfServices");
+const { removeReportRevisions } = require("./ReportRevisionServices");
 
 /**
  * Get archived reports with pagination, search, and filtering
@@ -151,9 +156,10 @@ module.exports = {
  * Restore archived reports (change status back to "completed")
  *
  * @param {Array<string>} reportIds - Array of report IDs to restore
+ * @param {string} [restoredBy] - admin user ID
  * @returns {Promise<Object>} - { restoredCount, reportIds }
  */
-async function restoreArchivedReports(reportIds) {
+async function restoreArchivedReports(reportIds, restoredBy = null) {
   try {
     // Convert string IDs to ObjectId
     const objectIds = reportIds.map((id) => new mongoose.Types.ObjectId(id));
@@ -162,7 +168,7 @@ async function restoreArchivedReports(reportIds) {
     const reports = await ReportModel.find({
       _id: { $in: objectIds },
       status: "archived",
-    }).select("_id");
+    }).select("_id job");
 
     if (reports.length === 0) {
       const err = new Error("No archived reports found with the provided IDs");
@@ -172,10 +178,30 @@ async function restoreArchivedReports(reportIds) {
 
     // Restore by changing status back to "completed"
     const result = await ReportModel.updateMany(
-      { _id: { $in: objectIds } },
-      { status: "completed" },
+      { _id: { $in: objectIds }, status: "archived" },
+      {
+        $set: { status: "completed" },
+        $push: {
+          statusHistory: {
+            from: "archived",
+            to: "completed",
+            changedBy: restoredBy,
+            reason: "Restored from archive",
+            changedAt: new Date(),
+          },
+        },
+      },
     );
 
+    // Bring the jobs back out of the archive too
+    for (const report of reports) {
+      try {
+        await jobServices.syncJobStatusWithReport(report.job, "completed");
+      } catch (e) {
+        console.error(`Failed to restore job ${report.job}:`, e.message);
+      }
+    }
+
     return {
       restoredCount: result.modifiedCount,
       reportIds: reports.map((r) => r._id),
@@ -188,7 +214,7 @@ async function restoreArchivedReports(reportIds) {
 
 /**
  * Permanently delete archived reports
- * Also deletes associated S3 images
+ * Also deletes their revisions and associated S3 images
  *
  * @param {Array<string>} reportIds - Array of report IDs to delete
  * @returns {Promise<Object>} - { deletedCount, reportIds, deletedImages }
@@ -202,7 +228,7 @@ async function permanentlyDeleteArchivedReports(reportIds) {
     const reports = await ReportModel.find({
       _id: { $in: objectIds },
       status: "archived",
-    }).select("_id images");
+    }).select("_id images currentRevision verification");
 
     if (reports.length === 0) {
       const err = new Error("No archived reports found with the provided IDs");
@@ -210,22 +236,23 @@ async function permanentlyDeleteArchivedReports(reportIds) {
       throw err;
     }
 
-    // Extract all S3 keys from images
-    const s3Keys = [];
-    reports.forEach((report) => {
-      if (report.images && Array.isArray(report.images)) {
-        report.images.forEach((image) => {
-          if (image.key) {
-            s3Keys.push(image.key);
-          }
-        });
-      }
+    // Extract all S3 keys from images (originals and variants)
+    const s3Keys = collectImageKeys(
+      reports.flatMap((report) => report.images || []),
+    );
+
+    // Revisions go with their reports, and so do their images
+    const revisionKeys = await removeReportRevisions(
+      reports.map((r) => r._id),
+    );
+    revisionKeys.forEach((key) => {
+      if (!s3Keys.includes(key)) s3Keys.push(key);
     });
 
-    // Delete images from S3 if any exist
+    // Delete images and cached PDFs from S3 if any exist
     if (s3Keys.length > 0) {
       try {
-        await deleteObjects(s3Keys);
+        await deleteObjects([...s3Keys, ...reports.flatMap(listReportPdfKeys)]);
       } catch (s3Error) {
         console.error("Error deleting images from S3:", s3Error);
         // Continue with DB deletion even if S3 fails
@@ -236,6 +263,12 @@ async function permanentlyDeleteArchivedReports(reportIds) {
     const result = await ReportModel.deleteMany({
       _id: { $in: objectIds },
     });
+    await ReportShareLinkModel.deleteMany({
+      report: { $in: reports.map((r) => r._id) },
+    });
+    await ReportDeliveryModel.deleteMany({
+      report: { $in: reports.map((r) => r._id) },
+    });
 
     return {
       deletedCount: result.deletedCount,
@@ -0,0 +1,40 @@
+/**
+ * Resolve a list filter dateType to a start/end range
+ *
+ * - this_month: first to last day of the current month
+ * - previous_month: first to last day of the previous month
+ * - custom: the whole day of customDate
+ *
+ * @param {"this_month"|"previous_month"|"custom"} dateType
+ * @param {string|Date} [customDate]
+ * @returns {{start: Date, end: Date}|null}
+ */
+function getDateTypeRange(dateType, customDate) {
+  const now = new Date();
+
+  if (dateType === "this_month") {
+    return {
+      start: new Date(now.getFullYear(), now.getMonth(), 1),
+      end: new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999),
+    };
+  }
+
+  if (dateType === "previous_month") {
+    return {
+      start: new Date(now.getFullYear(), now.getMonth() - 1, 1),
+      end: new Date(now.getFullYear(), now.getMonth(), 0, 23, 59, 59, 999),
+    };
+  }
+
+  if (dateType === "custom" && customDate) {
+    const start = new Date(customDate);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(customDate);
+    end.setHours(23, 59, 59, 999);
+    return { start, end };
+  }
+
+  return null;
+}
+
+module.exports = { getDateTypeRange };
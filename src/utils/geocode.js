@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Address geocoding through the Google Geocoding API.
+ * Disabled (returns null) when GOOGLE_MAPS_API_KEY is not set.
+ */
+
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const { GOOGLE_MAPS_API_KEY } = process.env;
+
+const GEOCODE_URL = "https://maps.googleapis.com/maps/api/geocode/json";
+
+// Give up on slow lookups, the photo check runs without a location
+const GEOCODE_TIMEOUT_MS = 5000;
+
+/**
+ * Look up the coordinates of an address
+ *
+ * @param {string} address
+ * @returns {Promise<{latitude: number, longitude: number}|null>} null when not found or disabled
+ */
+async function geocodeAddress(address) {
+  if (!GOOGLE_MAPS_API_KEY || !address) return null;
+
+  const url = `${GEOCODE_URL}?address=${encodeURIComponent(address)}&key=${GOOGLE_MAPS_API_KEY}`;
+  const res = await globalThis.fetch(url, {
+    signal: globalThis.AbortSignal.timeout(GEOCODE_TIMEOUT_MS),
+  });
+
+  if (!res.ok) {
+    throw new Error(`Geocoding failed with HTTP ${res.status}`);
+  }
+
+  const body = await res.json();
+  if (body.status === "ZERO_RESULTS") return null;
+  if (body.status !== "OK") {
+    throw new Error(`Geocoding failed: ${body.status}`);
+  }
+
+  const { lat, lng } = body.results[0].geometry.location;
+
+  return { latitude: lat, longitude: lng };
+}
+
+module.exports = { geocodeAddress };
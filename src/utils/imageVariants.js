@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Resized copies of report photos (display and thumbnail)
+ * generated with sharp, auto-oriented from their EXIF orientation.
+ */
+
+const path = require("path");
+
+const sharp = require("sharp");
+
+/**
+ * Variants created for every report photo
+ * - display: shown in the PDF and the report detail
+ * - thumbnail: shown in lists and grids
+ */
+const IMAGE_VARIANTS = {
+  display: { maxSize: 1600, quality: 80 },
+  thumbnail: { maxSize: 320, quality: 70 },
+};
+
+/**
+ * Build the key of a variant next to its original
+ * e.g. reports/<id>/<uuid>.jpg -> reports/<id>/<uuid>-thumbnail.jpg
+ *
+ * @param {string} originalKey
+ * @param {string} name - variant name
+ * @returns {string}
+ */
+function getVariantKey(originalKey, name) {
+  const ext = path.extname(originalKey);
+  const base = ext ? originalKey.slice(0, -ext.length) : originalKey;
+  return `${base}-${name}.jpg`;
+}
+
+/**
+ * Create every variant of a photo
+ * - Rotated upright using the EXIF orientation (then stripped)
+ * - Scaled down to fit the variant size, never enlarged
+ * - Re-encoded as progressive JPEG
+ *
+ * @param {Buffer} buffer - original photo
+ * @returns {Promise<Object<string, {buffer: Buffer, contentType: string, width: number, height: number, size: number}>>}
+ */
+async function createImageVariants(buffer) {
+  const variants = {};
+
+  // One at a time keeps memory flat for large photos
+  for (const [name, { maxSize, quality }] of Object.entries(IMAGE_VARIANTS)) {
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize(maxSize, maxSize, { fit: "inside", withoutEnlargement: true })
+      .jpeg({ quality, progressive: true, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true });
+
+    variants[name] = {
+      buffer: data,
+      contentType: "image/jpeg",
+      width: info.width,
+      height: info.height,
+      size: info.size,
+    };
+  }
+
+  return variants;
+}
+
+module.exports = {
+  IMAGE_VARIANTS,
+  getVariantKey,
+  createImageVariants,
+};
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview PDF rendering on a small pool of shared Chromium browsers.
+ * Each browser renders one PDF at a time, so the pool size is also the
+ * render concurrency. Renders past that wait in a bounded queue and every
+ * render is cut off after a timeout.
+ */
+
+const { Buffer } = require("buffer");
+const { setTimeout, clearTimeout } = require("timers");
+
+const puppeteer = require("puppeteer");
+
+const POOL_SIZE = Number(process.env.PDF_BROWSER_POOL_SIZE) || 2;
+const MAX_QUEUED = Number(process.env.PDF_MAX_QUEUED) || 20;
+const RENDER_TIMEOUT_MS = Number(process.env.PDF_RENDER_TIMEOUT_MS) || 60000;
+
+// Chromium slowly leaks memory, browsers are replaced after this many renders
+const MAX_RENDERS_PER_BROWSER = 100;
+
+const LAUNCH_OPTIONS = {
+  headless: "new",
+  args: ["--no-sandbox", "--disable-setuid-sandbox"],
+};
+
+// Browsers waiting for work: { browser, renders }
+const idle = [];
+// Renders waiting for a browser, oldest first: { resolve, reject }
+const waiting = [];
+// Browsers launched or launching, idle or busy
+let launched = 0;
+
+/**
+ * Hand free (or newly launched) browsers to the oldest waiting renders
+ */
+function dispatch() {
+  while (waiting.length > 0) {
+    const entry = idle.pop();
+    if (entry) {
+      waiting.shift().resolve(entry);
+      continue;
+    }
+
+    if (launched >= POOL_SIZE) return;
+
+    const next = waiting.shift();
+    launched++;
+    puppeteer.launch(LAUNCH_OPTIONS).then(
+      (browser) => next.resolve({ browser, renders: 0 }),
+      (err) => {
+        launched--;
+        next.reject(err);
+        dispatch();
+      },
+    );
+  }
+}
+
+/**
+ * Wait for a browser of the pool
+ *
+ * @returns {Promise<{browser: import('puppeteer').Browser, renders: number}>}
+ */
+function acquireBrowser() {
+  if (waiting.length >= MAX_QUEUED) {
+    const err = new Error("Too many PDFs are being generated, try again soon");
+    err.code = 503;
+    return Promise.reject(err);
+  }
+
+  return new Promise((resolve, reject) => {
+    waiting.push({ resolve, reject });
+    dispatch();
+  });
+}
+
+/**
+ * Give a browser back to the pool, or close it when it can't be reused
+ *
+ * @param {{browser: import('puppeteer').Browser, renders: number}} entry
+ * @param {boolean} reusable - false after a failed or timed out render
+ */
+function releaseBrowser(entry, reusable) {
+  if (
+    reusable &&
+    entry.browser.connected &&
+    entry.renders < MAX_RENDERS_PER_BROWSER
+  ) {
+    idle.push(entry);
+  } else {
+    launched--;
+    entry.browser.close().catch(console.error);
+  }
+
+  dispatch();
+}
+
+/**
+ * Render HTML to a PDF on a pooled browser
+ *
+ * @param {string} html - full page HTML
+ * @param {import('puppeteer').PDFOptions} [pdfOptions] - page.pdf options
+ * @returns {Promise<Buffer>}
+ */
+async function renderPdf(html, pdfOptions = {}) {
+  const entry = await acquireBrowser();
+  let page = null;
+  let timer = null;
+  let reusable = false;
+
+  try {
+    const render = (async () => {
+      page = await entry.browser.newPage();
+      await page.setContent(html, {
+        waitUntil: "networkidle0",
+        timeout: RENDER_TIMEOUT_MS,
+      });
+      return page.pdf({ ...pdfOptions, timeout: RENDER_TIMEOUT_MS });
+    })();
+    // Settles after the timeout once its browser is closed
+    render.catch(() => {});
+
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const err = new Error("PDF generation timed out");
+        err.code = 504;
+        reject(err);
+      }, RENDER_TIMEOUT_MS);
+    });
+
+    const pdf = await Promise.race([render, timeout]);
+    await page.close();
+    reusable = true;
+
+    return Buffer.from(pdf);
+  } finally {
+    clearTimeout(timer);
+    entry.renders++;
+    releaseBrowser(entry, reusable);
+  }
+}
+
+module.exports = { renderPdf };
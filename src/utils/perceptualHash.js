@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Perceptual hash (dHash) of photos, used to spot the same
+ * picture uploaded again after resizing, re-compression or small edits.
+ */
+
+const sharp = require("sharp");
+
+// 9x8 grayscale pixels give 8 comparisons per row, 64 bits in total
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+/**
+ * Compute the difference hash of a photo
+ * - Rotated upright first, so a re-oriented copy hashes the same
+ * - Each bit tells whether a pixel is brighter than its right neighbour
+ *
+ * @param {Buffer} buffer - photo
+ * @returns {Promise<string>} 16 hex characters
+ */
+async function computePerceptualHash(buffer) {
+  const pixels = await sharp(buffer)
+    .rotate()
+    .grayscale()
+    .resize(HASH_WIDTH, HASH_HEIGHT, { fit: "fill" })
+    .raw()
+    .toBuffer();
+
+  let hash = "";
+  let nibble = 0;
+
+  for (let row = 0; row < HASH_HEIGHT; row++) {
+    for (let col = 0; col < HASH_WIDTH - 1; col++) {
+      const i = row * HASH_WIDTH + col;
+      nibble = (nibble << 1) | (pixels[i] > pixels[i + 1] ? 1 : 0);
+
+      if ((row * (HASH_WIDTH - 1) + col) % 4 === 3) {
+        hash += nibble.toString(16);
+        nibble = 0;
+      }
+    }
+  }
+
+  return hash;
+}
+
+/**
+ * Number of differing bits between two hashes (0 = same picture)
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function hammingDistance(a, b) {
+  let distance = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+
+  return distance;
+}
+
+/**
+ * Split a hash into maxDistance + 1 bands of bits. Two hashes at most
+ * maxDistance bits apart have at least one band in common, so the bands
+ * can be indexed to find near matches without comparing every hash.
+ *
+ * @param {string} hash
+ * @param {number} maxDistance
+ * @returns {Array<string>} "<band>:<value>" keys
+ */
+function getHashBands(hash, maxDistance) {
+  const bits = hash.length * 4;
+  const count = maxDistance + 1;
+  let value = BigInt(`0x${hash}`);
+  const bands = [];
+
+  for (let i = 0; i < count; i++) {
+    const width = Math.floor(bits / count) + (i < bits % count ? 1 : 0);
+    const mask = (1n << BigInt(width)) - 1n;
+    bands.push(`${i}:${(value & mask).toString(16)}`);
+    value >>= BigInt(width);
+  }
+
+  return bands;
+}
+
+module.exports = {
+  computePerceptualHash,
+  getHashBands,
+  hammingDistance,
+};
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Capture time and GPS position read from photo EXIF data,
+ * and the distance helper used to compare them with a job's location.
+ */
+
+const exifr = require("exifr");
+
+const UTC_OFFSET_PATTERN = /^[+-]\d{2}:\d{2}$/;
+
+const EXIF_FIELDS = [
+  "DateTimeOriginal",
+  "CreateDate",
+  "OffsetTimeOriginal",
+  "OffsetTime",
+  "GPSLatitude",
+  "GPSLatitudeRef",
+  "GPSLongitude",
+  "GPSLongitudeRef",
+];
+
+/**
+ * Turn an EXIF date ("2024:05:01 14:03:22") into a Date
+ *
+ * EXIF dates are local camera time. With an offset ("-05:00") the exact
+ * instant is known, without one the time is read as UTC and the caller
+ * must allow for the unknown time zone.
+ *
+ * @param {string} value
+ * @param {string} [offset]
+ * @returns {Date|null}
+ */
+function parseExifDate(value, offset) {
+  const match =
+    typeof value === "string" &&
+    value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second] = match;
+  const zone = UTC_OFFSET_PATTERN.test(offset || "") ? offset : "Z";
+  const date = new Date(
+    `${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`,
+  );
+
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Read the capture time and GPS position of a photo
+ *
+ * Never throws: photos without (or with broken) EXIF data give nulls.
+ *
+ * @param {Buffer} buffer - original photo
+ * @returns {Promise<{takenAt: Date|null, timeZoneKnown: boolean, latitude: number|null, longitude: number|null}>}
+ */
+async function readPhotoMetadata(buffer) {
+  let exif = null;
+
+  try {
+    exif = await exifr.parse(buffer, {
+      pick: EXIF_FIELDS,
+      reviveValues: false,
+    });
+  } catch (err) {
+    console.error("Failed to read photo EXIF data:", err.message);
+  }
+
+  const offset = exif?.OffsetTimeOriginal || exif?.OffsetTime;
+  const takenAt = parseExifDate(
+    exif?.DateTimeOriginal || exif?.CreateDate,
+    offset,
+  );
+  const hasGps =
+    Number.isFinite(exif?.latitude) && Number.isFinite(exif?.longitude);
+
+  return {
+    takenAt,
+    timeZoneKnown: Boolean(takenAt) && UTC_OFFSET_PATTERN.test(offset || ""),
+    latitude: hasGps ? exif.latitude : null,
+    longitude: hasGps ? exif.longitude : null,
+  };
+}
+
+/**
+ * Great-circle distance between two points (haversine)
+ *
+ * @param {{latitude: number, longitude: number}} a
+ * @param {{latitude: number, longitude: number}} b
+ * @returns {number} meters
+ */
+function distanceInMeters(a, b) {
+  const EARTH_RADIUS_M = 6371000;
+  const toRad = (deg) => (deg * Math.PI) / 180;
+
+  const dLat = toRad(b.latitude - a.latitude);
+  const dLng = toRad(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.latitude)) *
+      Math.cos(toRad(b.latitude)) *
+      Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+module.exports = {
+  parseExifDate,
+  readPhotoMetadata,
+  distanceInMeters,
+};
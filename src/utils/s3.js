@@ -1,3 +1,4 @@
+const { Buffer } = require("buffer");
 const path = require("path");
 
 const {
@@ -5,6 +6,8 @@ const {
   GetObjectCommand,
   DeleteObjectCommand,
   DeleteObjectsCommand,
+  HeadObjectCommand,
+  PutObjectCommand,
 } = require("@aws-sdk/client-s3");
 const { Upload } = require("@aws-sdk/lib-storage");
 const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
@@ -198,6 +201,22 @@ async function getObjectStream(key) {
   return res.Body;
 }
 
+/**
+ * Get object read fully into memory
+ * @param {string} key
+ * @returns {Promise<Buffer>}
+ */
+async function getObjectBuffer(key) {
+  const stream = await getObjectStream(key);
+  const chunks = [];
+
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+}
+
 /**
  * Get signed download URL
  * @param {string} key
@@ -221,6 +240,83 @@ async function getSignedDownloadUrl(key, expiresIn = 900) {
   return getSignedUrl(s3Client, cmd, { expiresIn });
 }
 
+/**
+ * Get a signed URL the client can PUT one object to
+ * - Content type and length are signed, S3 refuses any other upload
+ * @param {string} key
+ * @param {Object} options
+ * @param {string} options.contentType
+ * @param {number} options.contentLength - bytes
+ * @param {number} [expiresIn=900] - Expiration time in seconds (default 15 mins)
+ * @returns {Promise<string>}
+ */
+async function getSignedUploadUrl(
+  key,
+  { contentType, contentLength },
+  expiresIn = 900,
+) {
+  // Sanity check for bucket
+  if (!bucket) {
+    const err = new Error("S3 bucket not configured");
+    err.code = 500;
+    throw err;
+  }
+
+  // Sanitize key
+  const safeKey = sanitizeKey(key);
+
+  // Put command
+  const cmd = new PutObjectCommand({
+    Bucket: bucket,
+    Key: safeKey,
+    ContentType: contentType,
+    ContentLength: contentLength,
+  });
+
+  return getSignedUrl(s3Client, cmd, {
+    expiresIn,
+    signableHeaders: new Set(["content-type"]),
+  });
+}
+
+/**
+ * Get the metadata of an object
+ * @param {string} key
+ * @returns {Promise<{ContentLength: number, ContentType: string}|null>} null if missing
+ */
+async function headObject(key) {
+  // Sanity check for bucket
+  if (!bucket) {
+    const err = new Error("S3 bucket not configured");
+    err.code = 500;
+    throw err;
+  }
+
+  // Sanitize key
+  const safeKey = sanitizeKey(key);
+
+  // Head command
+  const cmd = new HeadObjectCommand({ Bucket: bucket, Key: safeKey });
+
+  try {
+    return await s3Client.send(cmd);
+  } catch (err) {
+    if (err.name === "NotFound" || err.$metadata?.httpStatusCode === 404) {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Public URL of an object, same as upload results' Location
+ * @param {string} key
+ * @returns {string}
+ */
+function getObjectUrl(key) {
+  return `https://${bucket}.s3.${region}.amazonaws.com/${encodeURIComponent(sanitizeKey(key))}`;
+}
+
 // ────────────────────────────────────────────────
 // BATCH / MULTIPLE FILE FUNCTIONS
 // ────────────────────────────────────────────────
@@ -439,6 +535,10 @@ module.exports = {
   deleteObject,
   deleteObjects,
   getObjectStream,
+  getObjectBuffer,
   getSignedDownloadUrl,
+  getSignedUploadUrl,
+  headObject,
+  getObjectUrl,
   generateKey,
 };
@@ -0,0 +1,221 @@
+const path = require("path");
+const { Readable } = require("stream");
+
+const ExcelJS = require("exceljs");
+
+// ────────────────────────────────────────────────
+// FORMAT DETECTION
+// ────────────────────────────────────────────────
+
+const CSV_MIME_TYPES = [
+  "text/csv",
+  "application/csv",
+  "text/plain",
+  "application/vnd.ms-excel",
+];
+const XLSX_MIME_TYPES = [
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+];
+
+/**
+ * Work out whether an uploaded file is CSV or XLSX
+ * @param {string} [fileName]
+ * @param {string} [mimeType]
+ * @returns {"csv"|"xlsx"|null}
+ */
+function detectSpreadsheetFormat(fileName = "", mimeType = "") {
+  const ext = path.extname(fileName).toLowerCase();
+
+  // Extension wins, browsers are inconsistent with CSV mime types
+  if (ext === ".csv") return "csv";
+  if (ext === ".xlsx") return "xlsx";
+  if (XLSX_MIME_TYPES.includes(mimeType)) return "xlsx";
+  if (CSV_MIME_TYPES.includes(mimeType)) return "csv";
+
+  return null;
+}
+
+// ────────────────────────────────────────────────
+// READING
+// ────────────────────────────────────────────────
+
+/**
+ * Turn an ExcelJS cell value into a plain value
+ * (hyperlinks, rich text and formulas become their displayed value)
+ * @param {*} value
+ * @returns {string|number|boolean|Date|null}
+ */
+function plainCellValue(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value;
+  if (typeof value !== "object") return value;
+
+  // Rich text
+  if (Array.isArray(value.richText)) {
+    return value.richText.map((part) => part.text).join("");
+  }
+
+  // Hyperlink (e.g. emails) or formula result
+  if (value.text !== undefined) return plainCellValue(value.text);
+  if (value.result !== undefined) return plainCellValue(value.result);
+
+  return String(value);
+}
+
+/**
+ * Read the first worksheet of a CSV/XLSX buffer into row objects keyed by header
+ * @param {Buffer} buffer
+ * @param {"csv"|"xlsx"} format
+ * @returns {Promise<{headers: Array<string>, rows: Array<{rowNumber: number, values: Object}>}>}
+ */
+async function readSpreadsheetRows(buffer, format) {
+  const workbook = new ExcelJS.Workbook();
+
+  // Load workbook
+  let worksheet;
+  if (format === "xlsx") {
+    await workbook.xlsx.load(buffer);
+    worksheet = workbook.worksheets[0];
+  } else {
+    // Keep CSV cells as text so ids like "00123" survive
+    worksheet = await workbook.csv.read(Readable.from(buffer), {
+      map: (value) => value,
+    });
+  }
+
+  if (!worksheet || worksheet.rowCount === 0) {
+    return { headers: [], rows: [] };
+  }
+
+  // First row holds the headers
+  const headers = [];
+  worksheet.getRow(1).eachCell({ includeEmpty: true }, (cell, col) => {
+    const header = plainCellValue(cell.value);
+    headers[col] = header === null ? "" : String(header).trim();
+  });
+
+  // Remaining non-empty rows
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    let hasValue = false;
+
+    row.eachCell({ includeEmpty: false }, (cell, col) => {
+      const header = headers[col];
+      const value = plainCellValue(cell.value);
+      if (!header || value === null || value === "") return;
+
+      values[header] = typeof value === "string" ? value.trim() : value;
+      hasValue = true;
+    });
+
+    if (hasValue) rows.push({ rowNumber, values });
+  });
+
+  return { headers: headers.filter(Boolean), rows };
+}
+
+// ────────────────────────────────────────────────
+// WRITING
+// ────────────────────────────────────────────────
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: XLSX_MIME_TYPES[0],
+};
+
+/**
+ * Escape a value for a CSV cell
+ * (cells starting with = + - @ are prefixed so spreadsheet apps don't run them)
+ * @param {*} value
+ * @returns {string}
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write a chunk to a stream, waiting for drain when its buffer is full
+ * @param {import('stream').Writable} stream
+ * @param {string} chunk
+ */
+async function writeChunk(stream, chunk) {
+  if (!stream.write(chunk)) {
+    await new Promise((resolve) => stream.once("drain", resolve));
+  }
+}
+
+/**
+ * Stream rows to a CSV or XLSX file
+ *
+ * @param {import('stream').Writable} stream - e.g. the express response
+ * @param {Object} options
+ * @param {"csv"|"xlsx"} options.format
+ * @param {string} [options.sheetName]
+ * @param {Array<{header: string, width?: number, value: Function}>} options.columns
+ * @param {AsyncIterable<Object>|Iterable<Object>} options.rows - e.g. an aggregate cursor
+ * @returns {Promise<number>} number of rows written
+ */
+async function writeSpreadsheet(
+  stream,
+  { format, sheetName = "Sheet1", columns, rows }
+) {
+  let count = 0;
+
+  if (format === "xlsx") {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+      stream,
+      useStyles: true,
+    });
+    const worksheet = workbook.addWorksheet(sheetName);
+    worksheet.columns = columns.map((col, i) => ({
+      header: col.header,
+      key: `c${i}`,
+      width: col.width || 18,
+    }));
+    worksheet.getRow(1).font = { bold: true };
+
+    for await (const row of rows) {
+      worksheet.addRow(columns.map((col) => col.value(row) ?? null)).commit();
+      count += 1;
+    }
+
+    await workbook.commit();
+    return count;
+  }
+
+  // CSV, with BOM so Excel opens it as UTF-8
+  await writeChunk(
+    stream,
+    `\uFEFF${columns.map((col) => csvCell(col.header)).join(",")}\r\n`
+  );
+
+  for await (const row of rows) {
+    const line = columns.map((col) => csvCell(col.value(row))).join(",");
+    await writeChunk(stream, `${line}\r\n`);
+    count += 1;
+  }
+
+  stream.end();
+  return count;
+}
+
+// ────────────────────────────────────────────────
+// Exports
+// ────────────────────────────────────────────────
+
+module.exports = {
+  CONTENT_TYPES,
+  detectSpreadsheetFormat,
+  readSpreadsheetRows,
+  writeSpreadsheet,
+};
@@ -0,0 +1,53 @@
+const { z } = require("zod");
+
+const { brandingLogoSlots } = require("../../models/BrandingSettingsModel");
+
+const brandingLinesSchema = (max) =>
+  z.array(z.string().trim().min(1).max(200)).max(max);
+
+/**
+ * Validation schema for updating Branding Settings
+ *
+ * @type {import('zod').ZodObject}
+ */
+const updateBrandingSettingsSchema = z
+  .object({
+    companyLines: brandingLinesSchema(4).optional(),
+    licenseLines: brandingLinesSchema(6).optional(),
+  })
+  .strict()
+  .refine((data) => Object.keys(data).length > 0, {
+    message: "At least one field must be provided for update",
+  });
+
+/**
+ * Validation schema for the branding preview
+ * - Unsaved lines replace the saved ones in the preview only
+ * - formType picks the header and footer lines of that form type
+ *
+ * @type {import('zod').ZodObject}
+ */
+const brandingPreviewSchema = z
+  .object({
+    companyLines: brandingLinesSchema(4).optional(),
+    licenseLines: brandingLinesSchema(6).optional(),
+    formType: z.string().trim().max(120).optional(),
+  })
+  .strict();
+
+/**
+ * Validation schema for the logo slot route param
+ *
+ * @type {import('zod').ZodObject}
+ */
+const brandingLogoParamsSchema = z
+  .object({
+    slot: z.enum(brandingLogoSlots),
+  })
+  .strict();
+
+module.exports = {
+  updateBrandingSettingsSchema,
+  brandingPreviewSchema,
+  brandingLogoParamsSchema,
+};
@@ -0,0 +1,56 @@
+const { z } = require("zod");
+
+const { recipientRoles } = require("../../models/ClientModel");
+
+/**
+ * Validation schema for a report distribution list
+ * (a client's defaults or a job's own recipients)
+ *
+ * @type {import('zod').ZodArray}
+ */
+const reportRecipientsSchema = z
+  .array(
+    z
+      .object({
+        name: z.string().trim().max(100).optional(),
+        email: z.string().trim().toLowerCase().email(),
+        role: z.enum(recipientRoles).default("other"),
+      })
+      .strict(),
+  )
+  .max(20, "At most 20 recipients")
+  .refine(
+    (recipients) =>
+      new Set(recipients.map((r) => r.email)).size === recipients.length,
+    { message: "Each recipient email can only be listed once" },
+  );
+
+/**
+ * Validation schema for creating a client
+ *
+ * @type {import('zod').ZodObject}
+ */
+const createClientSchema = z
+  .object({
+    name: z.string().trim().min(1, "Client name is required").max(200),
+    recipients: reportRecipientsSchema.optional(),
+  })
+  .strict();
+
+/**
+ * Validation schema for updating a client
+ *
+ * @type {import('zod').ZodObject}
+ */
+const updateClientSchema = createClientSchema
+  .partial()
+  .strict()
+  .refine((data) => Object.keys(data).length > 0, {
+    message: "At least one field must be provided for update",
+  });
+
+module.exports = {
+  reportRecipientsSchema,
+  createClientSchema,
+  updateClientSchema,
+};
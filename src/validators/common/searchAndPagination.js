@@ -24,7 +24,23 @@ const searchAndPaginationSchema = z
       }),
 
     status: z
-      .enum(["all", "in_progress", "submitted", "completed", "rejected", "re-submitted"])
+      .enum([
+        "all",
+        "in_progress",
+        "submitted",
+        "completed",
+        "rejected",
+        "re-submitted",
+        // Job lifecycle statuses
+        "draft",
+        "assigned",
+        "accepted",
+        "on_site",
+        "under_review",
+        "cancelled",
+        "on_hold",
+        "archived",
+      ])
       .optional(),
 
 
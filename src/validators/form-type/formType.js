@@ -0,0 +1,60 @@
+const { z } = require("zod");
+
+const { mongoIdSchema } = require("../common/mongoId");
+
+/**
+ * Validation schema for form type creation
+ *
+ * @type {import("zod").ZodObject}
+ */
+const createFormTypeSchema = z
+  .object({
+    name: z.string().trim().min(1, "Name is required").max(120),
+    displayName: z.string().trim().min(1, "Display name is required").max(120),
+    requiredImageLabels: z.array(mongoIdSchema.shape.id).optional(),
+    optionalImageLabels: z.array(mongoIdSchema.shape.id).optional(),
+    requiresComplianceChecklist: z.boolean().optional(),
+    pdfHeaderText: z.string().trim().max(200).optional(),
+    footerLicenseLines: z
+      .array(z.string().trim().min(1).max(200))
+      .max(8)
+      .optional(),
+    isActive: z.boolean().optional(),
+  })
+  .strict();
+
+/**
+ * Validation schema for form type update
+ *
+ * - All fields are optional
+ * - The name can't change, jobs reference it
+ *
+ * @type {import("zod").ZodObject}
+ */
+const updateFormTypeSchema = createFormTypeSchema
+  .omit({ name: true })
+  .partial()
+  .strict()
+  .refine((data) => Object.keys(data).length > 0, {
+    message: "At least one field must be provided for update",
+  });
+
+/**
+ * Validation schema for listing form types
+ *
+ * @type {import("zod").ZodObject}
+ */
+const listFormTypesSchema = z
+  .object({
+    includeInactive: z
+      .enum(["true", "false"])
+      .optional()
+      .transform((value) => value === "true"),
+  })
+  .strict();
+
+module.exports = {
+  createFormTypeSchema,
+  updateFormTypeSchema,
+  listFormTypesSchema,
+};
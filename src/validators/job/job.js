@@ -1,6 +1,9 @@
 const { z } = require("zod");
 
+const { jobStatuses } = require("../../models/JobModel");
+const { reportRecipientsSchema } = require("../client/client");
 const { mongoIdSchema } = require("../common/mongoId");
+const { searchAndPaginationSchema } = require("../common/searchAndPagination");
 
 /**
  * Validation schema for creating a Job
@@ -10,10 +13,8 @@ const { mongoIdSchema } = require("../common/mongoId");
 const createJobSchema = z
   .object({
     inspector: mongoIdSchema.shape.id,
-    formType: z.enum([
-      // "RCI Residential Building Code Inspection",
-      "92051 - FHA Inspection",
-    ]),
+    // Checked against the form type registry by the service
+    formType: z.string().trim().min(1, "Form type is required"),
     feeStatus: z.enum([
       "Standard",
       "Rush Order",
@@ -51,22 +52,136 @@ const createJobSchema = z
     // max 1250 characters
     specialNotesForInspector: z.string().max(1250).optional(),
     specialNoteForApOrAr: z.string().max(1250).optional(),
+    // The client's recipients get the report along with the job's own
+    client: mongoIdSchema.shape.id.optional(),
+    recipients: reportRecipientsSchema.optional(),
+    // Property coordinates, geocoded from streetAddress when left out
+    location: z
+      .object({
+        latitude: z.number().min(-90).max(90),
+        longitude: z.number().min(-180).max(180),
+      })
+      .strict()
+      .optional(),
   })
   .strict();
 
 /**
  * Validation schema for updating a Job
  *
+ * The inspector can't be changed here, use the reassign endpoint
+ *
  * @type {import('zod').ZodObject}
  */
 const updateJobSchema = createJobSchema
+  .omit({ inspector: true })
   .partial()
   .extend({
     dueDate: z.coerce.date().optional(),
     siteContactEmail: z.union([z.string().email(), z.literal("")]).optional(),
+    client: mongoIdSchema.shape.id.nullable().optional(),
   })
   .refine((data) => Object.keys(data).length > 0, {
     message: "At least one field must be provided for update",
   });
 
-module.exports = { createJobSchema, updateJobSchema };
+/**
+ * Validation schema for moving a Job to another lifecycle status
+ *
+ * @type {import('zod').ZodObject}
+ */
+const updateJobStatusSchema = z
+  .object({
+    status: z.enum(Object.values(jobStatuses)),
+    reason: z.string().trim().max(500).optional(),
+  })
+  .strict();
+
+/**
+ * Validation schema for reassigning a Job to another inspector
+ *
+ * @type {import('zod').ZodObject}
+ */
+const reassignJobSchema = z
+  .object({
+    inspector: mongoIdSchema.shape.id,
+    reason: z.string().trim().min(1, "Reason is required").max(500),
+    // Super Admin only: reassign even after a report was submitted
+    force: z.boolean().optional(),
+  })
+  .strict();
+
+/**
+ * Validation schema for creating a re-inspection of a job
+ *
+ * The address, case number and contacts come from the original job,
+ * the inspector and fee default to the original's
+ *
+ * @type {import('zod').ZodObject}
+ */
+const reinspectionJobSchema = z
+  .object({
+    dueDate: createJobSchema.shape.dueDate,
+    inspector: mongoIdSchema.shape.id.optional(),
+    orderId: z.string().trim().min(1).optional(),
+    feeStatus: createJobSchema.shape.feeStatus.optional(),
+    agreedFee: z.number().int().nonnegative().optional(),
+    specialNotesForInspector: z.string().max(1250).optional(),
+  })
+  .strict();
+
+/**
+ * Validation schema for the job import query
+ *
+ * Imports are dry runs unless dryRun=false is passed explicitly
+ *
+ * @type {import('zod').ZodObject}
+ */
+const importJobsQuerySchema = z.object({
+  dryRun: z
+    .enum(["true", "false"])
+    .default("true")
+    .transform((value) => value === "true"),
+});
+
+/**
+ * Validation schema for the job export, same filters as the list
+ *
+ * @type {import('zod').ZodObject}
+ */
+const exportJobsSchema = searchAndPaginationSchema.safeExtend({
+  format: z.enum(["csv", "xlsx"]).default("csv"),
+});
+
+/**
+ * Validation schema for the job photo checklist query
+ *
+ * imageLabels: comma separated label ids already captured on the device
+ *
+ * @type {import('zod').ZodObject}
+ */
+const jobChecklistQuerySchema = z
+  .object({
+    imageLabels: z
+      .string()
+      .optional()
+      .transform((value) =>
+        (value || "")
+          .split(",")
+          .map((id) => id.trim())
+          .filter(Boolean),
+      )
+      .pipe(z.array(mongoIdSchema.shape.id)),
+  })
+  .strict();
+
+module.exports = {
+  createJobSchema,
+  updateJobSchema,
+  updateJobStatusSchema,
+  reassignJobSchema,
+  reinspectionJobSchema,
+  importJobsQuerySchema,
+  exportJobsSchema,
+  jobChecklistQuerySchema,
+};
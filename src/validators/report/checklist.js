@@ -0,0 +1,45 @@
+const { z } = require("zod");
+
+const { complianceAnswers } = require("../../models/ReportModel");
+const { mongoIdSchema } = require("../common/mongoId");
+
+/**
+ * Validation schema for the FHA Final Compliance checklist answers of a
+ * submission
+ *
+ * - code: item code of the checklist template (e.g. "1a")
+ * - answer: pass, fail, na or not_observed
+ * - comment: what was seen, required for fail and not_observed (checked
+ *   against the template when the report is submitted)
+ * - imageLabels: ids of the report labels whose photos show the item
+ *
+ * Multipart submissions send the answers as a JSON string.
+ *
+ * @type {import('zod').ZodType}
+ */
+const checklistAnswersSchema = z.preprocess(
+  (value) => {
+    if (typeof value !== "string") return value;
+    try {
+      return JSON.parse(value);
+    } catch {
+      return value;
+    }
+  },
+  z
+    .array(
+      z
+        .object({
+          code: z.string().trim().min(1).max(10),
+          answer: z.enum(complianceAnswers),
+          comment: z.string().trim().max(1000).optional(),
+          imageLabels: z.array(mongoIdSchema.shape.id).max(10).optional(),
+        })
+        .strict(),
+    )
+    .max(200),
+);
+
+module.exports = {
+  checklistAnswersSchema,
+};
@@ -0,0 +1,58 @@
+const { z } = require("zod");
+
+const {
+  deficiencySeverities,
+  deficiencyStatuses,
+} = require("../../models/ReportModel");
+const { mongoIdSchema } = require("../common/mongoId");
+
+/**
+ * Validation schema for recording a deficiency on a report
+ *
+ * - imageLabel: id of the label the deficiency is about
+ * - images: ids of the report photos showing it
+ *
+ * @type {import('zod').ZodObject}
+ */
+const createDeficiencySchema = z
+  .object({
+    imageLabel: mongoIdSchema.shape.id,
+    severity: z.enum(deficiencySeverities),
+    description: z.string().trim().min(1, "Description is required").max(1000),
+    requiredCorrection: z.string().trim().max(1000).optional(),
+    images: z.array(mongoIdSchema.shape.id).max(10).optional(),
+  })
+  .strict();
+
+/**
+ * Validation schema for updating a deficiency
+ *
+ * - status: only reviewers mark a deficiency corrected (or open again)
+ *
+ * @type {import('zod').ZodObject}
+ */
+const updateDeficiencySchema = createDeficiencySchema
+  .partial()
+  .extend({ status: z.enum(deficiencyStatuses).optional() })
+  .strict()
+  .refine((data) => Object.keys(data).length > 0, {
+    message: "At least one field must be provided for update",
+  });
+
+/**
+ * Validation schema for the deficiency route params
+ *
+ * @type {import('zod').ZodObject}
+ */
+const deficiencyParamsSchema = z
+  .object({
+    id: mongoIdSchema.shape.id,
+    deficiencyId: mongoIdSchema.shape.id,
+  })
+  .strict();
+
+module.exports = {
+  createDeficiencySchema,
+  updateDeficiencySchema,
+  deficiencyParamsSchema,
+};
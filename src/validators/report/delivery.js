@@ -0,0 +1,17 @@
+const { z } = require("zod");
+
+const { mongoIdSchema } = require("../common/mongoId");
+
+/**
+ * Validation schema for the report delivery route params
+ *
+ * @type {import('zod').ZodObject}
+ */
+const reportDeliveryParamsSchema = z
+  .object({
+    id: mongoIdSchema.shape.id,
+    deliveryId: mongoIdSchema.shape.id,
+  })
+  .strict();
+
+module.exports = { reportDeliveryParamsSchema };
@@ -0,0 +1,110 @@
+const { z } = require("zod");
+
+const { mongoIdSchema } = require("../common/mongoId");
+
+const { checklistAnswersSchema } = require("./checklist");
+
+const photoNoteSchema = z.string().trim().max(250);
+
+// Photos uploaded straight to S3. No HEIC/HEIF: sharp can't decode them
+// for the variants and hashes, and Chromium can't show them in the PDF.
+const PHOTO_CONTENT_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const MAX_PHOTO_SIZE = 25 * 1024 * 1024;
+
+const photoFileSchema = z.object({
+  fileName: z.string().trim().min(1).max(255),
+  contentType: z.enum(PHOTO_CONTENT_TYPES),
+  size: z.number().int().positive().max(MAX_PHOTO_SIZE),
+});
+
+/**
+ * Validation schema for starting (or resuming) a draft report
+ *
+ * @type {import('zod').ZodObject}
+ */
+const createDraftReportSchema = z
+  .object({
+    job: mongoIdSchema.shape.id,
+  })
+  .strict();
+
+/**
+ * Validation schema for the params of a draft label upload
+ *
+ * @type {import('zod').ZodObject}
+ */
+const draftLabelParamsSchema = z
+  .object({
+    id: mongoIdSchema.shape.id,
+    imageLabel: mongoIdSchema.shape.id,
+  })
+  .strict();
+
+/**
+ * Validation schema for the multipart body of a draft label upload
+ *
+ * - note: one note for every photo, or repeated once per photo in upload order
+ *
+ * @type {import('zod').ZodObject}
+ */
+const draftLabelImagesSchema = z
+  .object({
+    note: z.union([photoNoteSchema, z.array(photoNoteSchema)]).optional(),
+  })
+  .strict();
+
+/**
+ * Validation schema for requesting presigned upload URLs for one label
+ *
+ * @type {import('zod').ZodObject}
+ */
+const draftUploadUrlsSchema = z
+  .object({
+    files: z.array(photoFileSchema.strict()).min(1).max(2),
+  })
+  .strict();
+
+/**
+ * Validation schema for confirming presigned uploads of one label
+ *
+ * @type {import('zod').ZodObject}
+ */
+const confirmDraftUploadsSchema = z
+  .object({
+    uploads: z
+      .array(
+        photoFileSchema
+          .safeExtend({
+            key: z.string().trim().min(1),
+            note: photoNoteSchema.optional(),
+          })
+          .strict(),
+      )
+      .min(1)
+      .max(2),
+  })
+  .strict();
+
+/**
+ * Validation schema for finalizing a draft report
+ *
+ * - checklist: FHA Final Compliance answers, required when the job's form
+ *   type has the checklist (checked by the service)
+ *
+ * @type {import('zod').ZodObject}
+ */
+const finalizeDraftReportSchema = z
+  .object({
+    noteForAdmin: z.string().max(250).optional(),
+    checklist: checklistAnswersSchema.optional(),
+  })
+  .strict();
+
+module.exports = {
+  createDraftReportSchema,
+  draftLabelParamsSchema,
+  draftLabelImagesSchema,
+  draftUploadUrlsSchema,
+  confirmDraftUploadsSchema,
+  finalizeDraftReportSchema,
+};
@@ -2,6 +2,8 @@ const { z } = require("zod");
 
 const { mongoIdSchema } = require("../common/mongoId");
 
+const { checklistAnswersSchema } = require("./checklist");
+
 /**
  * Validation schema for creating a report
  *
@@ -13,7 +15,10 @@ const { mongoIdSchema } = require("../common/mongoId");
  *    - mimeType: optional string for the image MIME type
  *    - size: optional number for the image file size
  *    - buffer: optional any type for the image file buffer
+ *    - note: optional note shown under the photo (max 250 characters)
  * - noteForAdmin: optional string with a maximum length of 250 characters
+ * - checklist: FHA Final Compliance answers, every item; required when the
+ *   job's form type has the checklist (checked by the service)
  *
  * The array must contain at least 1 .
  */
@@ -28,10 +33,12 @@ const createReportSchema = z
           mimeType: z.string().optional(),
           size: z.number().optional(),
           buffer: z.any().optional(),
+          note: z.string().trim().max(250).optional(),
         }),
       )
       .min(1, "At least 1 image required"),
     noteForAdmin: z.string().max(250).optional(),
+    checklist: checklistAnswersSchema.optional(),
   })
   .strict();
 
@@ -54,9 +61,25 @@ const reportPaginationSchema = z
         message: "Limit must be a positive integer",
       }),
     status: z.enum(["all", "submitted", "completed", "rejected"]).optional(),
+    // Reports with open deficiencies, with any, or with none
+    deficiencies: z.enum(["open", "any", "none"]).optional(),
+    dateType: z.enum(["this_month", "previous_month", "custom"]).optional(),
+    // Required only when dateType = custom
+    customDate: z.string().optional(),
+  })
+  .refine((data) => data.dateType !== "custom" || !!data.customDate, {
+    message: "customDate is required for custom date filter",
+    path: ["customDate"],
   })
   .strict();
 
+/**
+ * Validation schema for the report export, same filters as the list
+ */
+const exportReportsSchema = reportPaginationSchema.safeExtend({
+  format: z.enum(["csv", "xlsx"]).default("csv"),
+});
+
 /**
  * Validation schema for updating report status
  */
@@ -65,10 +88,33 @@ const updateReportStatusSchema = z
     status: z.enum(["submitted", "completed", "rejected"], {
       required_error: "Status is required",
     }),
+    // Reject only these labels, the inspector re-uploads just them
+    rejectedLabels: z
+      .array(
+        z
+          .object({
+            imageLabel: mongoIdSchema.shape.id,
+            comment: z.string().trim().min(1, "Comment is required").max(500),
+          })
+          .strict(),
+      )
+      .min(1)
+      .optional(),
+    // Why the report was rejected, or a comment on completion
+    reason: z.string().trim().max(1000).optional(),
   })
-  .strict();
+  .strict()
+  .refine((data) => !data.rejectedLabels || data.status === "rejected", {
+    message: "rejectedLabels can only be sent when rejecting",
+    path: ["rejectedLabels"],
+  })
+  .refine((data) => data.status !== "rejected" || !!data.reason, {
+    message: "A reason is required when rejecting a report",
+    path: ["reason"],
+  });
 
 // Merge multer files into req.body.images before validation
+// images JSON: [{ imageLabel, note?, images: [{ note? }, ...] }]
 const handleGroupedImages = (req, res, next) => {
   console.log("rew=========>", req.body.images);
   console.log("file=========>", req.files);
@@ -120,13 +166,18 @@ const handleGroupedImages = (req, res, next) => {
       });
     }
 
-    groupFiles.forEach((file) => {
+    groupFiles.forEach((file, i) => {
+      // A note on the image wins over the note on its label group
+      const imageNote = group.images[i]?.note;
+      const note = typeof imageNote === "string" ? imageNote : group.note;
+
       processedImages.push({
         imageLabel: labelId,
         fileName: file.originalname,
         mimeType: file.mimetype,
         size: file.size,
         buffer: file.buffer,
+        ...(typeof note === "string" && note.trim() && { note }),
       });
     });
   }
@@ -157,6 +208,8 @@ const handleGroupedImages = (req, res, next) => {
  *    - size: optional number for the image file size
  *    - buffer: optional any type for the image file buffer
  * - noteForAdmin: optional string with a maximum length of 250 characters
+ * - checklist: FHA Final Compliance answers for form types with the
+ *   checklist, the previous ones are kept when not sent
  *
  * Note: `job` is NOT required here — report ID comes from the route param (:id)
  */
@@ -170,17 +223,43 @@ const resubmitReportSchema = z
           mimeType: z.string().optional(),
           size: z.number().optional(),
           buffer: z.any().optional(),
+          note: z.string().trim().max(250).optional(),
         }),
       )
       .min(1, "At least 1 image required"),
     noteForAdmin: z.string().max(250).optional(),
+    checklist: checklistAnswersSchema.optional(),
+  })
+  .strict();
+
+/**
+ * Validation schema for report revision params
+ */
+const reportRevisionParamsSchema = z
+  .object({
+    id: mongoIdSchema.shape.id,
+    revision: z.coerce.number().int().positive(),
+  })
+  .strict();
+
+/**
+ * Validation schema for the suspected photo reuse list
+ */
+const duplicateImagesQuerySchema = z
+  .object({
+    inspector: mongoIdSchema.shape.id.optional(),
+    page: reportPaginationSchema.shape.page,
+    limit: reportPaginationSchema.shape.limit,
   })
   .strict();
 
 module.exports = {
   createReportSchema,
   reportPaginationSchema,
+  exportReportsSchema,
   updateReportStatusSchema,
   resubmitReportSchema,
+  reportRevisionParamsSchema,
+  duplicateImagesQuerySchema,
   handleGroupedImages,
 };
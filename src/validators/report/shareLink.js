@@ -0,0 +1,58 @@
+const { z } = require("zod");
+
+const { mongoIdSchema } = require("../common/mongoId");
+
+/**
+ * Validation schema for creating a report share link
+ *
+ * @type {import('zod').ZodObject}
+ */
+const createShareLinkSchema = z
+  .object({
+    label: z.string().trim().max(200).optional(),
+    expiresInDays: z.coerce.number().int().min(1).max(90).default(7),
+    password: z.string().min(6).max(100).optional(),
+    maxDownloads: z.coerce.number().int().min(1).max(1000).optional(),
+  })
+  .strict();
+
+/**
+ * Validation schema for the share link route params
+ *
+ * @type {import('zod').ZodObject}
+ */
+const shareLinkParamsSchema = z
+  .object({
+    id: mongoIdSchema.shape.id,
+    linkId: mongoIdSchema.shape.id,
+  })
+  .strict();
+
+/**
+ * Validation schema for the public share token param
+ *
+ * @type {import('zod').ZodObject}
+ */
+const shareTokenParamsSchema = z
+  .object({
+    token: z.string().regex(/^[A-Za-z0-9_-]{43}$/, "Invalid share link"),
+  })
+  .strict();
+
+/**
+ * Validation schema for opening a password protected share link
+ *
+ * @type {import('zod').ZodObject}
+ */
+const openShareLinkSchema = z
+  .object({
+    password: z.string().min(1).max(100).optional(),
+  })
+  .strict();
+
+module.exports = {
+  createShareLinkSchema,
+  shareLinkParamsSchema,
+  shareTokenParamsSchema,
+  openShareLinkSchema,
+};
@@ -0,0 +1,34 @@
+const { z } = require("zod");
+
+/**
+ * Validation schema for the verification code route param
+ *
+ * @type {import('zod').ZodObject}
+ */
+const verificationCodeParamsSchema = z
+  .object({
+    code: z
+      .string()
+      .trim()
+      .regex(/^[A-Za-z0-9]{10}$/, "Invalid verification code"),
+  })
+  .strict();
+
+/**
+ * Validation schema for the verify query
+ * - sha256: hash of the PDF copy being checked, compared with the issued one
+ *
+ * @type {import('zod').ZodObject}
+ */
+const verifyReportQuerySchema = z
+  .object({
+    sha256: z
+      .string()
+      .trim()
+      .toLowerCase()
+      .regex(/^[a-f0-9]{64}$/, "sha256 must be a hex SHA-256 hash")
+      .optional(),
+  })
+  .strict();
+
+module.exports = { verificationCodeParamsSchema, verifyReportQuerySchema };
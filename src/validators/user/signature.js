@@ -0,0 +1,26 @@
+const { z } = require("zod");
+
+// JSON bodies are limited to 100 kb, bigger images are uploaded as files
+const MAX_DRAWN_SIGNATURE_LENGTH = 100 * 1024;
+
+/**
+ * Validation schema for saving the profile signature
+ * - Uploaded: multipart file field "signature" (no body fields needed)
+ * - Drawn: { image: "data:image/png;base64,..." } from the signature pad
+ *
+ * @type {import("zod").ZodObject}
+ */
+const userSignatureSchema = z
+  .object({
+    image: z
+      .string()
+      .max(MAX_DRAWN_SIGNATURE_LENGTH, "Signature drawing is too large")
+      .regex(
+        /^data:image\/png;base64,[A-Za-z0-9+/]+=*$/,
+        "Signature drawing must be a PNG data URL",
+      )
+      .optional(),
+  })
+  .strict();
+
+module.exports = { userSignatureSchema };
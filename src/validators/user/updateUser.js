@@ -10,6 +10,7 @@ const updateUserSchema = z
     firstName: z.string().min(1, "First name is required").trim().optional(),
     lastName: z.string().min(1, "Last name is required").trim().optional(),
     email: z.string().email("Invalid email address").trim().optional(),
+    licenseNumber: z.string().trim().max(100).optional(),
   })
   .strict();
 
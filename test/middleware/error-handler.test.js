@@ -0,0 +1,61 @@
+const assert = require("assert/strict");
+const { describe, it } = require("node:test");
+
+const multer = require("multer");
+
+const errorHandler = require("../../src/middleware/error-handler");
+
+/**
+ * Run the error handler and capture the response it sends
+ *
+ * @param {Error} err
+ * @returns {{status: number, body: Object}}
+ */
+function handle(err) {
+  const sent = {};
+  const res = {
+    headersSent: false,
+    status(code) {
+      sent.status = code;
+      return this;
+    },
+    json(body) {
+      sent.body = body;
+      return this;
+    },
+  };
+
+  errorHandler(err, { originalUrl: "/test" }, res, () => {});
+
+  return sent;
+}
+
+describe("errorHandler", () => {
+  it("answers with the status in err.code and its message", () => {
+    const err = new Error("Job not found");
+    err.code = 404;
+
+    assert.deepEqual(handle(err), {
+      status: 404,
+      body: { success: false, code: 404, message: "Job not found" },
+    });
+  });
+
+  it("hides the message of unexpected errors", () => {
+    const { status, body } = handle(new Error("connection reset"));
+
+    assert.equal(status, 500);
+    assert.equal(body.message, "Internal Server Error");
+  });
+
+  it("answers 413 for oversized uploads and 400 for other upload errors", () => {
+    const tooLarge = handle(new multer.MulterError("LIMIT_FILE_SIZE", "file"));
+    const unexpected = handle(
+      new multer.MulterError("LIMIT_UNEXPECTED_FILE", "other"),
+    );
+
+    assert.equal(tooLarge.status, 413);
+    assert.equal(tooLarge.body.message, "File too large");
+    assert.equal(unexpected.status, 400);
+  });
+});
@@ -0,0 +1,76 @@
+const assert = require("assert/strict");
+const { describe, it } = require("node:test");
+
+const JobModel = require("../../src/models/JobModel");
+const ReportModel = require("../../src/models/ReportModel");
+const { assertJobCanFollowReport } = require("../../src/services/JobServices");
+
+const { jobStatuses, jobStatusTransitions } = JobModel;
+const { reportStatusTransitions } = ReportModel;
+
+// Statuses a job can be in while its report waits for the given decision
+const JOB_STATUSES_BY_REPORT = {
+  submitted: ["submitted", "under_review"],
+  "re-submitted": ["submitted", "under_review"],
+  completed: ["completed"],
+};
+
+describe("reportStatusTransitions", () => {
+  it("lists every report status", () => {
+    assert.deepEqual(
+      Object.keys(reportStatusTransitions).sort(),
+      [...ReportModel.schema.path("status").enumValues].sort(),
+    );
+  });
+
+  it("never moves a report to its own status", () => {
+    for (const [from, targets] of Object.entries(reportStatusTransitions)) {
+      assert.ok(!targets.includes(from), `${from} -> ${from}`);
+    }
+  });
+
+  it("only moves reports the job can follow", () => {
+    for (const [from, targets] of Object.entries(reportStatusTransitions)) {
+      for (const to of targets) {
+        for (const status of JOB_STATUSES_BY_REPORT[from]) {
+          assert.doesNotThrow(
+            () => assertJobCanFollowReport({ status }, to),
+            `${from} -> ${to} with a ${status} job`,
+          );
+        }
+      }
+    }
+  });
+
+  it("leaves drafts, rejected and archived reports to their own flows", () => {
+    assert.deepEqual(reportStatusTransitions.draft, []);
+    assert.deepEqual(reportStatusTransitions.rejected, []);
+    assert.deepEqual(reportStatusTransitions.archived, []);
+  });
+});
+
+describe("jobStatusTransitions", () => {
+  it("lists every job status and only moves to known ones", () => {
+    const statuses = Object.values(jobStatuses);
+
+    assert.deepEqual(Object.keys(jobStatusTransitions).sort(), statuses.sort());
+    for (const [from, targets] of Object.entries(jobStatusTransitions)) {
+      for (const to of targets) {
+        assert.ok(statuses.includes(to), `${from} -> ${to}`);
+      }
+    }
+  });
+
+  it("checks moves with canTransition", () => {
+    assert.equal(JobModel.canTransition("assigned", "accepted"), true);
+    assert.equal(JobModel.canTransition("completed", "submitted"), false);
+    assert.equal(JobModel.canTransition("unknown", "assigned"), false);
+  });
+
+  it("rejects a job that can't follow its report", () => {
+    assert.throws(
+      () => assertJobCanFollowReport({ status: "cancelled" }, "completed"),
+      (err) => err.code === 400,
+    );
+  });
+});
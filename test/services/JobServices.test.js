@@ -0,0 +1,126 @@
+const assert = require("assert/strict");
+const { afterEach, describe, it, mock } = require("node:test");
+
+const JobModel = require("../../src/models/JobModel");
+const {
+  applyNewJobLifecycle,
+  transitionJobStatus,
+} = require("../../src/services/JobServices");
+
+const { openReinspectionStatuses } = JobModel;
+
+/**
+ * Stub the job lookup and capture the status update transitionJobStatus sends
+ *
+ * @param {Object} job - what findById returns
+ * @returns {{update: Object|null}}
+ */
+function stubJob(job) {
+  const captured = { update: null };
+
+  mock.method(JobModel, "findById", () => ({ select: async () => job }));
+  mock.method(JobModel, "findOneAndUpdate", async (filter, update) => {
+    captured.update = update;
+    return { ...job, status: update.$set.status };
+  });
+
+  return captured;
+}
+
+afterEach(() => mock.restoreAll());
+
+describe("applyNewJobLifecycle", () => {
+  it("starts jobs assigned with their first history entries", () => {
+    const now = new Date();
+    const job = applyNewJobLifecycle(
+      { inspector: "inspector", createdBy: "admin" },
+      now,
+    );
+
+    assert.equal(job.status, "assigned");
+    assert.equal(job.statusChangedAt, now);
+    assert.deepEqual(job.statusHistory, [
+      { from: null, to: "assigned", changedBy: "admin", changedAt: now },
+    ]);
+    assert.equal(job.assignmentHistory[0].inspector, "inspector");
+  });
+
+  it("marks only new re-inspections as open", () => {
+    assert.equal(applyNewJobLifecycle({}).isOpenReinspection, false);
+    assert.equal(
+      applyNewJobLifecycle({ reinspectionOf: { job: "original" } })
+        .isOpenReinspection,
+      true,
+    );
+  });
+});
+
+describe("openReinspectionStatuses", () => {
+  it("leaves out the statuses a re-inspection ends in", () => {
+    for (const status of ["completed", "cancelled", "archived"]) {
+      assert.ok(!openReinspectionStatuses.includes(status), status);
+    }
+    assert.ok(openReinspectionStatuses.includes("assigned"));
+  });
+});
+
+describe("transitionJobStatus", () => {
+  it("closes a re-inspection when it is completed", async () => {
+    const captured = stubJob({
+      _id: "job",
+      status: "under_review",
+      reinspectionOf: { job: "original" },
+    });
+
+    await transitionJobStatus("job", "completed");
+
+    assert.equal(captured.update.$set.isOpenReinspection, false);
+  });
+
+  it("opens a cancelled re-inspection again when it is reassigned", async () => {
+    const captured = stubJob({
+      _id: "job",
+      status: "cancelled",
+      reinspectionOf: { job: "original" },
+    });
+
+    await transitionJobStatus("job", "assigned");
+
+    assert.equal(captured.update.$set.isOpenReinspection, true);
+  });
+
+  it("leaves the flag alone on other jobs", async () => {
+    const captured = stubJob({ _id: "job", status: "assigned" });
+
+    await transitionJobStatus("job", "accepted");
+
+    assert.equal("isOpenReinspection" in captured.update.$set, false);
+  });
+
+  it("answers 409 when another re-inspection of the job is open", async () => {
+    mock.method(JobModel, "findById", () => ({
+      select: async () => ({
+        _id: "job",
+        status: "cancelled",
+        reinspectionOf: { job: "original" },
+      }),
+    }));
+    mock.method(JobModel, "findOneAndUpdate", async () => {
+      const err = new Error("E11000 duplicate key error");
+      err.code = 11000;
+      throw err;
+    });
+
+    await assert.rejects(transitionJobStatus("job", "assigned"), {
+      code: 409,
+    });
+  });
+
+  it("refuses moves outside jobStatusTransitions", async () => {
+    stubJob({ _id: "job", status: "completed" });
+
+    await assert.rejects(transitionJobStatus("job", "submitted"), {
+      code: 400,
+    });
+  });
+});
@@ -0,0 +1,219 @@
+const assert = require("assert/strict");
+const {
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  it,
+  mock,
+} = require("node:test");
+
+const ImageLabelModel = require("../../src/models/ImageLabelModel");
+const JobModel = require("../../src/models/JobModel");
+const ReportModel = require("../../src/models/ReportModel");
+const imageServices = require("../../src/services/ReportImageServices");
+const s3 = require("../../src/utils/s3");
+
+const REPORT_ID = "650000000000000000000001";
+const INSPECTOR_ID = "650000000000000000000002";
+const LABEL_ID = "650000000000000000000003";
+const PREFIX = `reports/${REPORT_ID}/`;
+
+// S3 objects by key, and what the draft service did with them
+const objects = new Map();
+const calls = { processed: [], deleted: [] };
+
+let confirmDraftUploads;
+
+before(() => {
+  // The draft service keeps its own references, stub before loading it
+  s3.headObject = async (key) => objects.get(key) || null;
+  s3.deleteObjects = async (keys) => calls.deleted.push(...keys);
+  imageServices.processReportImages = async (images) =>
+    calls.processed.push(...images.map((img) => img.key));
+  imageServices.verifyImageCaptures = async () => {};
+
+  ({ confirmDraftUploads } = require("../../src/services/ReportDraftServices"));
+});
+
+const inspector = { _id: INSPECTOR_ID };
+
+/**
+ * Stub a draft report of a job without a form type checklist
+ *
+ * @param {Object} [fields] - report fields to override
+ * @returns {Object} the draft, saved in place
+ */
+function stubDraft(fields = {}) {
+  const report = {
+    _id: REPORT_ID,
+    inspector: INSPECTOR_ID,
+    job: "job",
+    status: "draft",
+    images: [],
+    save: async () => report,
+    ...fields,
+  };
+  const lean = (value) => ({ select: () => ({ lean: async () => value }) });
+
+  mock.method(ReportModel, "findById", async () => report);
+  mock.method(ImageLabelModel, "findById", () =>
+    lean({ _id: LABEL_ID, label: "Front" }),
+  );
+  mock.method(ImageLabelModel, "find", () => lean([]));
+  mock.method(JobModel, "findById", () => lean({ formType: null }));
+
+  return report;
+}
+
+/**
+ * Store an object as a presigned PUT would and describe the upload
+ *
+ * @param {string} name
+ * @param {Object} [declared] - size and type sent with the confirmation
+ * @returns {Object} upload entry for confirmDraftUploads
+ */
+function putObject(name, declared = {}) {
+  const key = `${PREFIX}${name}`;
+  objects.set(key, { ContentLength: 1024, ContentType: "image/jpeg" });
+
+  return {
+    key,
+    fileName: name,
+    contentType: "image/jpeg",
+    size: 1024,
+    ...declared,
+  };
+}
+
+beforeEach(() => {
+  objects.clear();
+  calls.processed = [];
+  calls.deleted = [];
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("confirmDraftUploads", () => {
+  it("attaches the uploaded objects to the label", async () => {
+    const report = stubDraft();
+    const upload = putObject("front.jpg");
+
+    const draft = await confirmDraftUploads(
+      REPORT_ID,
+      LABEL_ID,
+      [{ ...upload, note: "North side" }],
+      inspector,
+    );
+
+    assert.equal(report.images.length, 1);
+    assert.equal(report.images[0].imageLabel, "Front");
+    assert.equal(report.images[0].key, upload.key);
+    assert.equal(report.images[0].note, "North side");
+    assert.deepEqual(calls.processed, [upload.key]);
+    assert.deepEqual(draft.uploadedLabels, ["Front"]);
+  });
+
+  it("replaces the earlier photos of the label and deletes them", async () => {
+    const report = stubDraft({
+      images: [
+        { imageLabel: "Front", key: `${PREFIX}old.jpg` },
+        { imageLabel: "Back", key: `${PREFIX}back.jpg` },
+      ],
+    });
+    const upload = putObject("new.jpg");
+
+    await confirmDraftUploads(REPORT_ID, LABEL_ID, [upload], inspector);
+
+    assert.deepEqual(
+      report.images.map((img) => img.key),
+      [`${PREFIX}back.jpg`, upload.key],
+    );
+    assert.deepEqual(calls.deleted, [`${PREFIX}old.jpg`]);
+  });
+
+  it("keeps the processing of a photo confirmed again", async () => {
+    const upload = putObject("front.jpg");
+    const variants = { thumbnail: { key: "thumb", url: "thumb-url" } };
+    const report = stubDraft({
+      images: [{ imageLabel: "Front", key: upload.key, variants }],
+    });
+
+    await confirmDraftUploads(REPORT_ID, LABEL_ID, [upload], inspector);
+
+    assert.deepEqual(calls.processed, []);
+    assert.deepEqual(report.images[0].variants, variants);
+    assert.deepEqual(calls.deleted, []);
+  });
+
+  it("refuses objects outside the report, missing or not as declared", async () => {
+    const report = stubDraft();
+    const uploads = [
+      { ...putObject("a.jpg"), key: "reports/other/a.jpg" },
+      { key: `${PREFIX}missing.jpg`, contentType: "image/jpeg", size: 1 },
+    ];
+
+    await assert.rejects(
+      confirmDraftUploads(REPORT_ID, LABEL_ID, uploads, inspector),
+      (err) => {
+        assert.equal(err.code, 400);
+        assert.deepEqual(err.errors.map((e) => e.message).sort(), [
+          "Object has not been uploaded",
+          "Object is not part of this report",
+        ]);
+        return true;
+      },
+    );
+    assert.deepEqual(report.images, []);
+
+    const resized = putObject("b.jpg", { size: 2048 });
+    await assert.rejects(
+      confirmDraftUploads(REPORT_ID, LABEL_ID, [resized], inspector),
+      (err) =>
+        err.errors[0].message ===
+        "Uploaded object does not match the declared size or type",
+    );
+  });
+
+  it("refuses a key sent twice or attached to another label", async () => {
+    const upload = putObject("front.jpg");
+    stubDraft({ images: [{ imageLabel: "Back", key: upload.key }] });
+
+    await assert.rejects(
+      confirmDraftUploads(REPORT_ID, LABEL_ID, [upload, upload], inspector),
+      (err) => {
+        const messages = err.errors.map((e) => e.message);
+        assert.ok(messages.includes("Each key can only be sent once"));
+        assert.ok(messages.includes("Object is already attached to Back"));
+        return true;
+      },
+    );
+  });
+
+  it("only lets the inspector change their own draft", async () => {
+    const upload = putObject("front.jpg");
+
+    stubDraft({ inspector: "650000000000000000000009" });
+    await assert.rejects(
+      confirmDraftUploads(REPORT_ID, LABEL_ID, [upload], inspector),
+      { code: 403 },
+    );
+
+    mock.restoreAll();
+    stubDraft({ status: "submitted" });
+    await assert.rejects(
+      confirmDraftUploads(REPORT_ID, LABEL_ID, [upload], inspector),
+      { code: 400 },
+    );
+  });
+
+  it("limits the photos per label", async () => {
+    stubDraft();
+    const uploads = ["a.jpg", "b.jpg", "c.jpg"].map((name) => putObject(name));
+
+    await assert.rejects(
+      confirmDraftUploads(REPORT_ID, LABEL_ID, uploads, inspector),
+      { code: 400 },
+    );
+  });
+});
@@ -0,0 +1,145 @@
+const assert = require("assert/strict");
+const { Buffer } = require("buffer");
+const { before, beforeEach, describe, it } = require("node:test");
+
+const s3 = require("../../src/utils/s3");
+
+const KEY = "reports/r1/pdf/current-rev1.pdf";
+
+// Cached objects by key ({ body, LastModified }), and the failures to simulate
+const objects = new Map();
+const failures = { head: false, upload: false };
+
+let getCachedPdf;
+let listReportPdfKeys;
+
+before(() => {
+  // The PDF service keeps its own references, stub before loading it
+  s3.headObject = async (key) => {
+    if (failures.head) throw new Error("S3 unavailable");
+    return objects.get(key) || null;
+  };
+  s3.getObjectBuffer = async (key) => objects.get(key).body;
+  s3.uploadBuffer = async (body, key) => {
+    if (failures.upload) throw new Error("S3 unavailable");
+    objects.set(key, { body, LastModified: new Date() });
+  };
+
+  ({
+    getCachedPdf,
+    listReportPdfKeys,
+  } = require("../../src/services/ReportPdfServices"));
+});
+
+/**
+ * Render function that counts its calls
+ *
+ * @param {string} content
+ * @returns {Function & {calls: number}}
+ */
+function renderer(content) {
+  const render = async () => {
+    render.calls += 1;
+    return Buffer.from(content);
+  };
+  render.calls = 0;
+
+  return render;
+}
+
+beforeEach(() => {
+  objects.clear();
+  failures.head = false;
+  failures.upload = false;
+});
+
+describe("getCachedPdf", () => {
+  it("renders and stores a PDF that isn't cached yet", async () => {
+    const render = renderer("new");
+
+    const pdf = await getCachedPdf(KEY, [new Date()], render);
+
+    assert.equal(String(pdf), "new");
+    assert.equal(render.calls, 1);
+    assert.equal(String(objects.get(KEY).body), "new");
+  });
+
+  it("serves a PDF cached after every source changed", async () => {
+    objects.set(KEY, {
+      body: Buffer.from("cached"),
+      LastModified: new Date("2026-01-01T12:00:00Z"),
+    });
+    const render = renderer("new");
+
+    const pdf = await getCachedPdf(
+      KEY,
+      [new Date("2026-01-01T11:00:00Z"), undefined, "2026-01-01T11:30:00Z"],
+      render,
+    );
+
+    assert.equal(String(pdf), "cached");
+    assert.equal(render.calls, 0);
+  });
+
+  it("compares at the second precision S3 keeps", async () => {
+    objects.set(KEY, {
+      body: Buffer.from("cached"),
+      LastModified: new Date("2026-01-01T12:00:00Z"),
+    });
+    const render = renderer("new");
+
+    const pdf = await getCachedPdf(
+      KEY,
+      [new Date("2026-01-01T12:00:00.900Z")],
+      render,
+    );
+
+    assert.equal(String(pdf), "cached");
+  });
+
+  it("renders again once a source changed after caching", async () => {
+    objects.set(KEY, {
+      body: Buffer.from("cached"),
+      LastModified: new Date("2026-01-01T12:00:00Z"),
+    });
+    const render = renderer("new");
+
+    const pdf = await getCachedPdf(
+      KEY,
+      [new Date("2026-01-01T11:00:00Z"), new Date("2026-01-01T12:00:01Z")],
+      render,
+    );
+
+    assert.equal(String(pdf), "new");
+    assert.equal(render.calls, 1);
+    assert.equal(String(objects.get(KEY).body), "new");
+  });
+
+  it("still serves a rendered PDF when S3 fails", async () => {
+    failures.head = true;
+    failures.upload = true;
+    const render = renderer("new");
+
+    const pdf = await getCachedPdf(KEY, [], render);
+
+    assert.equal(String(pdf), "new");
+    assert.equal(objects.has(KEY), false);
+  });
+});
+
+describe("listReportPdfKeys", () => {
+  it("lists every revision's PDFs and the issued one", () => {
+    const keys = listReportPdfKeys({
+      _id: "r1",
+      currentRevision: 1,
+      verification: { pdfKey: "reports/r1/pdf/verified-rev1-abc.pdf" },
+    });
+
+    assert.deepEqual(keys, [
+      "reports/r1/pdf/current-rev0.pdf",
+      "reports/r1/pdf/current-rev1.pdf",
+      "reports/r1/pdf/revision-1.pdf",
+      "reports/r1/pdf/verified-rev1-abc.pdf",
+    ]);
+  });
+});
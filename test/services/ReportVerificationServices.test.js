@@ -0,0 +1,218 @@
+const assert = require("assert/strict");
+const { Buffer } = require("buffer");
+const crypto = require("crypto");
+const {
+  afterEach,
+  before,
+  beforeEach,
+  describe,
+  it,
+  mock,
+} = require("node:test");
+const { setImmediate } = require("timers/promises");
+
+const ReportModel = require("../../src/models/ReportModel");
+const s3 = require("../../src/utils/s3");
+
+// Stored objects by key, and the failures to simulate
+const objects = new Map();
+const failures = { upload: false };
+
+// The report as stored, shared by the ReportModel stubs
+let stored;
+
+let getIssuedReportPdf;
+let verifyReport;
+
+before(() => {
+  // The verification service keeps its own references, stub before loading it
+  s3.getObjectBuffer = async (key) => {
+    if (!objects.has(key)) throw new Error(`NoSuchKey ${key}`);
+    return objects.get(key);
+  };
+  s3.uploadBuffer = async (body, key) => {
+    if (failures.upload) throw new Error("S3 unavailable");
+    // Let concurrent renders overlap
+    await setImmediate();
+    objects.set(key, body);
+  };
+  s3.deleteObject = async (key) => objects.delete(key);
+
+  ({
+    getIssuedReportPdf,
+    verifyReport,
+  } = require("../../src/services/ReportVerificationServices"));
+});
+
+// Copy of the stored report, as a query or a caller holds it
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const sha256 = (buffer) =>
+  crypto.createHash("sha256").update(buffer).digest("hex");
+
+/**
+ * Stub the ReportModel queries the verification service runs
+ */
+function stubReportModel() {
+  const copy = () => clone(stored);
+  const query = (value) => ({
+    select: () => ({ lean: async () => value(), populate: () => query(value) }),
+    lean: async () => value(),
+  });
+
+  mock.method(ReportModel, "findById", () => query(copy));
+  mock.method(ReportModel, "findOne", () => query(copy));
+  mock.method(ReportModel, "findOneAndUpdate", (filter, update) =>
+    query(() => {
+      const matches =
+        !stored.verification ||
+        stored.verification.revision !== update.$set.verification.revision;
+      if (!matches) return null;
+
+      const previous = copy();
+      // With the schema defaults
+      stored.verification = {
+        sha256: null,
+        pdfKey: null,
+        issuedAt: null,
+        ...update.$set.verification,
+      };
+      return previous;
+    }),
+  );
+  mock.method(ReportModel, "updateOne", async (filter, update) => {
+    const current = stored.verification;
+    if (
+      current.code !== filter["verification.code"] ||
+      (current.sha256 ?? null) !== filter["verification.sha256"]
+    ) {
+      return { modifiedCount: 0 };
+    }
+
+    current.sha256 = update.$set["verification.sha256"];
+    current.pdfKey = update.$set["verification.pdfKey"];
+    current.issuedAt = update.$set["verification.issuedAt"];
+    return { modifiedCount: 1 };
+  });
+}
+
+/**
+ * Render function giving a different PDF on every call, as Chrome does
+ *
+ * @returns {Function & {calls: number}}
+ */
+function renderer() {
+  const render = async (verification) => {
+    render.calls += 1;
+    return Buffer.from(`${verification.code} #${render.calls}`);
+  };
+  render.calls = 0;
+
+  return render;
+}
+
+beforeEach(() => {
+  objects.clear();
+  failures.upload = false;
+  stored = {
+    _id: "r1",
+    status: "completed",
+    currentRevision: 1,
+    completedAt: new Date(),
+    job: { fhaCaseDetailsNo: "123-456", streetAddress: "1 Main St" },
+    verification: null,
+  };
+  stubReportModel();
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("getIssuedReportPdf", () => {
+  it("issues the first PDF with its hash and serves it byte for byte", async () => {
+    const render = renderer();
+
+    const first = await getIssuedReportPdf(clone(stored), render);
+    const { verification } = stored;
+
+    assert.equal(verification.revision, 1);
+    assert.equal(verification.sha256, sha256(first));
+    assert.deepEqual(objects.get(verification.pdfKey), first);
+
+    const again = await getIssuedReportPdf(clone(stored), render);
+
+    assert.deepEqual(again, first);
+    assert.equal(render.calls, 1);
+  });
+
+  it("gives concurrent requests the same issued PDF", async () => {
+    const render = renderer();
+    const report = clone(stored);
+
+    const pdfs = await Promise.all([
+      getIssuedReportPdf(report, render),
+      getIssuedReportPdf(report, render),
+    ]);
+
+    assert.equal(render.calls, 2);
+    assert.deepEqual(pdfs[0], pdfs[1]);
+    assert.equal(sha256(pdfs[0]), stored.verification.sha256);
+    assert.deepEqual([...objects.keys()], [stored.verification.pdfKey]);
+  });
+
+  it("records nothing when the PDF can't be stored", async () => {
+    failures.upload = true;
+
+    await assert.rejects(
+      getIssuedReportPdf(clone(stored), renderer()),
+      /S3 unavailable/,
+    );
+
+    assert.equal(stored.verification.sha256, null);
+    assert.equal(stored.verification.pdfKey, null);
+  });
+
+  it("issues a new code and PDF for a later completed revision", async () => {
+    await getIssuedReportPdf(clone(stored), renderer());
+    const earlier = stored.verification;
+
+    stored.currentRevision = 2;
+    await getIssuedReportPdf(clone(stored), renderer());
+
+    assert.equal(stored.verification.revision, 2);
+    assert.notEqual(stored.verification.code, earlier.code);
+    assert.deepEqual([...objects.keys()], [stored.verification.pdfKey]);
+  });
+});
+
+describe("verifyReport", () => {
+  it("checks a copy against the issued hash", async () => {
+    const pdf = await getIssuedReportPdf(clone(stored), renderer());
+    const { code } = stored.verification;
+
+    const result = await verifyReport(code.toLowerCase(), sha256(pdf));
+
+    assert.equal(result.valid, true);
+    assert.equal(result.hashMatches, true);
+    assert.equal(result.caseNumber, "123-456");
+
+    const tampered = await verifyReport(code, sha256(Buffer.from("edited")));
+
+    assert.equal(tampered.hashMatches, false);
+  });
+
+  it("no longer stands for a report sent back for changes", async () => {
+    await getIssuedReportPdf(clone(stored), renderer());
+    stored.status = "rejected";
+
+    const result = await verifyReport(stored.verification.code);
+
+    assert.equal(result.valid, false);
+    assert.equal("hashMatches" in result, false);
+  });
+
+  it("answers 404 before a PDF is issued", async () => {
+    stored.verification = { code: "ABCDEFGHJK", revision: 1, sha256: null };
+
+    await assert.rejects(verifyReport("ABCDEFGHJK"), { code: 404 });
+  });
+});